@@ -0,0 +1,76 @@
+import React from "react";
+import { FiPlus } from "react-icons/fi";
+import CancelButton from "./CancelButton";
+
+/**
+ * Button that lets the user pick extra pages (images or PDFs) for an existing note
+ *
+ * @param {Object} props
+ * @param {Function} props.onFilesSelected - Called with the selected files
+ * @param {boolean} props.adding - Whether pages are currently being added
+ * @param {Function} [props.onCancel] - Function to cancel adding pages, offered while adding
+ * @param {boolean} props.disabled - Whether the button is disabled
+ * @param {boolean} props.compact - Render an icon-only button
+ */
+const AddPagesButton = ({
+  onFilesSelected,
+  adding = false,
+  onCancel,
+  disabled = false,
+  compact = false,
+}) => {
+  const handleChange = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = "";
+    if (files.length > 0) {
+      onFilesSelected(files);
+    }
+  };
+
+  const isDisabled = disabled || adding;
+
+  return (
+    <>
+      <label
+        onClick={(e) => e.stopPropagation()}
+        className={`${
+          compact ? "p-2" : "px-4 py-2"
+        } text-white rounded-md transition-colors flex items-center justify-center ${
+          isDisabled
+            ? "bg-gray-400 cursor-not-allowed"
+            : "bg-indigo-500 hover:bg-indigo-600 cursor-pointer"
+        }`}
+        aria-label="Add pages"
+        title="Add pages to these notes"
+      >
+        {adding ? (
+          <span className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
+        ) : (
+          <FiPlus />
+        )}
+        {!compact && (
+          <span className="ml-2">
+            {adding ? "Adding Pages..." : "Add Pages"}
+          </span>
+        )}
+        <input
+          type="file"
+          accept="image/*,application/pdf"
+          multiple
+          disabled={isDisabled}
+          onChange={handleChange}
+          className="hidden"
+        />
+      </label>
+      {adding && onCancel && (
+        <CancelButton
+          compact={compact}
+          onCancel={onCancel}
+          label="Cancel adding pages"
+        />
+      )}
+    </>
+  );
+};
+
+export default AddPagesButton;
@@ -0,0 +1,59 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { FiX, FiRefreshCw } from "react-icons/fi";
+import { getErrorRecovery } from "../service/geminiService";
+
+// Labels of the tabs a recovery action opens
+const ACTION_LABELS = {
+  settings: "Open Settings",
+  usage: "Open Usage",
+};
+
+/**
+ * Error message of a failed model call, with what the user can do about it
+ *
+ * @param {Object} props
+ * @param {string} props.message - Error message
+ * @param {string} [props.type] - Type of the API error behind it (see apiErrors), if any
+ * @param {Function} [props.onRetry] - Function to try again, offered when retrying may help
+ * @param {string} [props.className] - Extra classes, e.g. margins
+ */
+const ApiErrorNotice = ({ message, type, onRetry, className = "" }) => {
+  const recovery = getErrorRecovery(type);
+  const canRetry = recovery?.retry && onRetry;
+
+  return (
+    <div className={`p-3 bg-red-100 text-red-700 rounded-md ${className}`}>
+      <div className="flex items-center">
+        <FiX className="mr-2 flex-shrink-0" /> {message}
+      </div>
+      {recovery && (
+        <div className="mt-2 ml-6 text-sm">
+          <p>{recovery.hint}</p>
+          {(recovery.action || canRetry) && (
+            <div className="mt-2 flex flex-wrap gap-2">
+              {recovery.action && (
+                <Link
+                  to={`/?tab=${recovery.action}`}
+                  className="px-3 py-1 bg-white border border-red-300 hover:bg-red-50 rounded-md transition-colors"
+                >
+                  {ACTION_LABELS[recovery.action]}
+                </Link>
+              )}
+              {canRetry && (
+                <button
+                  onClick={onRetry}
+                  className="px-3 py-1 bg-white border border-red-300 hover:bg-red-50 rounded-md transition-colors flex items-center"
+                >
+                  <FiRefreshCw className="mr-1" /> Try again
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiErrorNotice;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  FiCamera,
+  FiX,
+  FiTrash2,
+  FiRefreshCw,
+  FiLayers,
+  FiCheck,
+} from "react-icons/fi";
+import { canvasToFile } from "../service/utils/imageUtils";
+
+/**
+ * Full-screen camera session for scanning several pages in a row
+ * Every captured page is added to the upload list straight away
+ *
+ * @param {Object} props
+ * @param {Array} props.images - Current image entries of the upload list
+ * @param {boolean} props.preparingFiles - Whether captured pages are still being preprocessed
+ * @param {Function} props.addFiles - Function to add captured files to the upload list
+ * @param {Function} props.replaceImage - Function to replace an image with a retaken file
+ * @param {Function} props.removeImage - Function to remove an image
+ * @param {Function} props.onAnalyze - Function to process the scanned pages
+ * @param {Function} props.onClose - Function to close the scanner
+ */
+const CameraScanner = ({
+  images,
+  preparingFiles,
+  addFiles,
+  replaceImage,
+  removeImage,
+  onAnalyze,
+  onClose,
+}) => {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [cameraError, setCameraError] = useState("");
+  const [cameraReady, setCameraReady] = useState(false);
+  const [capturedFiles, setCapturedFiles] = useState([]);
+  const [retakeFile, setRetakeFile] = useState(null);
+  const [flash, setFlash] = useState(false);
+
+  // Open the rear camera when the scanner mounts and release it on close
+  useEffect(() => {
+    let cancelled = false;
+
+    navigator.mediaDevices
+      .getUserMedia({
+        video: {
+          facingMode: { ideal: "environment" },
+          width: { ideal: 1920 },
+          height: { ideal: 1080 },
+        },
+        audio: false,
+      })
+      .then((stream) => {
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        videoRef.current.srcObject = stream;
+      })
+      .catch((err) => {
+        console.error("Error opening camera:", err);
+        setCameraError(
+          err.name === "NotAllowedError"
+            ? "Camera access was denied. Please allow camera access in your browser settings."
+            : "Could not open the camera on this device."
+        );
+      });
+
+    return () => {
+      cancelled = true;
+      streamRef.current?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  // Pages of this session, in the order they appear in the upload list
+  const sessionPages = images
+    .map((image, index) => ({ image, index }))
+    .filter(({ image }) => capturedFiles.includes(image.originalFile));
+
+  const handleCapture = async () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth) return;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0);
+
+    setFlash(true);
+    setTimeout(() => setFlash(false), 150);
+
+    const file = await canvasToFile(
+      canvas,
+      `scan_${Date.now()}.jpg`,
+      "image/jpeg",
+      0.92
+    );
+    setCapturedFiles((prevFiles) =>
+      retakeFile
+        ? prevFiles.map((f) => (f === retakeFile ? file : f))
+        : [...prevFiles, file]
+    );
+
+    if (retakeFile) {
+      const index = images.findIndex((img) => img.originalFile === retakeFile);
+      setRetakeFile(null);
+      if (index !== -1) {
+        await replaceImage(index, file);
+        return;
+      }
+    }
+    await addFiles([file]);
+  };
+
+  const handleDelete = (image, index) => {
+    setCapturedFiles((prevFiles) =>
+      prevFiles.filter((f) => f !== image.originalFile)
+    );
+    if (retakeFile === image.originalFile) {
+      setRetakeFile(null);
+    }
+    removeImage(index);
+  };
+
+  const handleAnalyze = () => {
+    onClose();
+    onAnalyze();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black z-50 flex flex-col">
+      <div className="flex justify-between items-center p-3 text-white">
+        <div className="text-sm">
+          {retakeFile
+            ? "Retaking page"
+            : `${sessionPages.length} ${
+                sessionPages.length === 1 ? "page" : "pages"
+              } scanned`}
+        </div>
+        <button
+          onClick={onClose}
+          className="p-2 rounded-full hover:bg-white hover:bg-opacity-10"
+          aria-label="Close scanner"
+        >
+          <FiX className="text-xl" />
+        </button>
+      </div>
+
+      <div className="relative flex-1 flex items-center justify-center overflow-hidden">
+        {cameraError ? (
+          <div className="text-center text-white p-6">
+            <p className="mb-4">{cameraError}</p>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-indigo-600 rounded-md hover:bg-indigo-700"
+            >
+              Back to upload
+            </button>
+          </div>
+        ) : (
+          <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            onLoadedMetadata={() => setCameraReady(true)}
+            className="max-h-full max-w-full"
+          />
+        )}
+        {flash && <div className="absolute inset-0 bg-white opacity-70" />}
+      </div>
+
+      {sessionPages.length > 0 && (
+        <div className="flex gap-2 overflow-x-auto p-3 bg-black bg-opacity-80">
+          {sessionPages.map(({ image, index }, pageIndex) => (
+            <div
+              key={image.preview}
+              className={`relative flex-shrink-0 w-20 rounded-md overflow-hidden border-2 ${
+                retakeFile === image.originalFile
+                  ? "border-yellow-400"
+                  : "border-transparent"
+              }`}
+            >
+              <img
+                src={image.preview}
+                alt={`Scanned page ${pageIndex + 1}`}
+                className="w-20 h-24 object-cover"
+              />
+              <div className="absolute top-1 left-1 bg-black bg-opacity-60 text-white text-xs px-1 rounded">
+                {pageIndex + 1}
+              </div>
+              <div className="absolute bottom-0 inset-x-0 flex justify-around bg-black bg-opacity-60 py-1">
+                <button
+                  onClick={() =>
+                    setRetakeFile(
+                      retakeFile === image.originalFile
+                        ? null
+                        : image.originalFile
+                    )
+                  }
+                  className="text-white hover:text-yellow-300"
+                  aria-label="Retake page"
+                >
+                  <FiRefreshCw />
+                </button>
+                <button
+                  onClick={() => handleDelete(image, index)}
+                  className="text-white hover:text-red-400"
+                  aria-label="Delete page"
+                >
+                  <FiTrash2 />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between p-4 pb-8 bg-black">
+        <button
+          onClick={onClose}
+          className="px-3 py-2 text-white text-sm flex items-center"
+        >
+          <FiCheck className="mr-1" /> Done
+        </button>
+
+        <button
+          onClick={handleCapture}
+          disabled={!cameraReady || !!cameraError}
+          className="w-16 h-16 rounded-full border-4 border-white bg-white bg-opacity-20 flex items-center justify-center disabled:opacity-40"
+          aria-label="Capture page"
+        >
+          <FiCamera className="text-white text-2xl" />
+        </button>
+
+        <button
+          onClick={handleAnalyze}
+          disabled={sessionPages.length === 0 || preparingFiles}
+          className="px-3 py-2 bg-green-600 text-white text-sm rounded-md flex items-center disabled:bg-gray-600"
+        >
+          <FiLayers className="mr-1" />
+          {preparingFiles ? "Preparing..." : "Analyze"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CameraScanner;
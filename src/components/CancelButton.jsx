@@ -0,0 +1,29 @@
+import React from "react";
+import { FiX } from "react-icons/fi";
+
+/**
+ * Button that cancels a running analysis or quiz generation
+ *
+ * @param {Object} props
+ * @param {Function} props.onCancel - Called when the button is clicked
+ * @param {string} props.label - Button text
+ * @param {boolean} props.compact - Render an icon-only button
+ */
+const CancelButton = ({ onCancel, label = "Cancel", compact = false }) => (
+  <button
+    onClick={(e) => {
+      e.stopPropagation();
+      onCancel();
+    }}
+    className={`${
+      compact ? "p-2" : "px-4 py-2"
+    } bg-white border border-red-300 text-red-600 rounded-md hover:bg-red-50 transition-colors flex items-center justify-center`}
+    aria-label={label}
+    title={label}
+  >
+    <FiX />
+    {!compact && <span className="ml-2">{label}</span>}
+  </button>
+);
+
+export default CancelButton;
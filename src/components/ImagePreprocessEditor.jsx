@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useRef } from "react";
+import { FiX, FiCheck, FiMaximize } from "react-icons/fi";
+import { loadImage, createRotatedCanvas } from "../service/utils/imageUtils";
+import {
+  preprocessImage,
+  detectPageBounds,
+  FULL_CROP,
+} from "../service/utils/imagePreprocessing";
+
+// Smallest crop allowed, as a fraction of the image
+const MIN_CROP_SIZE = 0.1;
+
+const CORNERS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+
+/**
+ * Moves one corner of a crop rectangle to a new normalized position
+ * @param {Object} crop - Current crop rectangle
+ * @param {string} corner - Corner being dragged
+ * @param {number} x - New normalized x position
+ * @param {number} y - New normalized y position
+ * @returns {Object} Updated crop rectangle
+ */
+const moveCropCorner = (crop, corner, x, y) => {
+  let left = crop.x;
+  let top = crop.y;
+  let right = crop.x + crop.width;
+  let bottom = crop.y + crop.height;
+
+  if (corner.includes("left")) left = Math.min(x, right - MIN_CROP_SIZE);
+  if (corner.includes("right")) right = Math.max(x, left + MIN_CROP_SIZE);
+  if (corner.includes("top")) top = Math.min(y, bottom - MIN_CROP_SIZE);
+  if (corner.includes("bottom")) bottom = Math.max(y, top + MIN_CROP_SIZE);
+
+  left = Math.max(0, left);
+  top = Math.max(0, top);
+  right = Math.min(1, right);
+  bottom = Math.min(1, bottom);
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+/**
+ * Modal for reviewing and adjusting how a page is preprocessed
+ * Shows the original photo with an adjustable crop next to the processed result
+ *
+ * @param {Object} props
+ * @param {Object} props.image - The image entry being edited
+ * @param {Function} props.onApply - Called with the new preprocessing result
+ * @param {Function} props.onClose - Called when the editor is dismissed
+ */
+const ImagePreprocessEditor = ({ image, onApply, onClose }) => {
+  const initialSettings = image.preprocessing || {};
+  const rotation = initialSettings.rotation || 0;
+
+  const [originalUrl, setOriginalUrl] = useState(null);
+  const [crop, setCrop] = useState(initialSettings.crop || FULL_CROP);
+  const [deskew, setDeskew] = useState(initialSettings.deskew ?? true);
+  const [enhanceContrast, setEnhanceContrast] = useState(
+    initialSettings.enhanceContrast ?? true
+  );
+  const [result, setResult] = useState(null);
+  const [resultUrl, setResultUrl] = useState(image.preview);
+  const [processing, setProcessing] = useState(false);
+  const [activeCorner, setActiveCorner] = useState(null);
+  const containerRef = useRef(null);
+  const rotatedCanvasRef = useRef(null);
+  const resultUrlRef = useRef(null);
+
+  // Render the original file with the current rotation for the "before" view
+  useEffect(() => {
+    let url;
+    let cancelled = false;
+
+    loadImage(image.originalFile).then((loaded) => {
+      if (cancelled) return;
+      const canvas = createRotatedCanvas(loaded, rotation);
+      rotatedCanvasRef.current = canvas;
+      canvas.toBlob((blob) => {
+        if (cancelled || !blob) return;
+        url = URL.createObjectURL(blob);
+        setOriginalUrl(url);
+      }, "image/jpeg");
+    });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [image.originalFile, rotation]);
+
+  // Re-run preprocessing whenever the settings change, but not while dragging
+  useEffect(() => {
+    if (activeCorner) return;
+    let cancelled = false;
+
+    setProcessing(true);
+    preprocessImage(image.originalFile, {
+      rotation,
+      crop,
+      deskew,
+      enhanceContrast,
+    })
+      .then((processed) => {
+        if (cancelled) return;
+        // Keep showing the previous result until the new one is ready
+        if (resultUrlRef.current) URL.revokeObjectURL(resultUrlRef.current);
+        resultUrlRef.current = URL.createObjectURL(processed.file);
+        setResult(processed);
+        setResultUrl(resultUrlRef.current);
+      })
+      .catch((err) => console.error("Preprocessing preview failed:", err))
+      .finally(() => !cancelled && setProcessing(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    image.originalFile,
+    rotation,
+    crop,
+    deskew,
+    enhanceContrast,
+    activeCorner,
+  ]);
+
+  // Release the last preview URL when the editor closes
+  useEffect(
+    () => () => {
+      if (resultUrlRef.current) URL.revokeObjectURL(resultUrlRef.current);
+    },
+    []
+  );
+
+  // Track the dragged crop corner across the whole window
+  useEffect(() => {
+    if (!activeCorner) return;
+
+    const handlePointerMove = (e) => {
+      const bounds = containerRef.current.getBoundingClientRect();
+      const x = (e.clientX - bounds.left) / bounds.width;
+      const y = (e.clientY - bounds.top) / bounds.height;
+      setCrop((prevCrop) => moveCropCorner(prevCrop, activeCorner, x, y));
+    };
+    const handlePointerUp = () => setActiveCorner(null);
+
+    window.addEventListener("pointermove", handlePointerMove);
+    window.addEventListener("pointerup", handlePointerUp);
+    return () => {
+      window.removeEventListener("pointermove", handlePointerMove);
+      window.removeEventListener("pointerup", handlePointerUp);
+    };
+  }, [activeCorner]);
+
+  const handleAutoDetect = () => {
+    if (rotatedCanvasRef.current) {
+      setCrop(detectPageBounds(rotatedCanvasRef.current));
+    }
+  };
+
+  const handleApply = () => {
+    if (result) {
+      onApply(result);
+    }
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-4xl max-h-full overflow-auto p-4 md:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">
+            Adjust {image.name}
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-full text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+            aria-label="Close"
+          >
+            <FiX />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <p className="text-sm font-medium text-gray-600 mb-2">
+              Before — drag the corners to adjust the crop
+            </p>
+            <div
+              ref={containerRef}
+              className="relative overflow-hidden select-none touch-none bg-gray-100 rounded-md"
+            >
+              {originalUrl ? (
+                <img
+                  src={originalUrl}
+                  alt="Original page"
+                  draggable={false}
+                  className="w-full rounded-md"
+                />
+              ) : (
+                <div className="h-64 flex items-center justify-center">
+                  <div className="w-8 h-8 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></div>
+                </div>
+              )}
+
+              {originalUrl && (
+                <div
+                  className="absolute border-2 border-indigo-500 shadow-[0_0_0_9999px_rgba(0,0,0,0.4)]"
+                  style={{
+                    left: `${crop.x * 100}%`,
+                    top: `${crop.y * 100}%`,
+                    width: `${crop.width * 100}%`,
+                    height: `${crop.height * 100}%`,
+                  }}
+                >
+                  {CORNERS.map((corner) => (
+                    <div
+                      key={corner}
+                      onPointerDown={(e) => {
+                        e.preventDefault();
+                        setActiveCorner(corner);
+                      }}
+                      className={`absolute w-4 h-4 bg-white border-2 border-indigo-600 rounded-full cursor-pointer ${
+                        corner.includes("top") ? "-top-2" : "-bottom-2"
+                      } ${corner.includes("left") ? "-left-2" : "-right-2"}`}
+                    />
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-600 mb-2">After</p>
+            <div className="relative bg-gray-100 rounded-md">
+              <img
+                src={resultUrl}
+                alt="Processed page"
+                className="w-full rounded-md"
+              />
+              {processing && (
+                <div className="absolute inset-0 bg-white bg-opacity-60 flex items-center justify-center rounded-md">
+                  <div className="w-8 h-8 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></div>
+                </div>
+              )}
+            </div>
+            {result && (
+              <p className="text-xs text-gray-500 mt-2">
+                {result.width}×{result.height}px,{" "}
+                {(result.file.size / 1024).toFixed(2)} KB (original{" "}
+                {(result.originalSize / 1024).toFixed(2)} KB)
+                {result.skewAngle !== 0 &&
+                  `, straightened by ${result.skewAngle}°`}
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mt-4">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={deskew}
+              onChange={(e) => setDeskew(e.target.checked)}
+              className="mr-2"
+            />
+            Straighten page
+          </label>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={enhanceContrast}
+              onChange={(e) => setEnhanceContrast(e.target.checked)}
+              className="mr-2"
+            />
+            Boost contrast
+          </label>
+          <button
+            onClick={handleAutoDetect}
+            className="text-sm text-indigo-600 hover:text-indigo-800 flex items-center"
+          >
+            <FiMaximize className="mr-1" /> Detect page edges
+          </button>
+          <button
+            onClick={() => setCrop(FULL_CROP)}
+            className="text-sm text-indigo-600 hover:text-indigo-800"
+          >
+            Reset crop
+          </button>
+        </div>
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-md text-gray-700 hover:bg-gray-100"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={processing || !result}
+            className={`px-4 py-2 rounded-md text-white flex items-center ${
+              processing || !result
+                ? "bg-gray-400 cursor-not-allowed"
+                : "bg-indigo-600 hover:bg-indigo-700"
+            }`}
+          >
+            <FiCheck className="mr-2" /> Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImagePreprocessEditor;
@@ -1,11 +1,57 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
 import {
   FiBookOpen,
   FiImage,
   FiCheckCircle,
+  FiCheck,
   FiX,
   FiLayers,
+  FiFileText,
+  FiRotateCw,
+  FiChevronLeft,
+  FiChevronRight,
+  FiCrop,
+  FiCamera,
+  FiRefreshCw,
+  FiZap,
 } from "react-icons/fi";
+import ImagePreprocessEditor from "./ImagePreprocessEditor";
+import CameraScanner from "./CameraScanner";
+import CancelButton from "./CancelButton";
+import ProcessingProgress from "./ProcessingProgress";
+import ApiErrorNotice from "./ApiErrorNotice";
+import {
+  SUBJECTS,
+  INPUT_LANGUAGES,
+  OUTPUT_LANGUAGES,
+} from "../service/geminiService";
+
+// Live camera scanning needs getUserMedia, which requires a secure context
+const cameraSupported =
+  typeof navigator !== "undefined" && !!navigator.mediaDevices?.getUserMedia;
+
+/**
+ * Collects image files from a clipboard paste event
+ * Screenshots are pasted with generic names, so they get a timestamped name
+ * @param {ClipboardEvent} e - The paste event
+ * @returns {File[]} Pasted image files
+ */
+const getPastedImageFiles = (e) => {
+  const items = Array.from(e.clipboardData?.items || []);
+  return items
+    .filter((item) => item.kind === "file" && item.type.startsWith("image/"))
+    .map((item, index) => {
+      const file = item.getAsFile();
+      const extension = file.type.split("/")[1] || "png";
+      return new File(
+        [file],
+        `pasted_${Date.now()}_${index + 1}.${extension}`,
+        {
+          type: file.type,
+        }
+      );
+    });
+};
 
 /**
  * Component for uploading and displaying selected images
@@ -14,77 +60,347 @@ import {
  * @param {Array} props.images - Array of image objects
  * @param {boolean} props.uploading - Whether upload is in progress
  * @param {string} props.error - Error message, if any
+ * @param {string} [props.errorType] - Type of the API error behind the message, if any
+ * @param {boolean} props.preparingFiles - Whether selected files are being converted and preprocessed
  * @param {Function} props.handleImageChange - Function to handle image selection
+ * @param {Function} props.addFiles - Function to add dropped, pasted or scanned files
+ * @param {Function} props.replaceImage - Function to replace an image with a retaken photo
  * @param {Function} props.removeImage - Function to remove an image
+ * @param {Function} props.moveImage - Function to move an image to a new position
+ * @param {Function} props.rotateImage - Function to rotate an image by 90 degrees
+ * @param {Function} props.updateImagePreprocessing - Function to apply a manually adjusted preprocessing result
  * @param {Function} props.processBatchWithGemini - Function to process all images as a batch
+ * @param {Function} props.retryImage - Function to re-extract a single failed page
+ * @param {Function} props.cancelProcessing - Function to cancel the running analysis
+ * @param {Function} props.resetImageUpload - Function to clear all selected images
+ * @param {Object} [props.requestQueue] - State of the request queues from useRequestQueue
+ * @param {Object} [props.progress] - Progress of the running analysis from useImageUpload
+ * @param {string} [props.subject] - Subject picked for the notes; empty to detect it
+ * @param {Function} [props.setSubject] - Function to pick the subject of the notes
+ * @param {string} [props.inputLanguage] - Language the notes are written in
+ * @param {Function} [props.setInputLanguage] - Function to pick the language the notes are written in
+ * @param {string} [props.outputLanguage] - Language to write the structured notes in
+ * @param {Function} [props.setOutputLanguage] - Function to pick the language of the structured notes
+ * @param {boolean} [props.useCache] - Whether cached extractions of identical pages are reused
+ * @param {Function} [props.setUseCache] - Function to turn reusing cached extractions on or off
+ * @param {Function} [props.clearCache] - Function to remove every cached extraction
  */
 const ImageUploader = ({
   images,
   uploading,
   error,
+  errorType,
+  preparingFiles = false,
   handleImageChange,
+  addFiles,
+  replaceImage,
   removeImage,
+  moveImage,
+  rotateImage,
+  updateImagePreprocessing,
   processBatchWithGemini,
+  retryImage,
+  cancelProcessing,
+  resetImageUpload,
+  requestQueue,
+  progress,
+  subject = "",
+  setSubject,
+  inputLanguage = "english",
+  setInputLanguage,
+  outputLanguage = "english",
+  setOutputLanguage,
+  useCache = true,
+  setUseCache,
+  clearCache,
 }) => {
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [dropTargetIndex, setDropTargetIndex] = useState(null);
+  const [cacheCleared, setCacheCleared] = useState(false);
+
+  // New extractions are cached again once a batch starts
+  useEffect(() => {
+    if (uploading) setCacheCleared(false);
+  }, [uploading]);
+
+  // Accept screenshots pasted anywhere on the page (Ctrl+V / Cmd+V)
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const files = getPastedImageFiles(e);
+      if (files.length > 0) {
+        e.preventDefault();
+        addFiles(files);
+      }
+    };
+
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+  }, [addFiles]);
+
+  // Only react to drags that carry files, not to reordering drags inside the grid
+  const isFileDrag = (e) => Array.from(e.dataTransfer.types).includes("Files");
+
+  const handleZoneDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setIsDraggingFiles(true);
+  };
+
+  const handleZoneDragLeave = (e) => {
+    // Ignore leave events fired when moving between child elements
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setIsDraggingFiles(false);
+  };
+
+  const handleZoneDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDraggingFiles(false);
+    addFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const handleItemDragStart = (e, index) => {
+    setDraggedIndex(index);
+    e.dataTransfer.effectAllowed = "move";
+  };
+
+  const handleItemDragOver = (e, index) => {
+    if (draggedIndex === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    setDropTargetIndex(index);
+  };
+
+  const handleItemDrop = (e, index) => {
+    if (draggedIndex === null) return;
+    e.preventDefault();
+    moveImage(draggedIndex, index);
+    handleItemDragEnd();
+  };
+
+  const handleItemDragEnd = () => {
+    setDraggedIndex(null);
+    setDropTargetIndex(null);
+  };
+
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
-      <div className="border-2 border-dashed border-indigo-300 rounded-lg p-8 flex flex-col items-center justify-center hover:border-indigo-500 transition-colors">
+      <div
+        onDragOver={handleZoneDragOver}
+        onDragLeave={handleZoneDragLeave}
+        onDrop={handleZoneDrop}
+        className={`border-2 border-dashed rounded-lg p-8 flex flex-col items-center justify-center hover:border-indigo-500 transition-colors ${
+          isDraggingFiles
+            ? "border-indigo-500 bg-indigo-50"
+            : "border-indigo-300"
+        }`}
+      >
         <FiBookOpen className="text-indigo-500 text-4xl mb-4" />
 
         <p className="text-gray-600 mb-4 text-center">
           Drag and drop your handwritten notes here, or click to browse
         </p>
+        <p className="text-gray-500 text-sm mb-4 text-center">
+          Images and multi-page PDFs are supported. You can also paste
+          screenshots with Ctrl+V
+        </p>
 
-        <label className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 transition-colors cursor-pointer flex items-center">
-          <FiImage className="mr-2" />
-          Browse Images
-          <input
-            type="file"
-            accept="image/*"
-            multiple
-            onChange={handleImageChange}
-            className="hidden"
-          />
-        </label>
+        <div className="flex flex-wrap justify-center gap-3">
+          <label className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 transition-colors cursor-pointer flex items-center">
+            <FiImage className="mr-2" />
+            Browse Images
+            <input
+              type="file"
+              accept="image/*,application/pdf"
+              multiple
+              onChange={handleImageChange}
+              className="hidden"
+            />
+          </label>
+          {cameraSupported && (
+            <button
+              onClick={() => setScanning(true)}
+              disabled={uploading}
+              className="bg-white text-indigo-600 border border-indigo-600 px-4 py-2 rounded-md hover:bg-indigo-50 transition-colors flex items-center"
+            >
+              <FiCamera className="mr-2" />
+              Scan
+            </button>
+          )}
+        </div>
+        {preparingFiles && (
+          <div className="mt-4 flex items-center text-sm text-indigo-600">
+            <span className="mr-2 w-4 h-4 border-2 border-indigo-500 border-t-transparent rounded-full animate-spin"></span>
+            Preparing pages...
+          </div>
+        )}
       </div>
 
       {error && (
-        <div className="mt-4 p-3 bg-red-100 text-red-700 rounded-md flex items-center">
-          <FiX className="mr-2" /> {error}
-        </div>
+        <ApiErrorNotice
+          message={error}
+          type={errorType}
+          onRetry={processBatchWithGemini}
+          className="mt-4"
+        />
       )}
 
       {images.length > 0 && (
         <div className="mt-6">
-          <h3 className="text-lg font-semibold mb-3 text-gray-700">
-            Selected Images
-          </h3>
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="text-lg font-semibold text-gray-700">
+              Selected Images
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                ({images.length} {images.length === 1 ? "page" : "pages"})
+              </span>
+            </h3>
+            <button
+              onClick={resetImageUpload}
+              disabled={uploading}
+              className="text-sm text-red-500 hover:text-red-700 disabled:text-gray-300"
+            >
+              Clear all
+            </button>
+          </div>
+          <p className="text-sm text-gray-500 mb-3">
+            Drag pages to reorder them. Pages are analyzed in this order.
+          </p>
 
           <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
             {images.map((image, index) => (
-              <div key={index} className="border rounded-md p-3 relative">
+              <div
+                key={image.id || image.preview}
+                draggable={!uploading}
+                onDragStart={(e) => handleItemDragStart(e, index)}
+                onDragOver={(e) => handleItemDragOver(e, index)}
+                onDrop={(e) => handleItemDrop(e, index)}
+                onDragEnd={handleItemDragEnd}
+                className={`border rounded-md p-3 relative ${
+                  uploading ? "" : "cursor-move"
+                } ${draggedIndex === index ? "opacity-50" : ""} ${
+                  dropTargetIndex === index && draggedIndex !== index
+                    ? "border-indigo-500 ring-2 ring-indigo-200"
+                    : ""
+                }`}
+              >
                 <img
                   src={image.preview}
                   alt={`Preview ${index}`}
+                  draggable={false}
                   className="w-full h-32 object-cover rounded-md mb-2"
                 />
+                {image.pdfSource && (
+                  <div className="absolute top-2 left-2 bg-white bg-opacity-90 text-indigo-700 text-xs px-2 py-0.5 rounded-full flex items-center">
+                    <FiFileText className="mr-1" />
+                    Page {image.pdfSource.pageNumber} of{" "}
+                    {image.pdfSource.pageCount}
+                  </div>
+                )}
                 <div className="flex justify-between items-center">
                   <div className="text-sm text-gray-600 truncate max-w-[70%]">
+                    <span className="font-medium text-gray-800 mr-1">
+                      {index + 1}.
+                    </span>
                     {image.name}
                   </div>
-                  <div className="text-xs text-gray-500">{image.size}</div>
+                  <div
+                    className="text-xs text-gray-500"
+                    title={
+                      image.preprocessing
+                        ? `Original: ${(
+                            image.preprocessing.originalSize / 1024
+                          ).toFixed(2)} KB`
+                        : undefined
+                    }
+                  >
+                    {image.size}
+                  </div>
+                </div>
+
+                {image.status === "error" && (
+                  <div className="flex justify-between items-center mt-2 text-xs text-red-600">
+                    <span
+                      className="truncate mr-2"
+                      title={image.extractionError}
+                    >
+                      {image.extractionError || "Extraction failed"}
+                    </span>
+                    <button
+                      onClick={() => retryImage(index)}
+                      disabled={uploading}
+                      className="flex items-center flex-shrink-0 text-indigo-600 hover:text-indigo-800 disabled:text-gray-300"
+                    >
+                      <FiRefreshCw className="mr-1" /> Retry page
+                    </button>
+                  </div>
+                )}
+
+                <div className="flex justify-between items-center mt-2">
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => moveImage(index, index - 1)}
+                      disabled={uploading || index === 0}
+                      className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+                      aria-label="Move page earlier"
+                    >
+                      <FiChevronLeft />
+                    </button>
+                    <button
+                      onClick={() => moveImage(index, index + 1)}
+                      disabled={uploading || index === images.length - 1}
+                      className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+                      aria-label="Move page later"
+                    >
+                      <FiChevronRight />
+                    </button>
+                  </div>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => setEditingIndex(index)}
+                      disabled={uploading}
+                      className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+                      aria-label="Adjust crop and enhancement"
+                    >
+                      <FiCrop />
+                    </button>
+                    <button
+                      onClick={() => rotateImage(index)}
+                      disabled={uploading}
+                      className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+                      aria-label="Rotate page"
+                    >
+                      <FiRotateCw />
+                    </button>
+                  </div>
                 </div>
 
                 <div className="absolute top-2 right-2 flex gap-2">
                   {image.status === "complete" && (
                     <FiCheckCircle className="text-green-500 bg-white rounded-full" />
                   )}
+                  {image.cached && (
+                    <span title="Reused the cached extraction of an identical page">
+                      <FiZap className="text-amber-500 bg-white rounded-full" />
+                    </span>
+                  )}
+                  {image.status === "extracted" && (
+                    <span title="Text extracted, waiting for the other pages">
+                      <FiCheck className="text-indigo-500 bg-white rounded-full" />
+                    </span>
+                  )}
                   {image.status === "error" && (
-                    <FiX className="text-red-500 bg-white rounded-full" />
+                    <span title={image.extractionError}>
+                      <FiX className="text-red-500 bg-white rounded-full" />
+                    </span>
                   )}
                   <button
                     onClick={() => removeImage(index)}
-                    className="bg-white rounded-full p-1 text-red-500 hover:text-red-700 transition-colors"
+                    disabled={uploading}
+                    className="bg-white rounded-full p-1 text-red-500 hover:text-red-700 transition-colors disabled:text-gray-300"
                   >
                     <FiX />
                   </button>
@@ -92,27 +408,172 @@ const ImageUploader = ({
 
                 {image.status === "processing" && (
                   <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center rounded-md">
-                    <div className="w-10 h-10 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></div>
+                    <div className="flex flex-col items-center">
+                      <div className="w-10 h-10 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></div>
+                      {image.queuePosition > 0 && (
+                        <span className="mt-2 text-xs text-white">
+                          Queued #{image.queuePosition}
+                        </span>
+                      )}
+                    </div>
                   </div>
                 )}
               </div>
             ))}
           </div>
 
-          <button
-            onClick={processBatchWithGemini}
-            disabled={uploading}
-            className={`mt-4 px-6 py-2 rounded-md w-full ${
-              uploading
-                ? "bg-gray-400 cursor-not-allowed"
-                : "bg-green-600 hover:bg-green-700"
-            } text-white font-medium transition-colors flex items-center justify-center`}
-          >
-            <FiLayers className="mr-2" />
-            {uploading ? "Processing..." : "Analyze"}
-          </button>
+          {setSubject && (
+            <div className="mt-4 flex items-center gap-2">
+              <label
+                htmlFor="notes-subject"
+                className="text-sm font-medium text-gray-700"
+              >
+                Subject
+              </label>
+              <select
+                id="notes-subject"
+                value={subject}
+                onChange={(e) => setSubject(e.target.value)}
+                disabled={uploading}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md bg-white text-sm"
+              >
+                <option value="">Detect automatically</option>
+                {SUBJECTS.map(({ id, label }) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {setInputLanguage && setOutputLanguage && (
+            <div className="mt-2 flex flex-col sm:flex-row gap-2">
+              <div className="flex-1 flex items-center gap-2">
+                <label
+                  htmlFor="notes-input-language"
+                  className="text-sm font-medium text-gray-700"
+                >
+                  Written in
+                </label>
+                <select
+                  id="notes-input-language"
+                  value={inputLanguage}
+                  onChange={(e) => setInputLanguage(e.target.value)}
+                  disabled={uploading}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md bg-white text-sm"
+                >
+                  {INPUT_LANGUAGES.map(({ id, label }) => (
+                    <option key={id} value={id}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex-1 flex items-center gap-2">
+                <label
+                  htmlFor="notes-output-language"
+                  className="text-sm font-medium text-gray-700"
+                >
+                  Notes in
+                </label>
+                <select
+                  id="notes-output-language"
+                  value={outputLanguage}
+                  onChange={(e) => setOutputLanguage(e.target.value)}
+                  disabled={uploading}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md bg-white text-sm"
+                >
+                  {OUTPUT_LANGUAGES.map(({ id, label }) => (
+                    <option key={id} value={id}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+
+          {setUseCache && (
+            <div className="mt-2 flex items-center justify-between text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={useCache}
+                  onChange={(e) => setUseCache(e.target.checked)}
+                  disabled={uploading}
+                />
+                Reuse cached extractions of identical pages
+              </label>
+              {clearCache && (
+                <button
+                  onClick={async () => setCacheCleared(await clearCache())}
+                  disabled={uploading}
+                  className="text-indigo-600 hover:text-indigo-800 disabled:text-gray-300"
+                >
+                  {cacheCleared ? "Cache cleared" : "Clear cache"}
+                </button>
+              )}
+            </div>
+          )}
+
+          <div className="mt-4 flex gap-2">
+            <button
+              onClick={processBatchWithGemini}
+              disabled={uploading || preparingFiles}
+              className={`px-6 py-2 rounded-md flex-1 ${
+                uploading || preparingFiles
+                  ? "bg-gray-400 cursor-not-allowed"
+                  : "bg-green-600 hover:bg-green-700"
+              } text-white font-medium transition-colors flex items-center justify-center`}
+            >
+              <FiLayers className="mr-2" />
+              {uploading ? "Processing..." : "Analyze"}
+            </button>
+            {uploading && cancelProcessing && (
+              <CancelButton onCancel={cancelProcessing} />
+            )}
+          </div>
+
+          {uploading && progress && <ProcessingProgress progress={progress} />}
+
+          {uploading && requestQueue?.pausedSeconds > 0 && (
+            <p className="mt-2 text-sm text-amber-600 text-center">
+              Rate limit reached, resuming in {requestQueue.pausedSeconds}s
+            </p>
+          )}
+          {uploading &&
+            !requestQueue?.pausedSeconds &&
+            requestQueue?.queuedRequests > 0 && (
+              <p className="mt-2 text-sm text-gray-500 text-center">
+                {requestQueue.activeRequests} running,{" "}
+                {requestQueue.queuedRequests} waiting for the request limit
+              </p>
+            )}
         </div>
       )}
+
+      {editingIndex !== null && images[editingIndex] && (
+        <ImagePreprocessEditor
+          image={images[editingIndex]}
+          onApply={(processed) =>
+            updateImagePreprocessing(editingIndex, processed)
+          }
+          onClose={() => setEditingIndex(null)}
+        />
+      )}
+
+      {scanning && (
+        <CameraScanner
+          images={images}
+          preparingFiles={preparingFiles}
+          addFiles={addFiles}
+          replaceImage={replaceImage}
+          removeImage={removeImage}
+          onAnalyze={processBatchWithGemini}
+          onClose={() => setScanning(false)}
+        />
+      )}
     </div>
   );
 };
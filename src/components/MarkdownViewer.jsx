@@ -4,6 +4,7 @@ import remarkMath from "remark-math";
 import rehypeKatex from "rehype-katex";
 import rehypeRaw from "rehype-raw";
 import "katex/dist/katex.min.css";
+import "katex/contrib/mhchem";
 
 const MarkdownViewer = ({ content }) => (
   <div className="prose max-w-none">
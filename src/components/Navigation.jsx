@@ -1,5 +1,11 @@
 import React from "react";
-import { FiUpload, FiBook, FiLayers } from "react-icons/fi";
+import {
+  FiUpload,
+  FiBook,
+  FiLayers,
+  FiBarChart2,
+  FiSettings,
+} from "react-icons/fi";
 import { Link, useLocation } from "react-router-dom";
 
 /**
@@ -56,6 +62,32 @@ const Navigation = ({ view, setView, savedResultsCount }) => {
             </span>
           )}
         </button>
+        <button
+          className={`px-5 py-3 font-medium text-sm mr-2 flex items-center transition-all ${
+            view === "usage"
+              ? "text-indigo-700 border-b-2 border-indigo-600 bg-indigo-50"
+              : "text-gray-600 hover:text-indigo-700 hover:bg-indigo-50"
+          }`}
+          onClick={() => setView("usage")}
+        >
+          <FiBarChart2
+            className={`mr-2 ${view === "usage" ? "text-indigo-600" : ""}`}
+          />{" "}
+          Usage
+        </button>
+        <button
+          className={`px-5 py-3 font-medium text-sm mr-2 flex items-center transition-all ${
+            view === "settings"
+              ? "text-indigo-700 border-b-2 border-indigo-600 bg-indigo-50"
+              : "text-gray-600 hover:text-indigo-700 hover:bg-indigo-50"
+          }`}
+          onClick={() => setView("settings")}
+        >
+          <FiSettings
+            className={`mr-2 ${view === "settings" ? "text-indigo-600" : ""}`}
+          />{" "}
+          Settings
+        </button>
       </div>
     </div>
   );
@@ -103,6 +135,38 @@ const Navigation = ({ view, setView, savedResultsCount }) => {
           </div>
           <span className="text-xs font-medium">Notes & Quiz</span>
         </button>
+        <button
+          className={`flex flex-col items-center justify-center py-3 px-4 flex-1 ${
+            view === "usage" ? "text-indigo-700 bg-indigo-50" : "text-gray-600"
+          }`}
+          onClick={() => setView("usage")}
+        >
+          <div className="relative">
+            <FiBarChart2
+              className={`text-xl mb-1 ${
+                view === "usage" ? "text-indigo-600" : ""
+              }`}
+            />
+          </div>
+          <span className="text-xs font-medium">Usage</span>
+        </button>
+        <button
+          className={`flex flex-col items-center justify-center py-3 px-4 flex-1 ${
+            view === "settings"
+              ? "text-indigo-700 bg-indigo-50"
+              : "text-gray-600"
+          }`}
+          onClick={() => setView("settings")}
+        >
+          <div className="relative">
+            <FiSettings
+              className={`text-xl mb-1 ${
+                view === "settings" ? "text-indigo-600" : ""
+              }`}
+            />
+          </div>
+          <span className="text-xs font-medium">Settings</span>
+        </button>
       </div>
     </div>
   );
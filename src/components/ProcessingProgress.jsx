@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from "react";
+import { FiCheck } from "react-icons/fi";
+
+const STEPS = [
+  { stage: "extracting", label: "Extract pages" },
+  { stage: "structuring", label: "Structure notes" },
+  { stage: "validating", label: "Check formulas" },
+  { stage: "storing", label: "Save" },
+];
+
+// Rough number of output tokens per page, used to fill the structuring part of the bar
+const TOKENS_PER_PAGE = 400;
+
+/**
+ * Formats a duration as m:ss
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+const formatDuration = (ms) => {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+};
+
+/**
+ * Computes the overall completion of a run, in percent
+ * Extraction fills the first 70%, structuring the next 25%, checking formulas the next 3%
+ * @param {Object} progress - Progress state from useImageUpload
+ * @returns {number} Completion percentage
+ */
+const getPercentage = (progress) => {
+  switch (progress.stage) {
+    case "extracting":
+      return (progress.pagesExtracted / progress.pageCount) * 70;
+    case "structuring":
+      return (
+        70 +
+        Math.min(
+          1,
+          progress.tokensReceived / (progress.pageCount * TOKENS_PER_PAGE)
+        ) *
+          25
+      );
+    case "validating":
+      return 95;
+    case "storing":
+      return 98;
+    default:
+      return 100;
+  }
+};
+
+/**
+ * Step-by-step progress of the two-step notes pipeline, with elapsed time and ETA
+ *
+ * @param {Object} props
+ * @param {Object} props.progress - Progress state from useImageUpload
+ */
+const ProcessingProgress = ({ progress }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Refresh the elapsed time every second
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const elapsedMs = Math.max(0, now - progress.startedAt);
+  const remainingMs =
+    progress.estimatedMs !== null
+      ? progress.startedAt + progress.estimatedMs - now
+      : null;
+  const activeStep = STEPS.findIndex((step) => step.stage === progress.stage);
+
+  const getStepDetail = (step) => {
+    if (step.stage === "extracting") {
+      return `${progress.pagesExtracted} of ${progress.pageCount}`;
+    }
+    if (step.stage === "structuring" && progress.stage === "structuring") {
+      return progress.chunkCount > 1
+        ? `part ${progress.chunk} of ${progress.chunkCount}, ${progress.tokensReceived} tokens`
+        : `${progress.tokensReceived} tokens`;
+    }
+    return null;
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-white border border-gray-200 rounded-md">
+      <div className="flex justify-between text-sm text-gray-600 mb-2">
+        <span>Elapsed {formatDuration(elapsedMs)}</span>
+        {remainingMs !== null && (
+          <span>
+            {remainingMs > 0
+              ? `About ${formatDuration(remainingMs)} left`
+              : "Almost done..."}
+          </span>
+        )}
+      </div>
+
+      <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-indigo-500 transition-all duration-500"
+          style={{ width: `${getPercentage(progress)}%` }}
+        />
+      </div>
+
+      <ol className="flex justify-between mt-3 text-xs sm:text-sm">
+        {STEPS.map((step, index) => {
+          const done = activeStep === -1 || index < activeStep;
+          const active = index === activeStep;
+          const detail = getStepDetail(step);
+          return (
+            <li
+              key={step.stage}
+              className={`flex items-center ${
+                active
+                  ? "text-indigo-600 font-medium"
+                  : done
+                  ? "text-green-600"
+                  : "text-gray-400"
+              }`}
+            >
+              {done ? (
+                <FiCheck className="mr-1" />
+              ) : active ? (
+                <span className="mr-1 w-3 h-3 border-2 border-indigo-500 border-t-transparent rounded-full animate-spin"></span>
+              ) : null}
+              {step.label}
+              {detail && <span className="ml-1 text-gray-500">({detail})</span>}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default ProcessingProgress;
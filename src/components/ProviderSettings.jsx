@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import {
+  FiSettings,
+  FiSave,
+  FiZap,
+  FiCheckCircle,
+  FiAlertCircle,
+} from "react-icons/fi";
+import {
+  PROVIDERS,
+  OPENAI_COMPATIBLE_PROVIDER,
+  getProviderSettings,
+  updateProviderSettings,
+  testProviderConnection,
+} from "../service/geminiService";
+
+/**
+ * Component for picking the model provider notes and quizzes are generated with
+ */
+const ProviderSettings = () => {
+  const [settings, setSettings] = useState(getProviderSettings);
+  const [saved, setSaved] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+
+  const updateSetting = (name, value) => {
+    setSettings((prev) => ({ ...prev, [name]: value }));
+    setSaved(false);
+    setTestResult(null);
+  };
+
+  const handleSave = () => {
+    updateProviderSettings(settings);
+    setSaved(true);
+  };
+
+  // Save first, so the connection is tested with the settings on screen
+  const handleTest = async () => {
+    updateProviderSettings(settings);
+    setSaved(true);
+    setTesting(true);
+    setTestResult(await testProviderConnection());
+    setTesting(false);
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-4 text-gray-700 flex items-center">
+        <FiSettings className="mr-2 text-indigo-600" /> Settings
+      </h3>
+
+      <div className="border rounded-md p-4 bg-white">
+        <h4 className="font-medium text-gray-700 mb-3">Model provider</h4>
+        <div className="space-y-2">
+          {PROVIDERS.map((provider) => (
+            <label
+              key={provider.id}
+              className={`flex items-start gap-3 p-3 border rounded-md cursor-pointer ${
+                settings.provider === provider.id
+                  ? "border-indigo-500 bg-indigo-50"
+                  : "border-gray-200"
+              }`}
+            >
+              <input
+                type="radio"
+                name="provider"
+                value={provider.id}
+                checked={settings.provider === provider.id}
+                onChange={() => updateSetting("provider", provider.id)}
+                className="mt-1"
+              />
+              <div>
+                <div className="text-sm font-medium text-gray-800">
+                  {provider.label}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {provider.description}
+                </div>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {settings.provider === OPENAI_COMPATIBLE_PROVIDER && (
+          <div className="mt-4 space-y-3">
+            <div className="flex flex-col gap-1">
+              <label
+                htmlFor="provider-base-url"
+                className="text-sm font-medium text-gray-700"
+              >
+                Base URL
+              </label>
+              <input
+                id="provider-base-url"
+                type="url"
+                value={settings.openAiBaseUrl}
+                onChange={(e) => updateSetting("openAiBaseUrl", e.target.value)}
+                placeholder="http://localhost:11434/v1"
+                className="px-3 py-2 border border-gray-300 rounded-md bg-white text-sm"
+              />
+            </div>
+            <div className="flex flex-col gap-1">
+              <label
+                htmlFor="provider-model"
+                className="text-sm font-medium text-gray-700"
+              >
+                Model
+              </label>
+              <input
+                id="provider-model"
+                type="text"
+                value={settings.openAiModel}
+                onChange={(e) => updateSetting("openAiModel", e.target.value)}
+                placeholder="e.g. qwen2.5vl"
+                className="px-3 py-2 border border-gray-300 rounded-md bg-white text-sm"
+              />
+            </div>
+            <div className="flex flex-col gap-1">
+              <label
+                htmlFor="provider-api-key"
+                className="text-sm font-medium text-gray-700"
+              >
+                API key <span className="text-gray-400">(optional)</span>
+              </label>
+              <input
+                id="provider-api-key"
+                type="password"
+                value={settings.openAiApiKey}
+                onChange={(e) => updateSetting("openAiApiKey", e.target.value)}
+                autoComplete="off"
+                className="px-3 py-2 border border-gray-300 rounded-md bg-white text-sm"
+              />
+            </div>
+            <p className="text-xs text-gray-500">
+              Pages are read from photos, so pick a model that accepts images. A
+              local server must allow requests from this site, e.g. start Ollama
+              with OLLAMA_ORIGINS set to this site's address.
+            </p>
+          </div>
+        )}
+
+        <div className="mt-4 flex items-center gap-2">
+          <button
+            onClick={handleSave}
+            className="px-3 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-md transition-colors flex items-center"
+          >
+            <FiSave className="mr-1" /> Save
+          </button>
+          <button
+            onClick={handleTest}
+            disabled={testing}
+            className="px-3 py-1.5 bg-gray-200 hover:bg-gray-300 text-gray-700 text-sm rounded-md transition-colors flex items-center disabled:opacity-50"
+          >
+            <FiZap className="mr-1" />
+            {testing ? "Testing..." : "Test connection"}
+          </button>
+          {saved && !testResult && (
+            <span className="text-sm text-green-700">Saved</span>
+          )}
+        </div>
+
+        {testResult && (
+          <div
+            className={`mt-3 text-sm flex items-start ${
+              testResult.success ? "text-green-700" : "text-red-600"
+            }`}
+          >
+            {testResult.success ? (
+              <FiCheckCircle className="mr-1 mt-0.5 flex-shrink-0" />
+            ) : (
+              <FiAlertCircle className="mr-1 mt-0.5 flex-shrink-0" />
+            )}
+            {testResult.success
+              ? `Connected, ${testResult.model} answered.`
+              : testResult.error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProviderSettings;
@@ -12,6 +12,13 @@ import remarkMath from "remark-math";
 import rehypeKatex from "rehype-katex";
 import rehypeRaw from "rehype-raw";
 import "katex/dist/katex.min.css";
+import "katex/contrib/mhchem";
+import CancelButton from "./CancelButton";
+import {
+  usesDevanagari,
+  getLanguageTag,
+  formatGeneration,
+} from "../service/geminiService";
 
 /**
  * Component for displaying and interacting with quizzes
@@ -29,6 +36,7 @@ const QuizView = ({
   resetQuiz,
   getQuizScore,
   generateNextQuiz,
+  cancelNextQuiz,
 }) => {
   const [debugMode, setDebugMode] = useState(false);
   const [generatingNextQuiz, setGeneratingNextQuiz] = useState(false);
@@ -54,11 +62,19 @@ const QuizView = ({
   }
 
   const questions = quizResult.quizQuestions || [];
+  // Quizzes are written in the output language of the notes they are based on
+  const outputLanguage = quizResult.sourceData?.outputLanguage;
+  const languageClass = usesDevanagari({ outputLanguage })
+    ? "devanagari-text"
+    : "";
 
   // If there are no valid questions, show raw text
   if (questions.length === 0) {
     return (
-      <div className="bg-white p-4 md:p-6 rounded-lg shadow-sm">
+      <div
+        className={`bg-white p-4 md:p-6 rounded-lg shadow-sm ${languageClass}`}
+        lang={getLanguageTag(outputLanguage)}
+      >
         <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-4 gap-2">
           <h3 className="text-lg md:text-xl font-bold text-indigo-700">Quiz</h3>
           <div className="text-sm text-gray-500">
@@ -98,7 +114,10 @@ const QuizView = ({
   const quizNumber = quizResult.quizNumber || 1;
 
   return (
-    <div className="bg-white p-4 md:p-6 rounded-lg shadow-sm">
+    <div
+      className={`bg-white p-4 md:p-6 rounded-lg shadow-sm ${languageClass}`}
+      lang={getLanguageTag(outputLanguage)}
+    >
       <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-4 gap-2">
         <div className="bg-indigo-100 text-indigo-800 px-3 py-1 rounded-full text-sm font-medium">
           Question {currentQuestionIndex + 1} of {questions.length}
@@ -113,6 +132,11 @@ const QuizView = ({
 
       {debugMode && (
         <div className="mt-2 mb-4 p-3 bg-gray-100 border border-gray-300 rounded-md">
+          {quizResult.generation && (
+            <p className="text-xs text-gray-500 mb-2">
+              Generated with {formatGeneration(quizResult.generation)}
+            </p>
+          )}
           <h5 className="text-sm font-medium text-gray-700 mb-1">
             Question Data:
           </h5>
@@ -274,6 +298,9 @@ const QuizView = ({
                 )}
               </button>
             )}
+            {generatingNextQuiz && cancelNextQuiz && (
+              <CancelButton onCancel={cancelNextQuiz} />
+            )}
 
             <button
               onClick={() => window.history.back()}
@@ -1,5 +1,6 @@
 import React from "react";
 import { FiEdit, FiBookOpen, FiCheckCircle } from "react-icons/fi";
+import CancelButton from "./CancelButton";
 
 /**
  * Component for displaying analysis results with action buttons
@@ -8,12 +9,14 @@ import { FiEdit, FiBookOpen, FiCheckCircle } from "react-icons/fi";
  * @param {Array} props.results - Analysis results to display
  * @param {Function} props.onGenerateQuiz - Function to generate a quiz from results
  * @param {boolean} props.generatingQuiz - Whether a quiz is being generated
+ * @param {Function} props.onCancelQuiz - Function to cancel the running quiz generation
  * @param {Function} props.onViewNotes - Function to handle viewing notes
  */
 const ResultsTabView = ({
   results,
   onGenerateQuiz,
   generatingQuiz = false,
+  onCancelQuiz,
   onViewNotes,
 }) => {
   // Make sure we have results and they have IDs
@@ -65,6 +68,10 @@ const ResultsTabView = ({
             )}
           </button>
 
+          {generatingQuiz && onCancelQuiz && (
+            <CancelButton onCancel={onCancelQuiz} />
+          )}
+
           <button
             onClick={() => onViewNotes(results[0].id)}
             className="px-3 py-2 md:px-4 md:py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition-colors flex items-center justify-center"
@@ -8,6 +8,15 @@ import {
   FiList,
 } from "react-icons/fi";
 import { Link } from "react-router-dom";
+import AddPagesButton from "./AddPagesButton";
+import CancelButton from "./CancelButton";
+import ApiErrorNotice from "./ApiErrorNotice";
+import {
+  getSubjectLabel,
+  getLanguageLabel,
+  OUTPUT_LANGUAGES,
+  DEFAULT_OUTPUT_LANGUAGE,
+} from "../service/geminiService";
 
 /**
  * Component for displaying saved analysis results with collapsible sections
@@ -18,16 +27,28 @@ import { Link } from "react-router-dom";
  * @param {Array} props.savedQuizzes - Saved quizzes
  * @param {Function} props.onGenerateQuiz - Function to generate a quiz from a result
  * @param {boolean} props.generatingQuiz - Whether a quiz is being generated
+ * @param {Function} props.onCancelQuiz - Function to cancel the running quiz generation
  * @param {Object} props.selectedResult - Currently selected result, if any
  * @param {Function} props.onLoadQuiz - Function to load a saved quiz
+ * @param {Function} props.onAddPages - Function to append new page files to a result
+ * @param {Function} props.onCancelAddPages - Function to cancel adding pages
+ * @param {string} props.appendingResultId - ID of the result pages are being added to, if any
+ * @param {string} props.appendError - Error from the last add-pages attempt, if any
+ * @param {string} [props.appendErrorType] - Type of the API error behind appendError, if any
  */
 const SavedResults = ({
   savedResults,
   savedQuizzes,
   onGenerateQuiz,
   generatingQuiz,
+  onCancelQuiz,
   selectedResult,
   onLoadQuiz,
+  onAddPages,
+  onCancelAddPages,
+  appendingResultId,
+  appendError,
+  appendErrorType,
 }) => {
   // Keep track of which result sections are collapsed - all collapsed by default
   const [collapsedResults, setCollapsedResults] = useState({});
@@ -106,6 +127,14 @@ const SavedResults = ({
         </h3>
       </div>
 
+      {appendError && (
+        <ApiErrorNotice
+          message={appendError}
+          type={appendErrorType}
+          className="mb-4"
+        />
+      )}
+
       {savedResults.length === 0 ? (
         <div className="text-center py-6 text-gray-500 bg-white rounded-lg border border-gray-200">
           No saved analysis results yet. Upload and analyze some notes to get
@@ -136,10 +165,24 @@ const SavedResults = ({
                         <FiChevronUp className="text-gray-500" />
                       )}
                     </div>
-                    <div>
+                    <div className="flex items-center gap-2">
                       <h4 className="font-medium text-gray-800">
                         {getCurrentDateFormatted()}
                       </h4>
+                      {getSubjectLabel(result.subject) && (
+                        <span className="px-2 py-0.5 text-xs font-medium bg-indigo-100 text-indigo-700 rounded-full">
+                          {getSubjectLabel(result.subject)}
+                        </span>
+                      )}
+                      {result.outputLanguage &&
+                        result.outputLanguage !== DEFAULT_OUTPUT_LANGUAGE && (
+                          <span className="px-2 py-0.5 text-xs font-medium bg-amber-100 text-amber-700 rounded-full">
+                            {getLanguageLabel(
+                              OUTPUT_LANGUAGES,
+                              result.outputLanguage
+                            )}
+                          </span>
+                        )}
                     </div>
                   </div>
                   <div className="flex items-center space-x-2">
@@ -150,6 +193,15 @@ const SavedResults = ({
                     >
                       <FiEye />
                     </Link>
+                    {onAddPages && (
+                      <AddPagesButton
+                        compact
+                        onFilesSelected={(files) => onAddPages(result, files)}
+                        adding={appendingResultId === result.id}
+                        onCancel={onCancelAddPages}
+                        disabled={!!appendingResultId}
+                      />
+                    )}
                     <button
                       onClick={(e) => {
                         e.stopPropagation();
@@ -193,6 +245,15 @@ const SavedResults = ({
                         <FiPlayCircle className="text-lg" />
                       )}
                     </button>
+                    {generatingQuiz &&
+                      onCancelQuiz &&
+                      result.id === selectedResult?.id && (
+                        <CancelButton
+                          compact
+                          onCancel={onCancelQuiz}
+                          label="Cancel quiz generation"
+                        />
+                      )}
                   </div>
                 </div>
               </div>
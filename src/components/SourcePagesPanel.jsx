@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from "react";
+import { FiX } from "react-icons/fi";
+import { getPageImage } from "../service/pageImageService";
+import { toPlainNotesMarkdown } from "../utils/plainNotes";
+
+/**
+ * Modal showing the original photos of the pages a notes section came from,
+ * next to the text extracted from each page
+ *
+ * @param {Object} props
+ * @param {Object} props.result - The analysis result the pages belong to
+ * @param {number[]} props.pages - Page numbers to show
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ */
+const SourcePagesPanel = ({ result, pages, onClose }) => {
+  const [imageUrls, setImageUrls] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  // Load the kept page images as object URLs
+  useEffect(() => {
+    const urls = [];
+    let cancelled = false;
+    setLoading(true);
+
+    Promise.all(
+      pages.map((page) =>
+        getPageImage(result.id, page).catch((error) => {
+          console.error("Error loading page image:", error);
+          return null;
+        })
+      )
+    ).then((images) => {
+      if (cancelled) return;
+      const loadedUrls = {};
+      images.forEach((image, index) => {
+        if (!image) return;
+        const url = URL.createObjectURL(image);
+        urls.push(url);
+        loadedUrls[pages[index]] = url;
+      });
+      setImageUrls(loadedUrls);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [result.id, pages]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-5xl max-h-full overflow-auto p-4 md:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">
+            {pages.length === 1
+              ? `Original page ${pages[0]}`
+              : `Original pages ${pages.join(", ")}`}
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-full text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+            aria-label="Close"
+          >
+            <FiX />
+          </button>
+        </div>
+
+        {pages.map((page) => (
+          <div
+            key={page}
+            className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6 last:mb-0"
+          >
+            <div>
+              <p className="text-sm font-medium text-gray-600 mb-2">
+                Page {page}
+              </p>
+              {imageUrls[page] ? (
+                <img
+                  src={imageUrls[page]}
+                  alt={`Original page ${page}`}
+                  className="w-full rounded-md border border-gray-200"
+                />
+              ) : (
+                <div className="h-64 flex items-center justify-center bg-gray-100 rounded-md p-4 text-center text-sm text-gray-500">
+                  {loading ? (
+                    <span className="w-8 h-8 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></span>
+                  ) : (
+                    "The original image of this page was not kept on this device."
+                  )}
+                </div>
+              )}
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-600 mb-2">
+                Extracted text
+              </p>
+              <pre className="whitespace-pre-wrap font-mono text-xs bg-gray-50 border border-gray-200 rounded-md p-3 max-h-96 overflow-auto">
+                {/* Show the extraction without the app's markers */}
+                {result.pageExtractions?.[page - 1]
+                  ? toPlainNotesMarkdown(result.pageExtractions[page - 1])
+                  : "No extracted text was kept for this page."}
+              </pre>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SourcePagesPanel;
@@ -1,12 +1,44 @@
 import React from "react";
-import { FiEdit } from "react-icons/fi";
+import { FiEdit, FiImage, FiHelpCircle } from "react-icons/fi";
 import ReactMarkdown from "react-markdown";
 import remarkMath from "remark-math";
 import rehypeKatex from "rehype-katex";
 import rehypeRaw from "rehype-raw";
 import "katex/dist/katex.min.css";
+import "katex/contrib/mhchem";
 import { FiArrowLeft } from "react-icons/fi";
 import { useNavigate, useLocation } from "react-router-dom";
+import AddPagesButton from "./AddPagesButton";
+import CancelButton from "./CancelButton";
+import {
+  linkSourceMarkers,
+  getSourcePagesFromHref,
+} from "../utils/sourcePages";
+import { getNotesMarkdown } from "../utils/notesTree";
+import { linkFigureMarkers, getFigureIdFromSrc } from "../utils/figures";
+import {
+  highlightUncertainSpans,
+  listUncertainSpans,
+} from "../utils/uncertainSpans";
+import useFigureImages from "../hooks/useFigureImages";
+import {
+  usesDevanagari,
+  getLanguageTag,
+  formatGeneration,
+} from "../service/geminiService";
+
+/**
+ * Hides a display formula that is still being streamed, so half a formula
+ * is not rendered as a KaTeX error or swallows the text after it
+ * @param {string} markdown - Partial markdown
+ * @returns {string} Markdown up to the last complete formula
+ */
+const trimIncompleteMath = (markdown) => {
+  const delimiterCount = markdown.split("$$").length - 1;
+  return delimiterCount % 2 === 0
+    ? markdown
+    : markdown.slice(0, markdown.lastIndexOf("$$"));
+};
 
 /**
  * StructuredNotes component for displaying raw Gemini response
@@ -15,14 +47,29 @@ import { useNavigate, useLocation } from "react-router-dom";
  * @param {Object} props.result - The analysis result containing markdown content
  * @param {Function} props.onGenerateQuiz - Function to call when Generate Quiz button is clicked
  * @param {boolean} props.generatingQuiz - Whether a quiz is being generated
+ * @param {Function} props.onCancelQuiz - Function to cancel the running quiz generation
+ * @param {Function} props.onAddPages - Function to call with new page files to append
+ * @param {boolean} props.addingPages - Whether pages are being added
+ * @param {Function} props.onCancelAddPages - Function to cancel adding pages
+ * @param {boolean} props.generating - Whether the notes are still being streamed
+ * @param {Function} props.onShowSource - Function to call with the page numbers of a section's source
+ * @param {Function} props.onReviewUncertain - Function to call with the id of an uncertain reading to review
  */
 const StructuredNotes = ({
   result,
   onGenerateQuiz,
   generatingQuiz = false,
+  onCancelQuiz,
+  onAddPages,
+  addingPages = false,
+  onCancelAddPages,
+  generating = false,
+  onShowSource,
+  onReviewUncertain,
 }) => {
   const navigate = useNavigate();
   const location = useLocation();
+  const figureUrls = useFigureImages(result?.id, result?.figures);
 
   // Check if we have valid content
   if (!result || (!result.markdown && !result.description)) {
@@ -42,40 +89,102 @@ const StructuredNotes = ({
     }
   };
 
+  const getMarkdown = () => {
+    if (generating)
+      return highlightUncertainSpans(
+        linkFigureMarkers(trimIncompleteMath(result.markdown))
+      );
+    const markdown = highlightUncertainSpans(
+      linkFigureMarkers(getNotesMarkdown(result))
+    );
+    return onShowSource ? linkSourceMarkers(markdown) : markdown;
+  };
+
+  const uncertainSpans = generating
+    ? []
+    : listUncertainSpans(getNotesMarkdown(result));
+
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
-      <div className="flex justify-between items-center mb-6 pb-4 border-b">
-        <div className="mb-6 bg-white p-4 rounded-lg shadow-sm flex items-center">
-          <button
-            onClick={handleBackToDashboard}
-            className="inline-flex items-center text-indigo-600 hover:text-indigo-800"
-          >
-            <FiArrowLeft className="mr-1" /> Back
-          </button>
-        </div>{" "}
-        <div className="flex gap-2">
-          <button
-            onClick={() => onGenerateQuiz(result)}
-            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors flex items-center"
-            disabled={generatingQuiz}
-          >
-            {generatingQuiz ? (
-              <>
-                <span className="mr-2 w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
-                Generating Quiz...
-              </>
-            ) : (
-              <>
-                <FiEdit className="mr-2" /> Generate Quiz
-              </>
+      {generating ? (
+        <div className="flex items-center mb-6 pb-4 border-b text-indigo-600">
+          <span className="mr-2 w-4 h-4 border-2 border-indigo-600 border-t-transparent rounded-full animate-spin"></span>
+          Still generating notes... they will be saved once complete.
+        </div>
+      ) : (
+        <div className="flex justify-between items-center mb-6 pb-4 border-b">
+          <div className="mb-6 bg-white p-4 rounded-lg shadow-sm flex items-center">
+            <button
+              onClick={handleBackToDashboard}
+              className="inline-flex items-center text-indigo-600 hover:text-indigo-800"
+            >
+              <FiArrowLeft className="mr-1" /> Back
+            </button>
+          </div>{" "}
+          <div className="flex gap-2">
+            {onReviewUncertain && uncertainSpans.length > 0 && (
+              <button
+                onClick={() => onReviewUncertain(uncertainSpans[0].id)}
+                className="px-4 py-2 border border-amber-300 text-amber-700 bg-amber-50 rounded-md hover:bg-amber-100 transition-colors flex items-center"
+              >
+                <FiHelpCircle className="mr-2" /> Review {uncertainSpans.length}{" "}
+                Uncertain
+              </button>
+            )}
+            {onShowSource && result.pages > 0 && (
+              <button
+                onClick={() =>
+                  onShowSource(
+                    Array.from(
+                      { length: result.pages },
+                      (_, index) => index + 1
+                    )
+                  )
+                }
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors flex items-center"
+              >
+                <FiImage className="mr-2" /> Original Pages
+              </button>
+            )}
+            {onAddPages && (
+              <AddPagesButton
+                onFilesSelected={onAddPages}
+                adding={addingPages}
+                onCancel={onCancelAddPages}
+                disabled={generatingQuiz}
+              />
+            )}
+            <button
+              onClick={() => onGenerateQuiz(result)}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors flex items-center"
+              disabled={generatingQuiz}
+            >
+              {generatingQuiz ? (
+                <>
+                  <span className="mr-2 w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
+                  Generating Quiz...
+                </>
+              ) : (
+                <>
+                  <FiEdit className="mr-2" /> Generate Quiz
+                </>
+              )}
+            </button>
+            {generatingQuiz && onCancelQuiz && (
+              <CancelButton onCancel={onCancelQuiz} />
             )}
-          </button>
+          </div>
         </div>
-      </div>
+      )}
 
-      <div className="prose max-w-none">
+      <div
+        className={`prose max-w-none ${
+          usesDevanagari(result) ? "devanagari-text" : ""
+        }`}
+        lang={getLanguageTag(result.outputLanguage)}
+      >
         <ReactMarkdown
-          children={result.markdown}
+          children={getMarkdown()}
           remarkPlugins={[remarkMath]}
           rehypePlugins={[rehypeKatex, rehypeRaw]}
           components={{
@@ -119,6 +228,80 @@ const StructuredNotes = ({
                 />
               ),
 
+            // Render source-page links as buttons opening the original pages
+            a: ({ href, title, children }) => {
+              const sourcePages = getSourcePagesFromHref(href);
+              if (!sourcePages) {
+                return (
+                  <a href={href} title={title}>
+                    {children}
+                  </a>
+                );
+              }
+              return (
+                <button
+                  type="button"
+                  onClick={() => onShowSource(sourcePages)}
+                  className="ml-2 align-middle inline-flex items-center px-2 py-0.5 text-xs font-normal not-italic text-indigo-600 bg-indigo-50 rounded hover:bg-indigo-100"
+                  title="Show the original page"
+                >
+                  <FiImage className="mr-1" /> {children}
+                </button>
+              );
+            },
+
+            // Render figure references as the diagrams cropped from the pages
+            img: ({ src, alt, title }) => {
+              const figureId = getFigureIdFromSrc(src);
+              if (!figureId) {
+                return <img src={src} alt={alt} title={title} />;
+              }
+              return (
+                <span className="block my-6 text-center">
+                  {figureUrls[figureId] ? (
+                    <img
+                      src={figureUrls[figureId]}
+                      alt={alt}
+                      className="mx-auto max-h-96 rounded-md border border-gray-200"
+                    />
+                  ) : (
+                    <span className="inline-flex items-center px-3 py-2 bg-gray-100 rounded-md text-sm text-gray-500">
+                      <FiImage className="mr-2" /> Diagram
+                    </span>
+                  )}
+                  {alt && (
+                    <span className="block mt-2 text-sm italic text-gray-600">
+                      {alt}
+                    </span>
+                  )}
+                </span>
+              );
+            },
+
+            // Highlight readings the extraction was unsure about
+            mark: ({ "data-unsure-id": spanId, children }) =>
+              onReviewUncertain && !generating ? (
+                <mark
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => onReviewUncertain(spanId)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") onReviewUncertain(spanId);
+                  }}
+                  className="bg-yellow-100 border-b-2 border-dashed border-amber-400 rounded-sm cursor-pointer hover:bg-yellow-200"
+                  title="Unsure reading of the handwriting - click to review"
+                >
+                  {children}
+                </mark>
+              ) : (
+                <mark
+                  className="bg-yellow-100 border-b-2 border-dashed border-amber-400 rounded-sm"
+                  title="Unsure reading of the handwriting"
+                >
+                  {children}
+                </mark>
+              ),
+
             // Style emphasis and strong
             em: ({ node, ...props }) => <em className="italic" {...props} />,
             strong: ({ node, ...props }) => (
@@ -140,6 +323,12 @@ const StructuredNotes = ({
           }}
         />
       </div>
+
+      {!generating && result.generation && (
+        <p className="mt-6 pt-4 border-t text-xs text-gray-400">
+          Generated with {formatGeneration(result.generation)}
+        </p>
+      )}
     </div>
   );
 };
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from "react";
+import { FiX, FiCheck, FiChevronLeft, FiChevronRight } from "react-icons/fi";
+import ReactMarkdown from "react-markdown";
+import remarkMath from "remark-math";
+import rehypeKatex from "rehype-katex";
+import "katex/dist/katex.min.css";
+import "katex/contrib/mhchem";
+import { getPageImage } from "../service/pageImageService";
+import { cropImageRegion } from "../service/utils/imageUtils";
+import { getNotesMarkdown } from "../utils/notesTree";
+import { listUncertainSpans } from "../utils/uncertainSpans";
+
+// Margin around an uncertain reading's box, as a fraction of the page, so the
+// surrounding handwriting gives context
+const CROP_MARGIN = 0.05;
+
+/**
+ * Modal walking through the readings the extraction was unsure about, showing each
+ * next to the handwriting it was read from so it can be confirmed or corrected
+ *
+ * @param {Object} props
+ * @param {Object} props.result - The analysis result being reviewed
+ * @param {string} [props.initialSpanId] - ID of the reading to start with
+ * @param {Function} props.onResolve - Called with the span id and the reviewed text
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ */
+const UncertainReviewPanel = ({
+  result,
+  initialSpanId,
+  onResolve,
+  onClose,
+}) => {
+  const spans = listUncertainSpans(getNotesMarkdown(result));
+  const [index, setIndex] = useState(() =>
+    Math.max(
+      0,
+      spans.findIndex((span) => span.id === initialSpanId)
+    )
+  );
+  const [correction, setCorrection] = useState("");
+  const [imageUrl, setImageUrl] = useState(null);
+  const [loadingImage, setLoadingImage] = useState(true);
+
+  // Resolved readings leave the list, so stay within it
+  const currentIndex = Math.min(index, spans.length - 1);
+  const span = spans[currentIndex];
+  const spanDetails = result.uncertainSpans?.find(
+    (uncertainSpan) => uncertainSpan.id === span?.id
+  );
+
+  useEffect(() => {
+    setCorrection(span?.text || "");
+  }, [span?.id, span?.text]);
+
+  // Load the handwriting of the current reading, cropped from its page image
+  useEffect(() => {
+    if (!spanDetails) {
+      setImageUrl(null);
+      setLoadingImage(false);
+      return;
+    }
+
+    let url = null;
+    let cancelled = false;
+    setLoadingImage(true);
+
+    const loadImage = async () => {
+      try {
+        const pageImage = await getPageImage(result.id, spanDetails.page);
+        if (!pageImage) return null;
+        if (!spanDetails.box) return pageImage;
+
+        const { top, left, bottom, right } = spanDetails.box;
+        return await cropImageRegion(
+          pageImage,
+          {
+            top: Math.max(0, top - CROP_MARGIN),
+            left: Math.max(0, left - CROP_MARGIN),
+            bottom: Math.min(1, bottom + CROP_MARGIN),
+            right: Math.min(1, right + CROP_MARGIN),
+          },
+          `${spanDetails.id}.jpg`
+        );
+      } catch (error) {
+        console.error("Error loading the handwriting image:", error);
+        return null;
+      }
+    };
+
+    loadImage().then((image) => {
+      if (cancelled) return;
+      url = image ? URL.createObjectURL(image) : null;
+      setImageUrl(url);
+      setLoadingImage(false);
+    });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [result.id, spanDetails]);
+
+  const handleResolve = (text) => {
+    if (!text.trim()) return;
+    onResolve(span.id, text.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl max-h-full overflow-auto p-4 md:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">
+            {span
+              ? `Uncertain reading ${currentIndex + 1} of ${spans.length}`
+              : "Review complete"}
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-full text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+            aria-label="Close"
+          >
+            <FiX />
+          </button>
+        </div>
+
+        {!span ? (
+          <p className="text-gray-600">
+            Every uncertain reading in these notes has been reviewed.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm font-medium text-gray-600 mb-2">
+              Handwriting
+              {spanDetails ? ` on page ${spanDetails.page}` : ""}
+            </p>
+            {imageUrl ? (
+              <img
+                src={imageUrl}
+                alt="Handwriting of the uncertain reading"
+                className="w-full max-h-72 object-contain rounded-md border border-gray-200 mb-4"
+              />
+            ) : (
+              <div className="h-32 flex items-center justify-center bg-gray-100 rounded-md p-4 mb-4 text-center text-sm text-gray-500">
+                {loadingImage ? (
+                  <span className="w-8 h-8 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></span>
+                ) : (
+                  "The original image of this page was not kept on this device."
+                )}
+              </div>
+            )}
+
+            <p className="text-sm font-medium text-gray-600 mb-2">Read as</p>
+            <div className="prose max-w-none mb-4 px-3 py-2 bg-yellow-50 border border-yellow-200 rounded-md">
+              <ReactMarkdown
+                children={span.text}
+                remarkPlugins={[remarkMath]}
+                rehypePlugins={[rehypeKatex]}
+              />
+            </div>
+
+            <label
+              htmlFor="uncertain-correction"
+              className="block text-sm font-medium text-gray-600 mb-2"
+            >
+              Correction (Markdown, use $...$ for formulas)
+            </label>
+            <textarea
+              id="uncertain-correction"
+              value={correction}
+              onChange={(e) => setCorrection(e.target.value)}
+              rows={2}
+              className="w-full mb-4 p-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+
+            <div className="flex flex-wrap justify-between gap-2">
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setIndex(currentIndex - 1)}
+                  disabled={currentIndex === 0}
+                  className="px-3 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 flex items-center"
+                >
+                  <FiChevronLeft className="mr-1" /> Previous
+                </button>
+                <button
+                  onClick={() => setIndex(currentIndex + 1)}
+                  disabled={currentIndex === spans.length - 1}
+                  className="px-3 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 flex items-center"
+                >
+                  Next <FiChevronRight className="ml-1" />
+                </button>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleResolve(correction)}
+                  disabled={
+                    !correction.trim() || correction.trim() === span.text
+                  }
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Save Correction
+                </button>
+                <button
+                  onClick={() => handleResolve(span.text)}
+                  className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center"
+                >
+                  <FiCheck className="mr-2" /> Looks Right
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UncertainReviewPanel;
@@ -0,0 +1,246 @@
+import React, { useState } from "react";
+import { FiBarChart2, FiSave, FiX } from "react-icons/fi";
+import {
+  getDailyUsage,
+  getUsageHistory,
+  getDailyTokenBudget,
+  setDailyTokenBudget,
+  formatTokens,
+  formatCost,
+  summarizeUsage,
+} from "../service/geminiService";
+
+/**
+ * Table of the token usage of saved notes or quizzes
+ *
+ * @param {Object} props
+ * @param {string} props.title - Table heading
+ * @param {Array} props.rows - Rows ({ id, label, date, usage })
+ */
+const UsageTable = ({ title, rows }) => (
+  <div className="mt-6">
+    <h4 className="font-medium text-gray-700 mb-2">{title}</h4>
+    {rows.length === 0 ? (
+      <p className="text-sm text-gray-500">No usage recorded yet.</p>
+    ) : (
+      <div className="overflow-x-auto border rounded-md bg-white">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="text-left px-3 py-2 font-medium">Name</th>
+              <th className="text-right px-3 py-2 font-medium">Calls</th>
+              <th className="text-right px-3 py-2 font-medium">Prompt</th>
+              <th className="text-right px-3 py-2 font-medium">Output</th>
+              <th className="text-right px-3 py-2 font-medium">Total</th>
+              <th className="text-right px-3 py-2 font-medium">Time</th>
+              <th className="text-right px-3 py-2 font-medium">Est. cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ id, label, date, usage }) => (
+              <tr key={id} className="border-t">
+                <td className="px-3 py-2">
+                  <div className="text-gray-800">{label}</div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(date).toLocaleString()}
+                  </div>
+                </td>
+                <td className="text-right px-3 py-2">{usage.calls}</td>
+                <td className="text-right px-3 py-2">
+                  {formatTokens(usage.promptTokens)}
+                </td>
+                <td className="text-right px-3 py-2">
+                  {formatTokens(usage.candidatesTokens + usage.thoughtsTokens)}
+                </td>
+                <td className="text-right px-3 py-2 font-medium">
+                  {formatTokens(usage.totalTokens)}
+                </td>
+                <td className="text-right px-3 py-2">
+                  {(usage.latencyMs / 1000).toFixed(1)}s
+                </td>
+                <td className="text-right px-3 py-2">
+                  {formatCost(usage.estimatedCost)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * Component for displaying the token usage and estimated cost of model calls,
+ * and for setting the daily token budget
+ *
+ * @param {Object} props
+ * @param {Array} props.savedResults - Saved results array
+ * @param {Array} props.savedQuizzes - Saved quizzes array
+ */
+const UsageSummary = ({ savedResults, savedQuizzes }) => {
+  const [budget, setBudget] = useState(getDailyTokenBudget);
+  const [budgetInput, setBudgetInput] = useState(
+    () => getDailyTokenBudget()?.toString() || ""
+  );
+
+  const today = getDailyUsage();
+  const history = getUsageHistory(7);
+  const budgetPercentage = budget
+    ? Math.min(100, Math.round((today.totalTokens / budget) * 100))
+    : 0;
+
+  const handleSaveBudget = () => {
+    setDailyTokenBudget(Number(budgetInput));
+    setBudget(getDailyTokenBudget());
+    setBudgetInput(getDailyTokenBudget()?.toString() || "");
+  };
+
+  const handleRemoveBudget = () => {
+    setDailyTokenBudget(null);
+    setBudget(null);
+    setBudgetInput("");
+  };
+
+  const noteRows = savedResults
+    .filter((result) => result.usage)
+    .map((result) => ({
+      id: result.id,
+      label: result.fileName || "Notes",
+      date: result.timestamp,
+      // Added up again from the calls, so notes stored while unpriced models
+      // counted as free show their cost as unknown
+      usage: summarizeUsage(result.usage.entries),
+    }));
+
+  const quizRows = savedQuizzes
+    .filter((quiz) => quiz.usage)
+    .map((quiz) => ({
+      id: quiz.id,
+      label: `${quiz.sourceData?.fileName || "Notes Analysis"}${
+        quiz.isAdaptive ? ` (adaptive #${quiz.quizNumber || 1})` : ""
+      }`,
+      date: quiz.timestamp,
+      usage: summarizeUsage(quiz.usage.entries),
+    }));
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-4 text-gray-700 flex items-center">
+        <FiBarChart2 className="mr-2 text-indigo-600" /> Usage
+      </h3>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <div className="border rounded-md p-4 bg-white">
+          <h4 className="font-medium text-gray-700 mb-2">Today</h4>
+          <div className="text-2xl font-semibold text-gray-800">
+            {formatTokens(today.totalTokens)}{" "}
+            <span className="text-sm font-normal text-gray-500">
+              tokens
+              {budget && ` of ${formatTokens(budget)}`}
+            </span>
+          </div>
+          <p className="text-sm text-gray-600 mt-1">
+            {today.calls} {today.calls === 1 ? "call" : "calls"}, about{" "}
+            {formatCost(today.estimatedCost)}
+          </p>
+          {budget && (
+            <div className="mt-3">
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className={`h-2 rounded-full ${
+                    budgetPercentage >= 100
+                      ? "bg-red-500"
+                      : budgetPercentage >= 80
+                      ? "bg-yellow-500"
+                      : "bg-indigo-600"
+                  }`}
+                  style={{ width: `${budgetPercentage}%` }}
+                />
+              </div>
+              {budgetPercentage >= 100 && (
+                <p className="text-sm text-red-600 mt-2">
+                  Today's budget is used up. New notes and quizzes are blocked
+                  until tomorrow or until you raise the budget.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="border rounded-md p-4 bg-white">
+          <h4 className="font-medium text-gray-700 mb-2">Daily token budget</h4>
+          <p className="text-sm text-gray-600 mb-3">
+            Processing and quiz generation stop once today's usage reaches the
+            budget. Leave empty for no limit.
+          </p>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              step="1000"
+              value={budgetInput}
+              onChange={(e) => setBudgetInput(e.target.value)}
+              placeholder="e.g. 500000"
+              className="flex-1 border rounded-md px-3 py-1.5 text-sm"
+            />
+            <button
+              onClick={handleSaveBudget}
+              className="px-3 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-md transition-colors flex items-center"
+            >
+              <FiSave className="mr-1" /> Save
+            </button>
+            {budget && (
+              <button
+                onClick={handleRemoveBudget}
+                className="px-3 py-1.5 bg-gray-200 hover:bg-gray-300 text-gray-700 text-sm rounded-md transition-colors flex items-center"
+              >
+                <FiX className="mr-1" /> Remove
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-6">
+        <h4 className="font-medium text-gray-700 mb-2">Last 7 days</h4>
+        <div className="overflow-x-auto border rounded-md bg-white">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="text-left px-3 py-2 font-medium">Day</th>
+                <th className="text-right px-3 py-2 font-medium">Calls</th>
+                <th className="text-right px-3 py-2 font-medium">Tokens</th>
+                <th className="text-right px-3 py-2 font-medium">Est. cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((day) => (
+                <tr key={day.date.toDateString()} className="border-t">
+                  <td className="px-3 py-2">{day.date.toLocaleDateString()}</td>
+                  <td className="text-right px-3 py-2">{day.calls}</td>
+                  <td className="text-right px-3 py-2">
+                    {formatTokens(day.totalTokens)}
+                  </td>
+                  <td className="text-right px-3 py-2">
+                    {formatCost(day.estimatedCost)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <UsageTable title="Notes" rows={noteRows} />
+      <UsageTable title="Quizzes" rows={quizRows} />
+
+      <p className="mt-4 text-xs text-gray-400">
+        Costs are estimates from published per-token prices and may differ from
+        your bill.
+      </p>
+    </div>
+  );
+};
+
+export default UsageSummary;
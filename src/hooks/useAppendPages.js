@@ -0,0 +1,124 @@
+import { useRef, useState } from "react";
+import { appendPagesToAnalysisResult } from "../service/geminiService";
+import { isPdfFile, pdfToImageFiles } from "../service/utils/pdfUtils";
+import {
+  preprocessImage,
+  PDF_PAGE_PREPROCESSING,
+} from "../service/utils/imagePreprocessing";
+
+/**
+ * Preprocesses a page the same way as pages added on the upload tab
+ * Falls back to the original file if the browser cannot decode it
+ * @param {File} file - The page image
+ * @param {Object} [options] - Preprocessing options
+ * @returns {Promise<File>} The file to send for extraction
+ */
+const preparePage = async (file, options = {}) => {
+  try {
+    const processed = await preprocessImage(file, options);
+    return processed.file;
+  } catch (err) {
+    console.warn(`Preprocessing failed for ${file.name}, using original`, err);
+    return file;
+  }
+};
+
+/**
+ * Custom hook for appending new pages to an existing saved note
+ * @returns {Object} Append state and handlers
+ */
+const useAppendPages = () => {
+  const [appendingResultId, setAppendingResultId] = useState(null);
+  const [appendError, setAppendErrorMessage] = useState("");
+  // Type of the API error behind the message (see apiErrors), to suggest a recovery
+  const [appendErrorType, setAppendErrorType] = useState(null);
+  // Controller of the running append, used to cancel it
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Shows an error message, or clears it with an empty message
+   * @param {string} message - The error message
+   * @param {string} [type] - Type of the API error behind it, if any
+   */
+  const setAppendError = (message, type = null) => {
+    setAppendErrorMessage(message);
+    setAppendErrorType(type);
+  };
+
+  /**
+   * Cancels adding pages
+   * In-flight requests are aborted and the note is left unchanged
+   */
+  const cancelAppendPages = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  /**
+   * Extracts the new pages, merges them into the note and re-structures it
+   * @param {string} resultId - ID of the analysis result to extend
+   * @param {File[]} files - New image or PDF files, in page order
+   * @returns {Promise<Object|null>} The updated result, or null on failure or cancellation
+   */
+  const appendPages = async (resultId, files) => {
+    if (!files || files.length === 0) return null;
+
+    setAppendingResultId(resultId);
+    setAppendError("");
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    try {
+      const pages = [];
+      for (const file of files) {
+        if (isPdfFile(file)) {
+          const pdfPages = await pdfToImageFiles(file);
+          for (const { file: pageFile } of pdfPages) {
+            pages.push(await preparePage(pageFile, PDF_PAGE_PREPROCESSING));
+          }
+        } else if (file.type.startsWith("image/")) {
+          pages.push(await preparePage(file));
+        }
+      }
+
+      if (pages.length === 0) {
+        setAppendError("Only image and PDF files are supported");
+        return null;
+      }
+
+      // Cancelled while the pages were being prepared
+      if (abortController.signal.aborted) return null;
+
+      const result = await appendPagesToAnalysisResult(
+        resultId,
+        pages,
+        undefined,
+        { signal: abortController.signal }
+      );
+      if (result.cancelled) return null;
+      if (!result.success) {
+        setAppendError(`Error adding pages: ${result.error}`, result.errorType);
+        return null;
+      }
+
+      return result;
+    } catch (err) {
+      setAppendError("An error occurred while adding pages. Please try again.");
+      console.error(err);
+      return null;
+    } finally {
+      setAppendingResultId(null);
+      abortControllerRef.current = null;
+    }
+  };
+
+  return {
+    appendingResultId,
+    appendError,
+    appendErrorType,
+    appendPages,
+    cancelAppendPages,
+    setAppendError,
+  };
+};
+
+export default useAppendPages;
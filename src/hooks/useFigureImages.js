@@ -0,0 +1,53 @@
+import { useState, useEffect } from "react";
+import { getFigureImage } from "../service/pageImageService";
+
+/**
+ * Custom hook loading the cropped diagram images of an analysis result
+ * @param {string} [resultId] - ID of the analysis result
+ * @param {Array} [figures] - Figures stored on the result
+ * @returns {Object} Object URL of each figure image, by figure id
+ */
+const useFigureImages = (resultId, figures) => {
+  const [figureUrls, setFigureUrls] = useState({});
+  // Only reload when the set of figures changes, not on every new result object
+  const figureIds = (figures || []).map((figure) => figure.id).join(",");
+
+  useEffect(() => {
+    if (!resultId || !figureIds) {
+      setFigureUrls({});
+      return;
+    }
+
+    const urls = [];
+    let cancelled = false;
+    const ids = figureIds.split(",");
+
+    Promise.all(
+      ids.map((id) =>
+        getFigureImage(resultId, id).catch((error) => {
+          console.error("Error loading figure image:", error);
+          return null;
+        })
+      )
+    ).then((images) => {
+      if (cancelled) return;
+      const loadedUrls = {};
+      images.forEach((image, index) => {
+        if (!image) return;
+        const url = URL.createObjectURL(image);
+        urls.push(url);
+        loadedUrls[ids[index]] = url;
+      });
+      setFigureUrls(loadedUrls);
+    });
+
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [resultId, figureIds]);
+
+  return figureUrls;
+};
+
+export default useFigureImages;
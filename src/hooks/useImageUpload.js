@@ -1,8 +1,132 @@
-import { useState, useCallback } from "react";
+import { useState, useCallback, useEffect, useRef } from "react";
 import {
   processImageWithGemini,
   processBatchImagesWithTwoStepGemini,
+  retryPageExtraction,
+  getProcessingTimings,
+  clearExtractionCache,
+  getLanguageSettings,
+  storeLanguageSettings,
+  DEFAULT_INPUT_LANGUAGE,
+  DEFAULT_OUTPUT_LANGUAGE,
 } from "../service/geminiService";
+import { isPdfFile, pdfToImageFiles } from "../service/utils/pdfUtils";
+import {
+  preprocessImage,
+  PDF_PAGE_PREPROCESSING,
+} from "../service/utils/imagePreprocessing";
+import {
+  saveUploadQueue,
+  loadUploadQueue,
+} from "../service/uploadQueueService";
+
+// How long the upload queue has to stay unchanged before it is saved
+const QUEUE_SAVE_DELAY = 500;
+
+/**
+ * Formats a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+const formatSize = (bytes) => (bytes / 1024).toFixed(2) + " KB";
+
+/**
+ * Creates a stable id for an image entry, so statuses survive reordering
+ * @returns {string} The image id
+ */
+const createImageId = () =>
+  `${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+
+/**
+ * Estimates how long a run takes from the timings of previous runs
+ * Extraction time scales with the pages still to extract, structuring time with all pages
+ * @param {number} pagesToExtract - Pages that need to be extracted
+ * @param {number} pageCount - Pages in the batch
+ * @returns {number|null} Estimated duration in milliseconds, or null without history
+ */
+const estimateProcessingTime = (pagesToExtract, pageCount) => {
+  const timings = getProcessingTimings().filter((timing) => timing.pageCount);
+  if (timings.length === 0) return null;
+
+  const sum = (key) =>
+    timings.reduce((total, timing) => total + timing[key], 0);
+  const extractedPages = sum("pages");
+  const msPerExtractedPage =
+    extractedPages > 0 ? sum("extractionMs") / extractedPages : 0;
+  const structuringMsPerPage = sum("structuringMs") / sum("pageCount");
+
+  return msPerExtractedPage * pagesToExtract + structuringMsPerPage * pageCount;
+};
+
+/**
+ * Applies a preprocessing result to an image entry, replacing its file and preview
+ * Any earlier extraction belongs to the old file, so the page is queued again
+ * @param {Object} entry - The image entry
+ * @param {Object} processed - Result of preprocessImage
+ * @returns {Object} The updated image entry
+ */
+const withPreprocessingResult = (entry, processed) => {
+  const { file, ...preprocessing } = processed;
+  const updatedEntry = { ...entry };
+  delete updatedEntry.extraction;
+  delete updatedEntry.extractionUsage;
+  delete updatedEntry.extractionError;
+  delete updatedEntry.cached;
+  return {
+    ...updatedEntry,
+    file,
+    preview: URL.createObjectURL(file),
+    size: formatSize(file.size),
+    preprocessing,
+    status: "pending",
+  };
+};
+
+/**
+ * Creates an image entry with a preprocessed file and preview for the selected images grid
+ * Falls back to the original file if the browser cannot decode the image
+ * @param {File} file - The image file
+ * @param {Object} [pdfSource] - Source PDF info when the image is a rendered PDF page
+ * @returns {Promise<Object>} The image entry
+ */
+const prepareImageEntry = async (file, pdfSource) => {
+  const entry = {
+    id: createImageId(),
+    file,
+    originalFile: file,
+    name: file.name,
+    status: "pending",
+    ...(pdfSource && { pdfSource }),
+  };
+
+  try {
+    const processed = await preprocessImage(
+      file,
+      pdfSource ? PDF_PAGE_PREPROCESSING : {}
+    );
+    return withPreprocessingResult(entry, processed);
+  } catch (err) {
+    console.warn(`Preprocessing failed for ${file.name}, using original`, err);
+    return {
+      ...entry,
+      preview: URL.createObjectURL(file),
+      size: formatSize(file.size),
+    };
+  }
+};
+
+/**
+ * Recreates an image entry loaded from the persisted upload queue
+ * Pages that were mid-processing when the app closed are queued again
+ * @param {Object} storedImage - Image entry without its preview URL
+ * @returns {Object} The image entry
+ */
+const restoreImageEntry = (storedImage) => ({
+  ...storedImage,
+  id: storedImage.id || createImageId(),
+  preview: URL.createObjectURL(storedImage.file),
+  status: storedImage.status === "processing" ? "pending" : storedImage.status,
+});
 
 /**
  * Custom hook for handling image uploads and processing with two-step Gemini approach
@@ -10,28 +134,262 @@ import {
  */
 const useImageUpload = () => {
   const [images, setImages] = useState([]);
+  // Latest images, for handlers that read them after awaiting a request
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
   const [uploading, setUploading] = useState(false);
   const [results, setResults] = useState([]);
-  const [error, setError] = useState("");
+  const [error, setErrorMessage] = useState("");
+  // Type of the API error behind the message (see apiErrors), to suggest a recovery
+  const [errorType, setErrorType] = useState(null);
   const [extractedContent, setExtractedContent] = useState(""); // Store the extracted content from step 1
+  // Structured notes streamed so far, while the structuring step is still running
+  const [partialMarkdown, setPartialMarkdown] = useState("");
+  // Progress of the running batch: stage, page counts, tokens, start time and estimate
+  const [progress, setProgress] = useState(null);
+  // Number of addFiles/replaceImage calls still preparing files
+  const [preparingCount, setPreparingCount] = useState(0);
+  const preparingFiles = preparingCount > 0;
+  // Whether the persisted upload queue has been loaded (saving waits for this)
+  const [queueRestored, setQueueRestored] = useState(false);
+  // Controller of the running batch or retry, used to cancel it
+  const abortControllerRef = useRef(null);
+  // Subject picked by the user; empty to detect it from the notes
+  const [subject, setSubject] = useState("");
+  // Subject detected for a batch with failed pages, reused when they are retried
+  const [detectedSubject, setDetectedSubject] = useState(null);
+  const batchSubject = subject || detectedSubject || undefined;
+  // Whether to reuse cached extractions of identical page images
+  const [useCache, setUseCache] = useState(true);
+  // Languages the notes are written in and structured in, remembered across sessions
+  const [inputLanguage, setInputLanguage] = useState(
+    () => getLanguageSettings().inputLanguage || DEFAULT_INPUT_LANGUAGE
+  );
+  const [outputLanguage, setOutputLanguage] = useState(
+    () => getLanguageSettings().outputLanguage || DEFAULT_OUTPUT_LANGUAGE
+  );
 
   /**
-   * Handles file selection and creates image previews
+   * Shows an error message, or clears it with an empty message
+   * @param {string} message - The error message
+   * @param {string} [type] - Type of the API error behind it, if any
+   */
+  const setError = useCallback((message, type = null) => {
+    setErrorMessage(message);
+    setErrorType(type);
+  }, []);
+
+  useEffect(() => {
+    storeLanguageSettings({ inputLanguage, outputLanguage });
+  }, [inputLanguage, outputLanguage]);
+
+  // Restore the upload queue persisted in IndexedDB (after navigation or reload)
+  useEffect(() => {
+    let cancelled = false;
+
+    loadUploadQueue()
+      .then((savedQueue) => {
+        if (cancelled || !savedQueue) return;
+        // Never overwrite pages the user added before the queue finished loading
+        setImages((prevImages) =>
+          prevImages.length > 0
+            ? prevImages
+            : savedQueue.images.map(restoreImageEntry)
+        );
+        setResults((prevResults) =>
+          prevResults.length > 0 ? prevResults : savedQueue.results
+        );
+        if (savedQueue.results[0]?.originalExtraction) {
+          setExtractedContent(savedQueue.results[0].originalExtraction);
+        }
+      })
+      .catch((err) => console.error("Error restoring upload queue:", err))
+      .finally(() => {
+        if (!cancelled) setQueueRestored(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Persist the queue, including image blobs, statuses and results, once changes
+  // settle; a running batch updates page statuses many times a second
+  const latestQueueRef = useRef(null);
+  useEffect(() => {
+    if (!queueRestored) return;
+    latestQueueRef.current = { images, results };
+    const timer = setTimeout(() => {
+      saveUploadQueue({ images, results }).catch((err) =>
+        console.error("Error saving upload queue:", err)
+      );
+    }, QUEUE_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [images, results, queueRestored]);
+
+  // Save the latest queue when leaving the page, so no pending change is lost
+  useEffect(() => {
+    const queueRef = latestQueueRef;
+    return () => {
+      if (!queueRef.current) return;
+      saveUploadQueue(queueRef.current).catch((err) =>
+        console.error("Error saving upload queue:", err)
+      );
+    };
+  }, []);
+
+  /**
+   * Adds files to the selection, preprocesses them and creates image previews
+   * PDFs are rendered into one image per page, in document order
+   * Files that are neither images nor PDFs are ignored
+   * @param {File[]} files - The files to add
+   */
+  const addFiles = useCallback(
+    async (files) => {
+      const supportedFiles = files.filter(
+        (file) => file.type.startsWith("image/") || isPdfFile(file)
+      );
+
+      if (supportedFiles.length === 0) {
+        if (files.length > 0) {
+          setError("Only image and PDF files are supported");
+        }
+        return;
+      }
+
+      setPreparingCount((count) => count + 1);
+
+      try {
+        const newImages = [];
+        for (const file of supportedFiles) {
+          if (isPdfFile(file)) {
+            const pages = await pdfToImageFiles(file);
+            for (const { file: pageFile, pageNumber, pageCount } of pages) {
+              newImages.push(
+                await prepareImageEntry(pageFile, {
+                  name: file.name,
+                  pageNumber,
+                  pageCount,
+                })
+              );
+            }
+          } else {
+            newImages.push(await prepareImageEntry(file));
+          }
+        }
+
+        setImages((prevImages) => [...prevImages, ...newImages]);
+      } catch (err) {
+        setError(
+          "Could not read the selected PDF. Please check the file and try again."
+        );
+        console.error(err);
+      } finally {
+        setPreparingCount((count) => count - 1);
+      }
+    },
+    [setError]
+  );
+
+  /**
+   * Handles file selection from the file input
    * @param {Event} e - The file input change event
    */
   const handleImageChange = (e) => {
     const files = Array.from(e.target.files);
+    // Allow selecting the same file again after it was removed
+    e.target.value = "";
+    return addFiles(files);
+  };
 
-    // Preview the images
-    const newImages = files.map((file) => ({
-      file,
-      preview: URL.createObjectURL(file),
-      name: file.name,
-      size: (file.size / 1024).toFixed(2) + " KB",
-      status: "pending",
-    }));
+  /**
+   * Replaces an image with a new file, keeping its position in the batch
+   * @param {number} index - The index of the image to replace
+   * @param {File} file - The new image file (e.g. a retaken camera photo)
+   */
+  const replaceImage = async (index, file) => {
+    setPreparingCount((count) => count + 1);
+    try {
+      const entry = await prepareImageEntry(file);
+      setImages((prevImages) =>
+        prevImages.map((img, i) => {
+          if (i !== index) return img;
+          URL.revokeObjectURL(img.preview);
+          return entry;
+        })
+      );
+    } finally {
+      setPreparingCount((count) => count - 1);
+    }
+  };
+
+  /**
+   * Moves an image to a new position, which changes its page number in the batch
+   * @param {number} fromIndex - Current index of the image
+   * @param {number} toIndex - Target index of the image
+   */
+  const moveImage = (fromIndex, toIndex) => {
+    setImages((prevImages) => {
+      if (
+        fromIndex === toIndex ||
+        toIndex < 0 ||
+        toIndex >= prevImages.length
+      ) {
+        return prevImages;
+      }
+      const newImages = [...prevImages];
+      const [moved] = newImages.splice(fromIndex, 1);
+      newImages.splice(toIndex, 0, moved);
+      return newImages;
+    });
+  };
 
-    setImages([...images, ...newImages]);
+  /**
+   * Replaces an image with a new preprocessing result (e.g. after a manual crop)
+   * @param {number} index - The index of the image to update
+   * @param {Object} processed - Result of preprocessImage for the image's original file
+   */
+  const updateImagePreprocessing = (index, processed) => {
+    setImages((prevImages) =>
+      prevImages.map((img, i) => {
+        if (i !== index) return img;
+        URL.revokeObjectURL(img.preview);
+        return withPreprocessingResult(img, processed);
+      })
+    );
+  };
+
+  /**
+   * Rotates an image clockwise by 90 degrees
+   * Preprocessing is re-run on the original file, so the page edges are detected again
+   * @param {number} index - The index of the image to rotate
+   */
+  const rotateImage = async (index) => {
+    const image = images[index];
+    if (!image) return;
+
+    const rotation = ((image.preprocessing?.rotation || 0) + 90) % 360;
+
+    try {
+      const processed = await preprocessImage(image.originalFile, {
+        rotation,
+        ...(image.pdfSource && { autoCrop: false }),
+        ...(image.preprocessing && {
+          deskew: image.preprocessing.deskew,
+          enhanceContrast: image.preprocessing.enhanceContrast,
+        }),
+      });
+      setImages((prevImages) =>
+        prevImages.map((img) => {
+          if (img !== image) return img;
+          URL.revokeObjectURL(img.preview);
+          return withPreprocessingResult(img, processed);
+        })
+      );
+    } catch (err) {
+      setError(`Could not rotate ${image.name}`);
+      console.error(err);
+    }
   };
 
   /**
@@ -85,7 +443,10 @@ const useImageUpload = () => {
             onResultsUpdated([...results, ...newResults]);
           }
         } else {
-          setError(`Error processing ${images[i].name}: ${result.error}`);
+          setError(
+            `Error processing ${images[i].name}: ${result.error}`,
+            result.errorType
+          );
           updatedImages[i].status = "error";
         }
 
@@ -107,52 +468,127 @@ const useImageUpload = () => {
   };
 
   /**
-   * Processes all selected images in batch mode with two-step Gemini API
-   * This processes all images together rather than one by one
+   * Updates the image entries with the given ids
+   * @param {string[]} ids - Ids of the images to update
+   * @param {Function} update - Returns the changed fields for an image entry
+   */
+  const updateImagesById = (ids, update) => {
+    setImages((prevImages) =>
+      prevImages.map((img) =>
+        ids.includes(img.id) ? { ...img, ...update(img) } : img
+      )
+    );
+  };
+
+  /**
+   * Puts pages back in the queue after processing was cancelled
+   * @param {string[]} ids - Ids of the images to reset
+   */
+  const resetToPending = (ids) => {
+    updateImagesById(ids, () => ({
+      status: "pending",
+      extraction: undefined,
+      extractionUsage: undefined,
+      extractionError: undefined,
+      cached: undefined,
+      queuePosition: undefined,
+    }));
+  };
+
+  /**
+   * Cancels the running batch or page retry
+   * In-flight requests are aborted and nothing is stored
+   */
+  const cancelProcessing = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  /**
+   * Runs the two-step processing for a batch of pages
+   * Pages that were already extracted are not sent again, and every page reports
+   * its own status so failed pages can be retried individually
    *
+   * @param {Array} batchImages - Image entries of the batch, in page order
    * @param {Function} onResultsUpdated - Optional callback when results are updated
    * @returns {Promise<Object>} The batch processing result
    */
-  const processBatchWithGemini = async (onResultsUpdated) => {
-    if (images.length === 0) {
-      setError("Please upload at least one image");
-      return null;
-    }
-
+  const runBatch = async (batchImages, onResultsUpdated) => {
     setUploading(true);
     setError("");
-    const updatedImages = [...images];
+    const batchIds = batchImages.map((img) => img.id);
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    const pagesToExtract = batchImages.filter(
+      (img) => img.status !== "extracted"
+    ).length;
+    setProgress({
+      stage: "extracting",
+      pagesExtracted: batchImages.length - pagesToExtract,
+      pageCount: batchImages.length,
+      tokensReceived: 0,
+      startedAt: Date.now(),
+      estimatedMs: estimateProcessingTime(pagesToExtract, batchImages.length),
+    });
 
     try {
-      // Mark all images as processing
-      updatedImages.forEach((img, index) => {
-        if (img.status !== "complete") {
-          updatedImages[index].status = "processing";
-        }
-      });
-      setImages([...updatedImages]);
+      // Mark the pages that still need extraction as processing
+      updateImagesById(batchIds, (img) =>
+        img.status === "extracted"
+          ? {}
+          : { status: "processing", extractionError: undefined }
+      );
 
-      // Get all image files to process in batch
-      const imageFiles = images
-        .filter((img) => img.status !== "complete")
-        .map((img) => img.file);
+      const result = await processBatchImagesWithTwoStepGemini(
+        batchImages.map((img) => img.file),
+        undefined,
+        {
+          extractions: batchImages.map((img) =>
+            img.status === "extracted" ? img.extraction : null
+          ),
+          extractionUsage: batchImages.map((img) =>
+            img.status === "extracted" ? img.extractionUsage : null
+          ),
+          onPageExtracted: (index, pageResult) => {
+            updateImagesById([batchIds[index]], () =>
+              pageResult.success
+                ? {
+                    status: "extracted",
+                    extraction: pageResult.content,
+                    extractionUsage: pageResult.usage,
+                    cached: pageResult.cached,
+                    queuePosition: undefined,
+                  }
+                : {
+                    status: "error",
+                    extractionError: pageResult.error,
+                    queuePosition: undefined,
+                  }
+            );
+          },
+          onPageQueued: (index, queuePosition) => {
+            updateImagesById([batchIds[index]], () => ({ queuePosition }));
+          },
+          subject: batchSubject,
+          inputLanguage,
+          outputLanguage,
+          useCache,
+          onPartialMarkdown: setPartialMarkdown,
+          onProgress: (event) =>
+            setProgress((prevProgress) => ({ ...prevProgress, ...event })),
+          signal: abortController.signal,
+        }
+      );
 
-      if (imageFiles.length === 0) {
-        setError("All images have already been processed");
+      if (result.cancelled) {
+        resetToPending(batchIds);
         return null;
       }
 
-      // Call the batch processing service
-      const result = await processBatchImagesWithTwoStepGemini(imageFiles);
-
       if (result.success) {
         // Mark all processed images as complete
-        updatedImages.forEach((img, index) => {
-          if (updatedImages[index].status === "processing") {
-            updatedImages[index].status = "complete";
-          }
-        });
-        setImages([...updatedImages]);
+        updateImagesById(batchIds, () => ({ status: "complete" }));
+        setDetectedSubject(null);
 
         // Store the extracted content from the batch process
         if (result.originalExtraction) {
@@ -170,15 +606,18 @@ const useImageUpload = () => {
 
         return result;
       } else {
-        setError(`Error processing batch: ${result.error}`);
+        setError(`Error processing batch: ${result.error}`, result.errorType);
+        if (result.subject) {
+          setDetectedSubject(result.subject);
+        }
 
-        // Mark all processing images as error
-        updatedImages.forEach((img, index) => {
-          if (updatedImages[index].status === "processing") {
-            updatedImages[index].status = "error";
-          }
-        });
-        setImages([...updatedImages]);
+        // Failed pages already carry their own error; without per-page results
+        // (e.g. a missing API key) every page still processing has failed
+        updateImagesById(batchIds, (img) =>
+          img.status === "processing"
+            ? { status: "error", extractionError: result.error }
+            : {}
+        );
 
         return null;
       }
@@ -187,12 +626,127 @@ const useImageUpload = () => {
         "An error occurred while batch processing the images. Please try again."
       );
       console.error(err);
+      updateImagesById(batchIds, (img) =>
+        img.status === "processing" ? { status: "error" } : {}
+      );
       return null;
     } finally {
+      abortControllerRef.current = null;
+      setPartialMarkdown("");
+      setProgress(null);
       setUploading(false);
     }
   };
 
+  /**
+   * Processes all selected images in batch mode with two-step Gemini API
+   * This processes all images together rather than one by one
+   *
+   * @param {Function} onResultsUpdated - Optional callback when results are updated
+   * @returns {Promise<Object>} The batch processing result
+   */
+  const processBatchWithGemini = async (onResultsUpdated) => {
+    if (images.length === 0) {
+      setError("Please upload at least one image");
+      return null;
+    }
+
+    const batchImages = images.filter((img) => img.status !== "complete");
+
+    if (batchImages.length === 0) {
+      setError("All images have already been processed");
+      return null;
+    }
+
+    return runBatch(batchImages, onResultsUpdated);
+  };
+
+  /**
+   * Re-extracts a single failed page
+   * Once every page of the batch is extracted, the notes are structured straight away
+   *
+   * @param {number} index - The index of the image to retry
+   * @param {Function} onResultsUpdated - Optional callback when results are updated
+   * @returns {Promise<Object|null>} The batch result if the batch could be completed
+   */
+  const retryImage = async (index, onResultsUpdated) => {
+    const image = images[index];
+    if (!image) return null;
+
+    setUploading(true);
+    setError("");
+    updateImagesById([image.id], () => ({
+      status: "processing",
+      extractionError: undefined,
+    }));
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    let pageUpdate;
+    try {
+      const pageResult = await retryPageExtraction(image.file, undefined, {
+        subject: batchSubject,
+        inputLanguage,
+        useCache,
+        signal: abortController.signal,
+      });
+      if (pageResult.cancelled) {
+        resetToPending([image.id]);
+        return null;
+      }
+
+      pageUpdate = pageResult.success
+        ? {
+            status: "extracted",
+            extraction: pageResult.content,
+            extractionUsage: pageResult.usage,
+            cached: pageResult.cached,
+          }
+        : { status: "error", extractionError: pageResult.error };
+      updateImagesById([image.id], () => pageUpdate);
+
+      if (!pageResult.success) {
+        setError(
+          `Error processing ${image.name}: ${pageResult.error}`,
+          pageResult.errorType
+        );
+        return null;
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setUploading(false);
+    }
+
+    // Pages may have changed while the retry was running; the retried page's update
+    // may not have rendered yet
+    const batchImages = imagesRef.current
+      .filter((img) => img.status !== "complete")
+      .map((img) => (img.id === image.id ? { ...img, ...pageUpdate } : img));
+
+    if (
+      batchImages.length > 0 &&
+      batchImages.every((img) => img.status === "extracted")
+    ) {
+      return runBatch(batchImages, onResultsUpdated);
+    }
+    return null;
+  };
+
+  /**
+   * Removes every cached page extraction
+   * @returns {Promise<boolean>} Whether the cache was cleared
+   */
+  const clearCache = async () => {
+    try {
+      await clearExtractionCache();
+      return true;
+    } catch (err) {
+      setError("Could not clear the extraction cache");
+      console.error(err);
+      return false;
+    }
+  };
+
   /**
    * Resets the image upload state
    */
@@ -203,6 +757,7 @@ const useImageUpload = () => {
     setResults([]);
     setError("");
     setExtractedContent("");
+    setDetectedSubject(null);
   };
 
   /**
@@ -235,11 +790,31 @@ const useImageUpload = () => {
     uploading,
     results,
     error,
+    errorType,
     extractedContent,
+    partialMarkdown,
+    progress,
+    preparingFiles,
+    subject,
+    setSubject,
+    inputLanguage,
+    setInputLanguage,
+    outputLanguage,
+    setOutputLanguage,
+    useCache,
+    setUseCache,
+    clearCache,
     handleImageChange,
+    addFiles,
+    replaceImage,
     removeImage,
+    moveImage,
+    rotateImage,
+    updateImagePreprocessing,
     processWithGemini,
     processBatchWithGemini,
+    retryImage,
+    cancelProcessing,
     resetImageUpload,
     setResultsDirectly,
     setError,
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useRef } from "react";
 import {
   generateQuizFromNotes,
   generateAdaptiveQuiz,
@@ -19,6 +19,10 @@ const useQuiz = () => {
   const [showAnswer, setShowAnswer] = useState(false);
   const [quizCompleted, setQuizCompleted] = useState(false);
   const [error, setError] = useState("");
+  // Type of the API error behind the message (see apiErrors), to suggest a recovery
+  const [errorType, setErrorType] = useState(null);
+  // Controller of the running quiz generation, used to cancel it
+  const abortControllerRef = useRef(null);
 
   /**
    * Initializes the quiz hook with any previously saved quizzes
@@ -43,12 +47,16 @@ const useQuiz = () => {
    * Generates a quiz from analysis results
    * @param {Object} result - The analysis result to generate a quiz from
    * @param {boolean} useAdaptive - Whether to use adaptive quiz generation
-   * @returns {Promise<Object>} The generated quiz
+   * @returns {Promise<Object>} The generated quiz, or the failure (success false, error
+   *   and errorType)
    */
   const handleGenerateQuiz = async (result, useAdaptive = true) => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
     setGeneratingQuiz(true);
     setQuizResult(null);
     setError("");
+    setErrorType(null);
     setSelectedResult(result);
     setCurrentQuestionIndex(0);
     setUserAnswers({});
@@ -75,18 +83,6 @@ const useQuiz = () => {
         );
       }
 
-      // Check environment variables
-      console.log("Checking for API key...");
-      if (
-        !import.meta.env.VITE_GEMINI_API_KEY ||
-        import.meta.env.VITE_GEMINI_API_KEY === "your_gemini_api_key_here"
-      ) {
-        console.error("API key is missing or using placeholder value");
-        throw new Error(
-          "Gemini API key is not configured. Please set up your API key."
-        );
-      }
-
       // Determine if we should use adaptive generation based on whether there are previous quiz attempts
       const allQuizzes = getStoredQuizzes();
       const hasAttemptedQuizzes = allQuizzes.some(
@@ -100,17 +96,23 @@ const useQuiz = () => {
       );
       let quiz;
       try {
+        const options = { signal: abortController.signal };
         quiz =
           useAdaptive && hasAttemptedQuizzes
-            ? await generateAdaptiveQuiz(result)
-            : await generateQuizFromNotes(result);
+            ? await generateAdaptiveQuiz(result, undefined, options)
+            : await generateQuizFromNotes(result, undefined, options);
       } catch (apiError) {
         console.error("API error during quiz generation:", apiError);
-        throw new Error(`Error calling Gemini API: ${apiError.message}`);
+        throw new Error(`Error calling the model API: ${apiError.message}`);
       }
 
       console.log("Quiz generation response:", quiz);
 
+      if (quiz.cancelled) {
+        console.log("Quiz generation cancelled");
+        return quiz;
+      }
+
       if (quiz.success) {
         console.log("Quiz generation successful");
 
@@ -152,7 +154,8 @@ const useQuiz = () => {
         const errorMsg = `Failed to generate quiz: ${quiz.error}`;
         console.error(errorMsg);
         setError(errorMsg);
-        return null;
+        setErrorType(quiz.errorType || null);
+        return { success: false, error: quiz.error, errorType: quiz.errorType };
       }
     } catch (err) {
       const errorMsg = `Error generating quiz: ${err.message}`;
@@ -163,10 +166,18 @@ const useQuiz = () => {
         error: errorMsg,
       };
     } finally {
+      abortControllerRef.current = null;
       setGeneratingQuiz(false);
     }
   };
 
+  /**
+   * Cancels the running quiz generation; the partial quiz is not stored
+   */
+  const cancelQuizGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   /**
    * Moves to the next question in the quiz
    */
@@ -350,8 +361,10 @@ const useQuiz = () => {
     showAnswer,
     quizCompleted,
     error,
+    errorType,
     initializeWithSavedQuizzes,
     handleGenerateQuiz,
+    cancelQuizGeneration,
     handleNextQuestion,
     handlePreviousQuestion,
     handleAnswerSelect,
@@ -0,0 +1,61 @@
+import { useState, useEffect } from "react";
+import {
+  geminiScheduler,
+  openAiCompatibleScheduler,
+} from "../service/utils/requestScheduler";
+
+const schedulers = [geminiScheduler, openAiCompatibleScheduler];
+
+/**
+ * Combine the states of the request queues of every model provider
+ * @returns {Object} Running and queued request counts, and the latest pause end time
+ */
+const getQueueState = () =>
+  schedulers
+    .map((scheduler) => scheduler.getState())
+    .reduce((total, state) => ({
+      active: total.active + state.active,
+      queued: total.queued + state.queued,
+      pausedUntil: Math.max(total.pausedUntil, state.pausedUntil) || null,
+    }));
+
+/**
+ * Custom hook exposing the state of the shared request queues
+ * @returns {Object} Running and queued request counts, and seconds left in a rate-limit pause
+ */
+const useRequestQueue = () => {
+  const [queueState, setQueueState] = useState(getQueueState);
+  const [pausedSeconds, setPausedSeconds] = useState(0);
+
+  useEffect(() => {
+    const unsubscribes = schedulers.map((scheduler) =>
+      scheduler.subscribe(() => setQueueState(getQueueState()))
+    );
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, []);
+
+  // Count down every second while the queue is paused after a rate limit
+  useEffect(() => {
+    if (!queueState.pausedUntil) return;
+
+    const updateCountdown = () =>
+      setPausedSeconds(
+        Math.max(0, Math.ceil((queueState.pausedUntil - Date.now()) / 1000))
+      );
+    updateCountdown();
+    const interval = setInterval(updateCountdown, 1000);
+
+    return () => {
+      clearInterval(interval);
+      setPausedSeconds(0);
+    };
+  }, [queueState.pausedUntil]);
+
+  return {
+    activeRequests: queueState.active,
+    queuedRequests: queueState.queued,
+    pausedSeconds,
+  };
+};
+
+export default useRequestQueue;
@@ -2,6 +2,10 @@ import React, { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import "./index.css";
 import App from "./App.jsx";
+import { upgradeStoredChemistryNotation } from "./service/chemistryNotationService";
+
+// Notes stored before mhchem was enabled write chemistry with \mathrm{...}
+upgradeStoredChemistryNotation();
 
 createRoot(document.getElementById("root")).render(
   <StrictMode>
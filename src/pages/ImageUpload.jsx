@@ -19,6 +19,7 @@ import {
   getStoredQuizzes,
   parseQuestions,
   storeAnalysisResult,
+  getErrorRecovery,
 } from "../service/geminiService";
 import ReactMarkdown from "react-markdown";
 import remarkMath from "remark-math";
@@ -35,13 +36,15 @@ import ResultsTabView from "../components/ResultsTabView";
 import SavedResults from "../components/SavedResults";
 import SavedQuizzes from "../components/SavedQuizzes";
 import QuizView from "../components/QuizView";
+import UsageSummary from "../components/UsageSummary";
+import ProviderSettings from "../components/ProviderSettings";
 import RawResponseView from "../pages/RawResponseView";
 
 // Import hooks
 import useImageUpload from "../hooks/useImageUpload";
 import useQuiz from "../hooks/useQuiz";
-
-const TEMP_STATE_KEY = "temp_upload_state";
+import useAppendPages from "../hooks/useAppendPages";
+import useRequestQueue from "../hooks/useRequestQueue";
 
 // Component for displaying the extracted content from the first step
 // const ExtractedContent = ({ content }) => {
@@ -67,66 +70,58 @@ const ImageUpload = ({ initialView = "upload" }) => {
   const [savedQuizzes, setSavedQuizzes] = useState([]);
   const [rawResponse, setRawResponse] = useState(null);
 
-  // Add effect to reset upload section when view changes
-  useEffect(() => {
-    if (view !== "upload") {
-      resetImageUpload();
-    }
-  }, [view]);
-
   // Use the custom hooks
   const {
     images,
     uploading,
     results,
     error,
+    errorType,
     extractedContent,
+    partialMarkdown,
+    progress,
+    preparingFiles,
+    subject,
+    setSubject,
+    inputLanguage,
+    setInputLanguage,
+    outputLanguage,
+    setOutputLanguage,
+    useCache,
+    setUseCache,
+    clearCache,
     handleImageChange,
+    addFiles,
+    replaceImage,
     removeImage,
+    moveImage,
+    rotateImage,
+    updateImagePreprocessing,
     processBatchWithGemini,
+    retryImage,
+    cancelProcessing,
     resetImageUpload,
     setResultsDirectly,
     setError,
-    setImagesDirectly,
   } = useImageUpload();
 
-  const { quizResult, selectedResult, generatingQuiz, handleGenerateQuiz } =
-    useQuiz();
+  const {
+    quizResult,
+    selectedResult,
+    generatingQuiz,
+    handleGenerateQuiz,
+    cancelQuizGeneration,
+  } = useQuiz();
 
-  // Save state before navigating away
-  const saveStateBeforeNavigation = () => {
-    const stateToSave = {
-      images: images,
-      results: results,
-      timestamp: Date.now(),
-    };
-    localStorage.setItem(TEMP_STATE_KEY, JSON.stringify(stateToSave));
-  };
+  const {
+    appendingResultId,
+    appendError,
+    appendErrorType,
+    appendPages,
+    cancelAppendPages,
+  } = useAppendPages();
 
-  // Restore state when returning
-  const restoreState = () => {
-    try {
-      const savedState = localStorage.getItem(TEMP_STATE_KEY);
-      if (savedState) {
-        const {
-          images: savedImages,
-          results: savedResults,
-          timestamp,
-        } = JSON.parse(savedState);
-
-        // Only restore if the state is less than 5 minutes old
-        if (Date.now() - timestamp < 5 * 60 * 1000) {
-          setImagesDirectly(savedImages);
-          setResultsDirectly(savedResults);
-        }
-
-        // Clear the saved state
-        localStorage.removeItem(TEMP_STATE_KEY);
-      }
-    } catch (error) {
-      console.error("Error restoring state:", error);
-    }
-  };
+  const requestQueue = useRequestQueue();
 
   // Load saved results and quizzes on component mount
   useEffect(() => {
@@ -145,6 +140,10 @@ const ImageUpload = ({ initialView = "upload" }) => {
         setView("saved");
       } else if (tabParam === "upload") {
         setView("upload");
+      } else if (tabParam === "usage") {
+        setView("usage");
+      } else if (tabParam === "settings") {
+        setView("settings");
       }
 
       // Check for quizId in URL parameters
@@ -159,11 +158,6 @@ const ImageUpload = ({ initialView = "upload" }) => {
           navigate(`/quiz?id=${quizId}`);
         }
       }
-
-      // Restore state if returning from notes view
-      if (location.state?.returnFromNotes) {
-        restoreState();
-      }
     };
 
     loadSavedData();
@@ -180,6 +174,15 @@ const ImageUpload = ({ initialView = "upload" }) => {
     }
   };
 
+  // Handler for retrying a failed page; completes the batch once every page is extracted
+  const retryImageAndUpdateSaved = async (index) => {
+    const result = await retryImage(index);
+    if (result && result.success) {
+      setSavedResults((prev) => [result, ...prev]);
+      setResultsDirectly([result]);
+    }
+  };
+
   // Handler for generating a quiz and navigating to quiz page
   const handleGenerateQuizAndView = async (result) => {
     try {
@@ -187,6 +190,11 @@ const ImageUpload = ({ initialView = "upload" }) => {
       const quiz = await handleGenerateQuiz(result);
       console.log("Quiz generation result:", quiz);
 
+      // Cancelled by the user, nothing to report
+      if (quiz?.cancelled) {
+        return;
+      }
+
       if (quiz && quiz.success) {
         // Store the quiz ID in localStorage to persist between page navigation
         localStorage.setItem("currentQuizId", quiz.id);
@@ -201,8 +209,19 @@ const ImageUpload = ({ initialView = "upload" }) => {
         // Set error to display to the user
         setError(errorMessage);
 
-        // Display alert for immediate feedback
-        alert(`Quiz generation failed: ${errorMessage}`);
+        // Display alert for immediate feedback, offering the tab that can fix the error
+        const recovery = getErrorRecovery(quiz?.errorType);
+        const alertMessage = `Quiz generation failed: ${errorMessage}${
+          recovery ? `\n\n${recovery.hint}` : ""
+        }`;
+        if (recovery?.action) {
+          const tabName = recovery.action === "usage" ? "Usage" : "Settings";
+          if (window.confirm(`${alertMessage}\n\nOpen ${tabName} now?`)) {
+            setView(recovery.action);
+          }
+        } else {
+          alert(alertMessage);
+        }
       }
     } catch (error) {
       console.error("Error in quiz generation:", error);
@@ -213,6 +232,16 @@ const ImageUpload = ({ initialView = "upload" }) => {
     }
   };
 
+  // Handler for appending new pages to a saved note, keeping the same result id
+  const handleAddPages = async (result, files) => {
+    const updatedResult = await appendPages(result.id, files);
+    if (updatedResult) {
+      setSavedResults((prev) =>
+        prev.map((r) => (r.id === updatedResult.id ? updatedResult : r))
+      );
+    }
+  };
+
   // Handler for loading a saved quiz
   const handleLoadQuiz = (quiz) => {
     // Store the quiz ID in localStorage
@@ -220,9 +249,8 @@ const ImageUpload = ({ initialView = "upload" }) => {
     navigate("/quiz");
   };
 
-  // Handler for viewing notes - save state before navigating
+  // Handler for viewing notes - the upload queue is persisted by useImageUpload
   const handleViewNotes = (noteId) => {
-    saveStateBeforeNavigation();
     navigate(`/notes/${noteId}`, { state: { fromUpload: true } });
   };
 
@@ -236,11 +264,45 @@ const ImageUpload = ({ initialView = "upload" }) => {
               images={images}
               uploading={uploading}
               error={error}
+              errorType={errorType}
+              preparingFiles={preparingFiles}
               handleImageChange={handleImageChange}
+              addFiles={addFiles}
+              replaceImage={replaceImage}
               removeImage={removeImage}
+              moveImage={moveImage}
+              rotateImage={rotateImage}
+              updateImagePreprocessing={updateImagePreprocessing}
               processBatchWithGemini={processBatchWithGeminiAndUpdateSaved}
+              retryImage={retryImageAndUpdateSaved}
+              cancelProcessing={cancelProcessing}
+              resetImageUpload={resetImageUpload}
+              requestQueue={requestQueue}
+              progress={progress}
+              subject={subject}
+              setSubject={setSubject}
+              inputLanguage={inputLanguage}
+              setInputLanguage={setInputLanguage}
+              outputLanguage={outputLanguage}
+              setOutputLanguage={setOutputLanguage}
+              useCache={useCache}
+              setUseCache={setUseCache}
+              clearCache={clearCache}
             />
 
+            {partialMarkdown && (
+              <div className="mt-6">
+                <StructuredNotes
+                  result={{
+                    markdown: partialMarkdown,
+                    inputLanguage,
+                    outputLanguage,
+                  }}
+                  generating
+                />
+              </div>
+            )}
+
             {/* {extractedContent && (
               <ExtractedContent content={extractedContent} />
             )} */}
@@ -254,6 +316,7 @@ const ImageUpload = ({ initialView = "upload" }) => {
                   results={results}
                   onGenerateQuiz={handleGenerateQuizAndView}
                   generatingQuiz={generatingQuiz}
+                  onCancelQuiz={cancelQuizGeneration}
                   onViewNotes={handleViewNotes}
                 />
               </div>
@@ -268,11 +331,28 @@ const ImageUpload = ({ initialView = "upload" }) => {
             savedQuizzes={savedQuizzes}
             onGenerateQuiz={handleGenerateQuizAndView}
             generatingQuiz={generatingQuiz}
+            onCancelQuiz={cancelQuizGeneration}
             selectedResult={selectedResult}
             onLoadQuiz={handleLoadQuiz}
+            onAddPages={handleAddPages}
+            onCancelAddPages={cancelAppendPages}
+            appendingResultId={appendingResultId}
+            appendError={appendError}
+            appendErrorType={appendErrorType}
+          />
+        );
+
+      case "usage":
+        return (
+          <UsageSummary
+            savedResults={savedResults}
+            savedQuizzes={savedQuizzes}
           />
         );
 
+      case "settings":
+        return <ProviderSettings />;
+
       default:
         return <div>Unknown view</div>;
     }
@@ -1,12 +1,17 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useParams, Link, useNavigate, useLocation } from "react-router-dom";
 import { FiArrowLeft } from "react-icons/fi";
 import StructuredNotes from "../components/StructuredNotes";
+import SourcePagesPanel from "../components/SourcePagesPanel";
+import UncertainReviewPanel from "../components/UncertainReviewPanel";
+import ApiErrorNotice from "../components/ApiErrorNotice";
 import {
   getStoredAnalysisResults,
   generateQuizFromNotes,
   storeQuizResult,
+  resolveUncertainReading,
 } from "../service/geminiService";
+import useAppendPages from "../hooks/useAppendPages";
 
 const NotesView = () => {
   const { noteId } = useParams();
@@ -15,6 +20,19 @@ const NotesView = () => {
   const [noteData, setNoteData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [generatingQuiz, setGeneratingQuiz] = useState(false);
+  const [sourcePages, setSourcePages] = useState(null);
+  const [reviewSpanId, setReviewSpanId] = useState(null);
+  const [reviewError, setReviewError] = useState(null);
+  // Error of the last quiz generation (message and API error type)
+  const [quizError, setQuizError] = useState(null);
+  const quizAbortControllerRef = useRef(null);
+  const {
+    appendingResultId,
+    appendError,
+    appendErrorType,
+    appendPages,
+    cancelAppendPages,
+  } = useAppendPages();
 
   useEffect(() => {
     // Load the note data from storage
@@ -34,13 +52,17 @@ const NotesView = () => {
 
   // Function to handle quiz generation
   const handleGenerateQuiz = async (result) => {
+    const abortController = new AbortController();
+    quizAbortControllerRef.current = abortController;
+
     try {
       setGeneratingQuiz(true);
+      setQuizError(null);
 
       // Generate a quiz from the notes
-      const generatedQuiz = await generateQuizFromNotes(
-        result.markdown || result.rawText || ""
-      );
+      const generatedQuiz = await generateQuizFromNotes(result, undefined, {
+        signal: abortController.signal,
+      });
 
       if (generatedQuiz && generatedQuiz.success) {
         // Add source data and store the quiz
@@ -50,6 +72,7 @@ const NotesView = () => {
             id: result.id,
             fileName: result.fileName || "Analysis Result",
             timestamp: result.timestamp,
+            outputLanguage: result.outputLanguage,
           },
         };
 
@@ -64,16 +87,51 @@ const NotesView = () => {
           "Failed to generate quiz:",
           generatedQuiz?.error || "Unknown error"
         );
+        // Cancelled by the user, nothing to report
+        if (!generatedQuiz?.cancelled) {
+          setQuizError({
+            message: `Failed to generate quiz: ${
+              generatedQuiz?.error || "Unknown error"
+            }`,
+            type: generatedQuiz?.errorType,
+          });
+        }
         return null;
       }
     } catch (error) {
       console.error("Error generating quiz:", error);
+      setQuizError({ message: `Error generating quiz: ${error.message}` });
       return null;
     } finally {
+      quizAbortControllerRef.current = null;
       setGeneratingQuiz(false);
     }
   };
 
+  // Function to cancel a running quiz generation
+  const handleCancelQuiz = () => {
+    quizAbortControllerRef.current?.abort();
+  };
+
+  // Function to handle appending new pages to this note
+  const handleAddPages = async (files) => {
+    const updatedNote = await appendPages(noteData.id, files);
+    if (updatedNote) {
+      setNoteData(updatedNote);
+    }
+  };
+
+  // Function to save a confirmed or corrected uncertain reading
+  const handleResolveUncertain = (spanId, text) => {
+    const updatedNote = resolveUncertainReading(noteData.id, spanId, text);
+    if (updatedNote.success === false) {
+      setReviewError(updatedNote.error);
+      return;
+    }
+    setReviewError(null);
+    setNoteData(updatedNote);
+  };
+
   if (loading) {
     return (
       <div className="max-w-4xl mx-auto p-6">
@@ -109,11 +167,52 @@ const NotesView = () => {
 
   return (
     <div className="max-w-4xl mx-auto p-6 pb-24 md:pb-6 bg-gray-100 min-h-screen">
+      {appendError && (
+        <ApiErrorNotice
+          message={appendError}
+          type={appendErrorType}
+          className="mb-4"
+        />
+      )}
+      {quizError && (
+        <ApiErrorNotice
+          message={quizError.message}
+          type={quizError.type}
+          onRetry={() => handleGenerateQuiz(noteData)}
+          className="mb-4"
+        />
+      )}
+      {reviewError && (
+        <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-md">
+          {reviewError}
+        </div>
+      )}
       <StructuredNotes
         result={noteData}
         onGenerateQuiz={() => handleGenerateQuiz(noteData)}
         generatingQuiz={generatingQuiz}
+        onCancelQuiz={handleCancelQuiz}
+        onAddPages={handleAddPages}
+        addingPages={appendingResultId === noteData.id}
+        onCancelAddPages={cancelAppendPages}
+        onShowSource={setSourcePages}
+        onReviewUncertain={setReviewSpanId}
       />
+      {sourcePages && (
+        <SourcePagesPanel
+          result={noteData}
+          pages={sourcePages}
+          onClose={() => setSourcePages(null)}
+        />
+      )}
+      {reviewSpanId && (
+        <UncertainReviewPanel
+          result={noteData}
+          initialSpanId={reviewSpanId}
+          onResolve={handleResolveUncertain}
+          onClose={() => setReviewSpanId(null)}
+        />
+      )}
     </div>
   );
 };
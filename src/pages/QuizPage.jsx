@@ -2,6 +2,7 @@ import React, { useEffect } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
 import { FiArrowLeft } from "react-icons/fi";
 import QuizView from "../components/QuizView";
+import ApiErrorNotice from "../components/ApiErrorNotice";
 import useQuiz from "../hooks/useQuiz";
 import { getStoredQuizzes } from "../service/geminiService";
 
@@ -23,7 +24,10 @@ const QuizPage = () => {
     loadQuiz,
     setQuizCompleted,
     generateFollowUpQuiz,
+    cancelQuizGeneration,
     generatingQuiz,
+    error,
+    errorType,
   } = useQuiz();
 
   // Load quiz from URL parameter or localStorage if available
@@ -64,7 +68,8 @@ const QuizPage = () => {
     // Generate the adaptive follow-up quiz
     const newQuiz = await generateFollowUpQuiz();
 
-    if (newQuiz) {
+    // Cancelled or failed generations have no quiz to open
+    if (newQuiz?.success) {
       // Store the current quiz ID in localStorage and redirect to the new quiz
       localStorage.setItem("currentQuizId", newQuiz.id);
 
@@ -101,6 +106,15 @@ const QuizPage = () => {
         </button>
       </div>
 
+      {error && !generatingQuiz && (
+        <ApiErrorNotice
+          message={error}
+          type={errorType}
+          onRetry={handleGenerateNextQuiz}
+          className="mb-4"
+        />
+      )}
+
       <QuizView
         quizResult={quizResult}
         currentQuestionIndex={currentQuestionIndex}
@@ -114,6 +128,7 @@ const QuizPage = () => {
         resetQuiz={resetQuiz}
         getQuizScore={getQuizScore}
         generateNextQuiz={quizCompleted ? handleGenerateNextQuiz : null}
+        cancelNextQuiz={cancelQuizGeneration}
       />
     </div>
   );
@@ -37,13 +37,13 @@ const RawResponseView = ({ rawResponse, onBack }) => {
         >
           <FiArrowLeft className="mr-1" /> Back
         </button>
-        <h2 className="text-xl font-semibold ml-2">Raw Gemini Response</h2>
+        <h2 className="text-xl font-semibold ml-2">Raw Model Response</h2>
       </div>
 
       <div className="bg-gray-50 border border-gray-300 rounded-lg p-4 mb-6">
         <h3 className="font-semibold text-gray-700 mb-2">Response Info</h3>
         <p className="text-gray-600 text-sm mb-1">
-          This is the raw, unprocessed response from the Gemini API for quiz
+          This is the raw, unprocessed response from the model API for quiz
           generation.
         </p>
         <p className="text-gray-600 text-sm">
@@ -79,7 +79,7 @@ const RawResponseView = ({ rawResponse, onBack }) => {
           <div className="px-4 py-3 bg-gray-100 border-b border-gray-300 rounded-t-lg">
             <h3 className="font-mono text-sm font-semibold">Text Response</h3>
             <p className="text-xs text-gray-500">
-              Raw text content returned by Gemini
+              Raw text content returned by the model
             </p>
           </div>
           <div className="overflow-auto max-h-[70vh] p-4 bg-gray-50">
@@ -97,7 +97,7 @@ const RawResponseView = ({ rawResponse, onBack }) => {
               Full API Response
             </h3>
             <p className="text-xs text-gray-500">
-              Complete JSON response from the Gemini API
+              Complete JSON response from the model API
             </p>
           </div>
           <div className="overflow-auto max-h-[70vh] p-4 bg-gray-50">
@@ -3,9 +3,21 @@
  */
 
 import { storeQuizResult } from "./storageService";
-import { QUIZ_GENERATION_PROMPT } from "./prompts/quizPrompt";
+import { getQuizSubjectInstruction } from "./prompts/quizPrompt";
+import { getQuizLanguageInstruction } from "./prompts/languagePrompts";
+import {
+  PROMPT_IDS,
+  renderPrompt,
+  mergePromptRecords,
+} from "./prompts/promptRegistry";
+import { repairQuizMath } from "./latexRepairService";
 import { getStoredQuizzes } from "./storageService";
 import { parseQuestions } from "../utils/questionParser";
+import { toPlainNotesMarkdown } from "../utils/plainNotes";
+import { isAbortError, createCancelledResult } from "./utils/apiUtils";
+import { ApiError } from "./utils/apiErrors";
+import { createUsageCollector, assertWithinDailyBudget } from "./usageService";
+import { getProvider } from "./providers/providerRegistry";
 
 /**
  * Analyzes past quiz performance to build a learning profile
@@ -121,86 +133,65 @@ const extractTopicFromQuestion = (question) => {
 
 /**
  * Generates an adaptive quiz prompt based on student performance
- * @param {Object} analysisResult - The analysis result object
  * @param {Object} performanceProfile - Student performance profile
- * @returns {string} Customized prompt for Gemini API
+ * @param {Object} variables - Variables shared by every quiz prompt
+ * @param {string} variables.instructions - Subject and language instructions
+ * @param {string} variables.notes - The notes to base the quiz on
+ * @returns {Object} Rendered prompt text and the record of the prompt used
  */
-const generateAdaptivePrompt = (analysisResult, performanceProfile) => {
+const generateAdaptivePrompt = (performanceProfile, variables) => {
   if (!performanceProfile) {
     // First quiz - use standard prompt
-    return QUIZ_GENERATION_PROMPT;
+    return renderPrompt(PROMPT_IDS.QUIZ_GENERATION, variables);
   }
 
-  // Modify the prompt to focus on weak areas and increase difficulty on mastered topics
-  let adaptivePart = `Generate a quiz with 10 MCQ questions based on the notes provided.
-
-Pay special attention to the following customization requirements:
-
-1. REPEAT QUESTIONS: Include revised versions of questions on these topics the student previously struggled with:
-`;
-
-  // Add topics the student struggled with
+  // Focus on topics the student struggled with
   const weakTopics = Object.entries(performanceProfile.questionPerformance)
     .filter(([_, data]) => data.correct / data.attempts < 0.6)
     .map(([topic, _]) => topic);
 
-  if (weakTopics.length > 0) {
-    adaptivePart += weakTopics
-      .map((topic) => `   - ${topic.replace(/_/g, " ")}`)
-      .join("\n");
-  } else {
-    adaptivePart += "   - No specific weak topics identified yet\n";
-  }
-
-  // Add topics the student has mastered - increase difficulty
-  adaptivePart += `\n2. INCREASED DIFFICULTY: Create more challenging questions for these mastered topics:
-`;
-
+  // Increase difficulty on mastered topics
   const masteredTopics = Object.entries(performanceProfile.questionPerformance)
     .filter(
       ([_, data]) => data.correct / data.attempts > 0.8 && data.attempts >= 3
     )
     .map(([topic, _]) => topic);
 
-  if (masteredTopics.length > 0) {
-    adaptivePart += masteredTopics
-      .map((topic) => `   - ${topic.replace(/_/g, " ")}`)
-      .join("\n");
-  } else {
-    adaptivePart += "   - No mastered topics identified yet\n";
-  }
-
-  // Ensure content coverage
-  adaptivePart += `
-3. CONTENT COVERAGE: Make sure to cover sections of the notes that haven't been tested in previous quizzes.
-   Generate questions that test different aspects of the material rather than repeating the same concepts.
-
-4. DIFFICULTY PROGRESSION: As this is quiz #${
-    performanceProfile.quizCount || 1
-  }, make the overall difficulty appropriate.
-
-`;
-
-  // Return the base prompt with our adaptive modifications
-  return adaptivePart + QUIZ_GENERATION_PROMPT.split("Generate a quiz")[1];
+  const formatTopics = (topics, fallback) =>
+    topics.length > 0
+      ? topics.map((topic) => `   - ${topic.replace(/_/g, " ")}`).join("\n")
+      : `   - ${fallback}`;
+
+  return renderPrompt(PROMPT_IDS.ADAPTIVE_QUIZ, {
+    ...variables,
+    weakTopics: formatTopics(
+      weakTopics,
+      "No specific weak topics identified yet"
+    ),
+    masteredTopics: formatTopics(
+      masteredTopics,
+      "No mastered topics identified yet"
+    ),
+    quizCount: performanceProfile.quizCount || 1,
+  });
 };
 
 /**
  * Generates an adaptive quiz based on student's previous performance
  * @param {Object} analysisResult - The analysis result object
- * @param {string} [apiKey] - Your Gemini API key (optional if set in environment variables)
+ * @param {string} [apiKey] - Gemini API key (optional, used by the Gemini provider)
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels generation; nothing is stored once aborted
  * @returns {Promise<object>} - The generated adaptive quiz
  */
-export const generateAdaptiveQuiz = async (analysisResult, apiKey) => {
+export const generateAdaptiveQuiz = async (
+  analysisResult,
+  apiKey,
+  { signal } = {}
+) => {
   try {
-    // Use provided API key or fall back to environment variable
-    const key = apiKey || import.meta.env.VITE_GEMINI_API_KEY;
-
-    if (!key || key === "your_gemini_api_key_here") {
-      throw new Error(
-        "No valid API key provided. Please provide a Gemini API key."
-      );
-    }
+    // Throws if the picked provider is not configured, e.g. without an API key
+    const provider = getProvider(apiKey);
 
     if (
       !analysisResult ||
@@ -211,6 +202,9 @@ export const generateAdaptiveQuiz = async (analysisResult, apiKey) => {
       throw new Error("No valid analysis data provided for quiz generation");
     }
 
+    assertWithinDailyBudget();
+    const usage = createUsageCollector();
+
     // Analyze performance to build adaptive profile
     const performanceProfile = analyzePerformance(analysisResult.id);
 
@@ -226,89 +220,57 @@ export const generateAdaptiveQuiz = async (analysisResult, apiKey) => {
       performanceProfile.quizCount = quizCount;
     }
 
-    // API endpoint for Gemini - use configured model or fallback to default
-    const modelVersion =
-      import.meta.env.VITE_GEMINI_MODEL_VERSION || "gemini-1.5-flash";
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${modelVersion}:generateContent`;
-
     console.log(
-      `Using Gemini model: ${modelVersion} for adaptive quiz #${quizCount}`
+      `Using ${provider.id} model: ${provider.model} for adaptive quiz #${quizCount}`
     );
 
     // Prepare input data for the quiz generation
     // First try markdown, then fallback to other formats for backward compatibility
     const inputData = analysisResult.markdown
-      ? analysisResult.markdown
+      ? toPlainNotesMarkdown(analysisResult.markdown)
       : analysisResult.structuredData
       ? JSON.stringify(analysisResult.structuredData, null, 2)
       : analysisResult.description;
 
     // Get adaptive prompt
-    const adaptivePrompt = generateAdaptivePrompt(
-      analysisResult,
-      performanceProfile
+    const { text: adaptivePrompt, prompt } = generateAdaptivePrompt(
+      performanceProfile,
+      {
+        instructions:
+          getQuizSubjectInstruction(analysisResult.subject) +
+          getQuizLanguageInstruction(analysisResult.outputLanguage),
+        notes: inputData,
+      }
     );
 
-    // Prepare request body with appropriate configuration
-    const requestBody = {
-      contents: [
-        {
-          parts: [
-            {
-              text: adaptivePrompt + inputData,
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 65536,
-      },
-    };
-
-    console.log("Sending request to Gemini API for adaptive quiz...");
+    console.log("Sending adaptive quiz generation request...");
 
     try {
       // Make API request
-      const response = await fetch(`${endpoint}?key=${key}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        },
-        body: JSON.stringify(requestBody),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        const errorMessage = errorData.error?.message || response.statusText;
-        console.error("API Error:", errorMessage);
-        throw new Error(`API error: ${errorMessage}`);
-      }
-
-      const data = await response.json();
-
-      // Extract text content from the response
-      let rawQuizText = "";
-      let rawApiResponse = JSON.stringify(data, null, 2);
+      const { text: rawQuizText, response: data } = await provider.generateText(
+        adaptivePrompt,
+        {
+          label: "adaptive quiz generation",
+          temperature: 0.7,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: 65536,
+          onUsage: usage.onUsage,
+          signal,
+        }
+      );
+      console.log("Text response received for adaptive quiz");
 
-      if (
-        data.candidates &&
-        data.candidates[0] &&
-        data.candidates[0].content?.parts &&
-        data.candidates[0].content.parts[0]?.text
-      ) {
-        rawQuizText = data.candidates[0].content.parts[0].text;
-        console.log("Text response received for adaptive quiz");
-      } else {
-        console.warn("No text content found in API response");
-      }
+      const rawApiResponse = JSON.stringify(data, null, 2);
 
       // Use our simple parser to parse the quiz questions
       console.log("Attempting to parse adaptive quiz questions...");
-      const structuredQuestions = parseQuestions(rawQuizText);
+      // Repair formulas that would not render before the quiz is stored
+      const { questions: structuredQuestions, latexRepairs } =
+        await repairQuizMath(parseQuestions(rawQuizText), provider, {
+          onUsage: usage.onUsage,
+          signal,
+        });
       console.log(
         `Parsed ${structuredQuestions.length} structured questions for adaptive quiz`
       );
@@ -324,6 +286,13 @@ export const generateAdaptiveQuiz = async (analysisResult, apiKey) => {
         attempted: false,
         quizNumber: quizCount,
         isAdaptive: true,
+        generation: {
+          provider: provider.id,
+          model: provider.model,
+          prompts: mergePromptRecords([prompt, latexRepairs?.prompt]),
+        },
+        ...(latexRepairs && { latexRepairs }),
+        usage: usage.getUsage(),
         score: {
           obtained: 0,
           total: structuredQuestions.length,
@@ -352,17 +321,30 @@ export const generateAdaptiveQuiz = async (analysisResult, apiKey) => {
         `Returning adaptive quiz #${quizCount} with ${quizResult.quizQuestions.length} structured questions`
       );
 
+      // Never store a quiz whose generation was cancelled
+      if (signal?.aborted) {
+        return createCancelledResult("Quiz generation was cancelled");
+      }
+
       // Store and return the quiz result
       return storeQuizResult(quizResult);
     } catch (apiError) {
+      // Typed API errors already say what failed, and keep their type for the UI
+      if (isAbortError(apiError) || apiError instanceof ApiError) {
+        throw apiError;
+      }
       console.error("API request error:", apiError);
       throw new Error(`API request failed: ${apiError.message}`);
     }
   } catch (error) {
-    console.error("Error generating adaptive quiz with Gemini:", error);
+    if (isAbortError(error)) {
+      return createCancelledResult("Quiz generation was cancelled");
+    }
+    console.error("Error generating adaptive quiz:", error);
     return {
       success: false,
       error: error.message || "Failed to generate adaptive quiz",
+      errorType: error.type,
     };
   }
 };
@@ -0,0 +1,95 @@
+/**
+ * Service to upgrade the chemistry of stored notes and quizzes to mhchem notation
+ */
+
+import {
+  getStoredAnalysisResults,
+  updateAnalysisResult,
+  getStoredQuizzes,
+  updateStoredQuiz,
+  getChemistryNotationUpgraded,
+  storeChemistryNotationUpgraded,
+} from "./storageService";
+import {
+  upgradeChemistryNotation,
+  upgradeChemistryTex,
+} from "../utils/chemNotation";
+import { mapNotesTreeText } from "../utils/notesTree";
+import { QUESTION_TEXT_FIELDS } from "../utils/questionParser";
+
+/**
+ * Upgrade the chemistry of a quiz question
+ * @param {Object} question - Quiz question
+ * @returns {Object} The question using mhchem notation
+ */
+const upgradeQuestion = (question) => {
+  const upgraded = { ...question };
+  QUESTION_TEXT_FIELDS.forEach((field) => {
+    if (question[field]) {
+      upgraded[field] = upgradeChemistryNotation(question[field]);
+    }
+  });
+  if (question.options) {
+    upgraded.options = question.options.map((option) =>
+      option.text
+        ? { ...option, text: upgradeChemistryNotation(option.text) }
+        : option
+    );
+  }
+  return upgraded;
+};
+
+/**
+ * Upgrade chemistry written with \mathrm{...} in stored notes and quizzes to \ce{...}
+ * Runs once; results whose notation does not change are left untouched
+ * @returns {Object} - Number of upgraded notes and quizzes ({ results, quizzes })
+ */
+export const upgradeStoredChemistryNotation = () => {
+  const upgradedCount = { results: 0, quizzes: 0 };
+  if (getChemistryNotationUpgraded()) {
+    return upgradedCount;
+  }
+
+  try {
+    getStoredAnalysisResults().forEach((result) => {
+      const markdown = upgradeChemistryNotation(result.markdown);
+      // Formulas of the notes tree have no $ delimiters
+      const notesTree =
+        result.notesTree &&
+        mapNotesTreeText(result.notesTree, (text, field) =>
+          field === "formulae"
+            ? upgradeChemistryTex(text)
+            : upgradeChemistryNotation(text)
+        );
+
+      if (
+        markdown !== result.markdown ||
+        JSON.stringify(notesTree) !== JSON.stringify(result.notesTree)
+      ) {
+        updateAnalysisResult(result.id, {
+          markdown,
+          ...(notesTree && { notesTree }),
+        });
+        upgradedCount.results++;
+      }
+    });
+
+    getStoredQuizzes().forEach((quiz) => {
+      if (!Array.isArray(quiz.quizQuestions)) return;
+
+      const quizQuestions = quiz.quizQuestions.map(upgradeQuestion);
+      if (
+        JSON.stringify(quizQuestions) !== JSON.stringify(quiz.quizQuestions)
+      ) {
+        updateStoredQuiz(quiz.id, { quizQuestions });
+        upgradedCount.quizzes++;
+      }
+    });
+
+    storeChemistryNotationUpgraded();
+  } catch (error) {
+    console.error("Error upgrading chemistry notation:", error);
+  }
+
+  return upgradedCount;
+};
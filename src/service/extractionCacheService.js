@@ -0,0 +1,56 @@
+/**
+ * Service to cache page extractions in IndexedDB, keyed by image content
+ * Re-uploading the same photo reuses its extraction instead of paying for
+ * another vision request
+ */
+
+import { createKeyValueStore } from "./utils/indexedDbUtils";
+
+const extractionStore = createKeyValueStore(
+  "clairExtractionCache",
+  "extractions"
+);
+
+/**
+ * Build the cache key of an extraction
+ * @param {string} imageHash - SHA-256 hash of the page image
+ * @param {string} promptVersion - Version of the extraction prompt that was used
+ * @returns {string} Cache key
+ */
+const getCacheKey = (imageHash, promptVersion) =>
+  `${promptVersion}/${imageHash}`;
+
+/**
+ * Get the cached extraction of a page image
+ * @param {string} imageHash - SHA-256 hash of the page image
+ * @param {string} promptVersion - Version of the extraction prompt
+ * @returns {Promise<string|null>} The extracted content, or null on a cache miss
+ */
+export const getCachedExtraction = async (imageHash, promptVersion) => {
+  const entry = await extractionStore.get(
+    getCacheKey(imageHash, promptVersion)
+  );
+  return entry?.content ?? null;
+};
+
+/**
+ * Cache the extraction of a page image
+ * @param {string} imageHash - SHA-256 hash of the page image
+ * @param {string} promptVersion - Version of the extraction prompt
+ * @param {string} content - The extracted content
+ * @returns {Promise<void>}
+ */
+export const cacheExtraction = async (imageHash, promptVersion, content) => {
+  await extractionStore.put(getCacheKey(imageHash, promptVersion), {
+    content,
+    cachedAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Remove every cached extraction
+ * @returns {Promise<void>}
+ */
+export const clearExtractionCache = async () => {
+  await extractionStore.clear();
+};
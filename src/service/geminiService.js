@@ -8,18 +8,72 @@
 
 // Re-export services from specialized modules
 export { processImageWithTwoStepGemini as processImageWithGemini } from "./twoStepNotesProcessingService";
-export { processBatchImagesWithTwoStepGemini } from "./twoStepNotesProcessingService";
+export {
+  processBatchImagesWithTwoStepGemini,
+  appendPagesToAnalysisResult,
+  retryPageExtraction,
+} from "./twoStepNotesProcessingService";
 export { generateQuizFromNotes } from "./quizGenerationService";
 export { generateAdaptiveQuiz } from "./adaptiveQuizService";
 export {
   storeAnalysisResult,
+  updateAnalysisResult,
   storeQuizResult,
   getStoredAnalysisResults,
   getStoredQuizzes,
   getStoredAnalysisResultById,
   getStoredQuizById,
+  getProcessingTimings,
+  getLanguageSettings,
+  storeLanguageSettings,
 } from "./storageService";
 
+export { clearExtractionCache } from "./extractionCacheService";
+export { resolveUncertainReading } from "./notesReviewService";
+
+// Export the model providers notes and quizzes can be generated with
+export {
+  PROVIDERS,
+  GEMINI_PROVIDER,
+  OPENAI_COMPATIBLE_PROVIDER,
+  getProviderLabel,
+  getProviderSettings,
+  updateProviderSettings,
+  testProviderConnection,
+} from "./providers/providerRegistry";
+
+// Export the token usage of Gemini calls and the daily token budget
+export {
+  summarizeUsage,
+  getDailyUsage,
+  getUsageHistory,
+  getDailyTokenBudget,
+  setDailyTokenBudget,
+  getDailyBudgetStatus,
+  formatTokens,
+  formatCost,
+} from "./usageService";
+
+// Export the subjects notes can be classified into
+export { SUBJECTS, getSubjectLabel } from "./prompts/subjectPrompts";
+
+// Export the languages notes can be written and structured in
+export {
+  INPUT_LANGUAGES,
+  OUTPUT_LANGUAGES,
+  DEFAULT_INPUT_LANGUAGE,
+  DEFAULT_OUTPUT_LANGUAGE,
+  getLanguageLabel,
+  usesDevanagari,
+  getLanguageTag,
+} from "./prompts/languagePrompts";
+
+// Export the API error types and the recovery action for each
+export { API_ERROR_TYPES, getErrorRecovery } from "./utils/apiErrors";
+
+// Export the prompt versions recorded on generated notes and quizzes
+export { formatGeneration } from "./prompts/promptRegistry";
+
 // Export schema types for potential use in other parts of the application
 export { Type as SchemaType } from "./types/quizSchema";
 export { quizQuestionsSchema } from "./types/quizSchema";
@@ -0,0 +1,191 @@
+/**
+ * Service to validate the LaTeX of generated notes and quizzes before they are stored
+ * Formulas KaTeX fails to render are fixed deterministically where possible; only the
+ * snippets that are still broken are sent back to the model for correction
+ */
+
+import {
+  PROMPT_IDS,
+  getPromptRecord,
+  renderPrompt,
+} from "./prompts/promptRegistry";
+import { Type } from "./types/quizSchema";
+import { isAbortError } from "./utils/apiUtils";
+import { repairMath } from "../utils/latexRepair";
+import {
+  mapNotesTreeText,
+  notesTreeToMarkdown,
+  toDisplayFormula,
+} from "../utils/notesTree";
+import { QUESTION_TEXT_FIELDS } from "../utils/questionParser";
+
+/**
+ * Asks the model to fix LaTeX snippets that KaTeX fails to render
+ * Failing to get fixes must not fail the notes or quiz, so errors are only logged
+ * @param {Array} failures - Failing snippets ({ tex, displayMode, error })
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {Object} [requestOptions] - Request options (signal)
+ * @returns {Promise<Array>} Fixed LaTeX per snippet, in order (null where not fixed)
+ */
+const requestModelFixes = async (failures, provider, requestOptions) => {
+  try {
+    const { text } = renderPrompt(PROMPT_IDS.LATEX_REPAIR, {
+      snippets: JSON.stringify(
+        failures.map(({ tex, displayMode, error }) => ({
+          latex: tex,
+          display: displayMode,
+          error,
+        })),
+        null,
+        2
+      ),
+    });
+
+    const { data: fixes } = await provider.generateJson(
+      text,
+      { type: Type.ARRAY, items: { type: Type.STRING, nullable: true } },
+      { ...requestOptions, label: "LaTeX repair", temperature: 0 }
+    );
+    return Array.isArray(fixes) ? fixes : [];
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error("Error repairing LaTeX:", error);
+    return [];
+  }
+};
+
+/**
+ * Validates and repairs the LaTeX of markdown texts
+ * @param {string[]} texts - Markdown texts
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {Object} [requestOptions] - Request options (signal)
+ * @returns {Promise<Object>} The repaired texts, and the record of the repairs to store
+ *   as latexRepairs ({ repairs, unresolved, prompt }), null if every formula rendered
+ */
+const repairTexts = async (texts, provider, requestOptions) => {
+  let modelAsked = false;
+  const {
+    texts: repairedTexts,
+    repairs,
+    unresolved,
+  } = await repairMath(texts, (failures) => {
+    modelAsked = true;
+    return requestModelFixes(failures, provider, requestOptions);
+  });
+
+  if (repairs.length === 0 && unresolved.length === 0) {
+    return { texts, latexRepairs: null };
+  }
+
+  if (unresolved.length > 0) {
+    console.warn(`${unresolved.length} formula(s) still fail to render`);
+  }
+  return {
+    texts: repairedTexts,
+    latexRepairs: {
+      repairs,
+      unresolved,
+      ...(modelAsked && { prompt: getPromptRecord(PROMPT_IDS.LATEX_REPAIR) }),
+    },
+  };
+};
+
+/**
+ * Validates the LaTeX of structured notes and repairs formulas that fail to render
+ * @param {Object} notes - Structured notes
+ * @param {string} notes.markdown - Notes markdown
+ * @param {Object|null} [notes.notesTree] - Notes tree the markdown was rendered from
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {Object} [requestOptions] - Request options (signal)
+ * @returns {Promise<Object>} Repaired markdown and notes tree, and latexRepairs
+ *   (null if every formula rendered)
+ */
+export const repairNotesMath = async (
+  { markdown, notesTree },
+  provider,
+  requestOptions
+) => {
+  if (!notesTree) {
+    const { texts, latexRepairs } = await repairTexts(
+      [markdown],
+      provider,
+      requestOptions
+    );
+    return { markdown: texts[0], notesTree, latexRepairs };
+  }
+
+  // The markdown is rendered from the tree, so repair the tree and render it again
+  const treeTexts = [];
+  mapNotesTreeText(notesTree, (text, field) => {
+    treeTexts.push(field === "formulae" ? toDisplayFormula(text) : text);
+    return text;
+  });
+
+  const { texts, latexRepairs } = await repairTexts(
+    treeTexts,
+    provider,
+    requestOptions
+  );
+  if (!latexRepairs) {
+    return { markdown, notesTree, latexRepairs };
+  }
+
+  let index = 0;
+  const repairedTree = mapNotesTreeText(notesTree, (text, field) => {
+    const repaired = texts[index++];
+    // Formulas were checked as display math; keep the ones left unchanged as they were
+    return field === "formulae" && repaired === toDisplayFormula(text)
+      ? text
+      : repaired;
+  });
+
+  return {
+    markdown: notesTreeToMarkdown(repairedTree),
+    notesTree: repairedTree,
+    latexRepairs,
+  };
+};
+
+/**
+ * Validates the LaTeX of quiz questions and repairs formulas that fail to render
+ * @param {Array} questions - Parsed quiz questions
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {Object} [requestOptions] - Request options (signal)
+ * @returns {Promise<Object>} Repaired questions, and latexRepairs (null if every formula rendered)
+ */
+export const repairQuizMath = async (questions, provider, requestOptions) => {
+  // Question texts in a fixed order: the text fields, then the options
+  const questionTexts = questions.flatMap((question) => [
+    ...QUESTION_TEXT_FIELDS.map((field) => question[field] || ""),
+    ...(question.options || []).map((option) => option.text || ""),
+  ]);
+
+  const { texts, latexRepairs } = await repairTexts(
+    questionTexts,
+    provider,
+    requestOptions
+  );
+  if (!latexRepairs) {
+    return { questions, latexRepairs };
+  }
+
+  let index = 0;
+  const repairedQuestions = questions.map((question) => {
+    const repairedQuestion = { ...question };
+    QUESTION_TEXT_FIELDS.forEach((field) => {
+      const text = texts[index++];
+      if (question[field]) repairedQuestion[field] = text;
+    });
+    if (question.options) {
+      repairedQuestion.options = question.options.map((option) => {
+        const text = texts[index++];
+        return option.text ? { ...option, text } : option;
+      });
+    }
+    return repairedQuestion;
+  });
+
+  return { questions: repairedQuestions, latexRepairs };
+};
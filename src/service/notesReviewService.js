@@ -0,0 +1,63 @@
+/**
+ * Service to apply the student's review of uncertain readings to stored notes
+ */
+
+import {
+  getStoredAnalysisResultById,
+  updateAnalysisResult,
+} from "./storageService";
+import {
+  listUncertainSpans,
+  resolveUncertainSpan,
+} from "../utils/uncertainSpans";
+import { getNotesMarkdown, mapNotesTreeText } from "../utils/notesTree";
+
+/**
+ * Confirm or correct an uncertain reading in stored notes
+ * The reading's marker is replaced by the reviewed text in the markdown, the notes
+ * tree and the stored extraction, so re-structuring the notes keeps the review, and
+ * the span records how it was resolved
+ * @param {string} resultId - ID of the analysis result
+ * @param {string} spanId - ID of the uncertain reading
+ * @param {string} text - The reading to keep, as confirmed or corrected by the student
+ * @returns {Object} - The updated result, or { success: false, error } on failure
+ */
+export const resolveUncertainReading = (resultId, spanId, text) => {
+  const result = getStoredAnalysisResultById(resultId);
+  if (!result) {
+    return { success: false, error: "The notes could not be found" };
+  }
+
+  // The reading as it appears in the notes, which may have been formatted as LaTeX
+  const reading = listUncertainSpans(getNotesMarkdown(result)).find(
+    (span) => span.id === spanId
+  );
+  const resolve = (value) => resolveUncertainSpan(value, spanId, text);
+  const updatedResult = updateAnalysisResult(resultId, {
+    markdown: resolve(result.markdown),
+    ...(result.notesTree && {
+      notesTree: mapNotesTreeText(result.notesTree, resolve),
+    }),
+    ...(result.originalExtraction && {
+      originalExtraction: resolve(result.originalExtraction),
+    }),
+    ...(result.pageExtractions && {
+      pageExtractions: result.pageExtractions.map(resolve),
+    }),
+    uncertainSpans: (result.uncertainSpans || []).map((span) =>
+      span.id === spanId
+        ? {
+            ...span,
+            resolvedText: text,
+            status: text === reading?.text ? "confirmed" : "corrected",
+          }
+        : span
+    ),
+  });
+
+  if (!updatedResult) {
+    console.error("Error saving the reviewed reading:", spanId);
+    return { success: false, error: "Failed to save the reviewed reading" };
+  }
+  return updatedResult;
+};
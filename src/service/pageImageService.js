@@ -0,0 +1,72 @@
+/**
+ * Service to keep the original page images of analyzed notes in IndexedDB
+ * Used to show students the handwritten page a notes section came from,
+ * and the diagrams cropped from those pages
+ */
+
+import { createKeyValueStore } from "./utils/indexedDbUtils";
+
+const pageImageStore = createKeyValueStore("clairPageImages", "pageImages");
+const figureImageStore = createKeyValueStore("clairFigureImages", "figures");
+
+/**
+ * Build the storage key of a page or figure image
+ * @param {string} resultId - ID of the analysis result
+ * @param {number|string} itemId - 1-based page number, or figure id
+ * @returns {string} Storage key
+ */
+const getStorageKey = (resultId, itemId) => `${resultId}/${itemId}`;
+
+/**
+ * Save the page images of an analysis result
+ * @param {string} resultId - ID of the analysis result
+ * @param {File[]} imageFiles - Page images in page order
+ * @param {number} [firstPageNumber] - Page number of the first image (when pages are appended)
+ * @returns {Promise<void>}
+ */
+export const savePageImages = async (
+  resultId,
+  imageFiles,
+  firstPageNumber = 1
+) => {
+  for (let index = 0; index < imageFiles.length; index++) {
+    await pageImageStore.put(
+      getStorageKey(resultId, firstPageNumber + index),
+      imageFiles[index]
+    );
+  }
+};
+
+/**
+ * Get the original image of a page
+ * @param {string} resultId - ID of the analysis result
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Promise<Blob|null>} The page image, or null if it was not kept
+ */
+export const getPageImage = async (resultId, pageNumber) => {
+  const image = await pageImageStore.get(getStorageKey(resultId, pageNumber));
+  return image || null;
+};
+
+/**
+ * Save the diagrams cropped from the pages of an analysis result
+ * @param {string} resultId - ID of the analysis result
+ * @param {Array<{id: string, file: File}>} figureImages - Cropped figure images with their figure ids
+ * @returns {Promise<void>}
+ */
+export const saveFigureImages = async (resultId, figureImages) => {
+  for (const { id, file } of figureImages) {
+    await figureImageStore.put(getStorageKey(resultId, id), file);
+  }
+};
+
+/**
+ * Get the cropped image of a figure
+ * @param {string} resultId - ID of the analysis result
+ * @param {string} figureId - Figure id from the notes (e.g. "p2-1")
+ * @returns {Promise<Blob|null>} The figure image, or null if it was not kept
+ */
+export const getFigureImage = async (resultId, figureId) => {
+  const image = await figureImageStore.get(getStorageKey(resultId, figureId));
+  return image || null;
+};
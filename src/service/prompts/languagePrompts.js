@@ -0,0 +1,110 @@
+/**
+ * Language prompts for the notes pipeline
+ * The input language tells extraction how the notes are written; the output
+ * language selects the language of the structured notes and of quizzes
+ */
+
+// Languages the handwritten notes can be written in, in the order shown to the user
+export const INPUT_LANGUAGES = [
+  { id: "english", label: "English" },
+  { id: "hindi", label: "Hindi" },
+  { id: "hinglish", label: "Hinglish (Hindi and English mixed)" },
+];
+
+// Languages the structured notes can be written in, in the order shown to the user
+export const OUTPUT_LANGUAGES = [
+  { id: "english", label: "English" },
+  { id: "hindi", label: "Hindi" },
+  { id: "bilingual", label: "English and Hindi side by side" },
+];
+
+export const DEFAULT_INPUT_LANGUAGE = "english";
+export const DEFAULT_OUTPUT_LANGUAGE = "english";
+
+// Extra guidance for the extraction step, per input language
+export const INPUT_LANGUAGE_EXTRACTION_GUIDANCE = {
+  hindi: `The notes are written in Hindi, in Devanagari script.
+- Transcribe Hindi text in Devanagari exactly as written; do not translate or transliterate it
+- Keep scientific terms, symbols and units in the script the student used
+- Write formulas in LaTeX, wrapping any Hindi words inside a formula in \\text{...}`,
+
+  hinglish: `The notes mix Hindi and English (Hinglish). Hindi may be written in Devanagari or in Latin script.
+- Transcribe every word in the script the student used; do not translate or transliterate it
+- Keep English scientific terms in English
+- Write formulas in LaTeX, wrapping any Hindi words inside a formula in \\text{...}`,
+};
+
+// Extra guidance for the structuring step, per output language
+const OUTPUT_LANGUAGE_STRUCTURING_GUIDANCE = {
+  hindi: `Write the notes in Hindi, in Devanagari script, including the headings.
+- The first time a scientific term appears, give the English term in brackets, e.g. "प्रकाश संश्लेषण (Photosynthesis)"
+- Keep formulas, symbols, units and chemical equations in LaTeX, wrapping any Hindi words inside a formula in \\text{...}`,
+
+  bilingual: `Write the notes in both English and Hindi (Devanagari script), side by side.
+- Write every heading as "English heading / हिंदी शीर्षक"
+- Present definitions and explanations as Markdown tables with the columns "English" and "हिंदी", one row per point
+- Write formulas, equations and worked examples once, below the table, in LaTeX`,
+};
+
+/**
+ * Builds the structuring guidance for the languages of the notes
+ * @param {string} [inputLanguage] - Language the notes are written in
+ * @param {string} [outputLanguage] - Language to write the structured notes in
+ * @returns {string} Guidance to add to the structuring prompt, or an empty string
+ */
+export const getStructuringLanguageGuidance = (
+  inputLanguage = DEFAULT_INPUT_LANGUAGE,
+  outputLanguage = DEFAULT_OUTPUT_LANGUAGE
+) => {
+  if (OUTPUT_LANGUAGE_STRUCTURING_GUIDANCE[outputLanguage]) {
+    return OUTPUT_LANGUAGE_STRUCTURING_GUIDANCE[outputLanguage];
+  }
+  return inputLanguage === DEFAULT_INPUT_LANGUAGE
+    ? ""
+    : `The notes are written in ${getLanguageLabel(
+        INPUT_LANGUAGES,
+        inputLanguage
+      )}. Write the structured notes in English, translating the Hindi content faithfully.`;
+};
+
+/**
+ * Builds the instruction telling Gemini which language to write a quiz in
+ * @param {string} [outputLanguage] - Output language stored on the analysis result
+ * @returns {string} Instruction to put before the quiz prompt, or an empty string
+ */
+export const getQuizLanguageInstruction = (outputLanguage) => {
+  if (outputLanguage === "hindi") {
+    return "Write the questions, options and explanations in Hindi, in Devanagari script. Keep formulas in LaTeX.\n\n";
+  }
+  if (outputLanguage === "bilingual") {
+    return 'Write every question, option and explanation in English followed by its Hindi translation in Devanagari script, separated by " / ". Keep formulas in LaTeX and write them once.\n\n';
+  }
+  return "";
+};
+
+/**
+ * Gets the display label of a language
+ * @param {Array} languages - INPUT_LANGUAGES or OUTPUT_LANGUAGES
+ * @param {string} languageId - Language id stored on an analysis result
+ * @returns {string|null} The label, or null for unknown languages
+ */
+export const getLanguageLabel = (languages, languageId) =>
+  languages.find((language) => language.id === languageId)?.label || null;
+
+/**
+ * Whether notes may contain Devanagari text, which needs a Devanagari font and
+ * more line height for its vowel signs
+ * @param {Object} [result] - Analysis result with inputLanguage and outputLanguage
+ * @returns {boolean} True for Hindi or mixed notes
+ */
+export const usesDevanagari = (result) =>
+  ["hindi", "hinglish"].includes(result?.inputLanguage) ||
+  ["hindi", "bilingual"].includes(result?.outputLanguage);
+
+/**
+ * Gets the HTML lang attribute of notes written in an output language
+ * @param {string} [outputLanguage] - Output language stored on the analysis result
+ * @returns {string} BCP 47 language tag
+ */
+export const getLanguageTag = (outputLanguage) =>
+  outputLanguage === "hindi" ? "hi" : "en";
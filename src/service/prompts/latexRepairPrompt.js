@@ -0,0 +1,15 @@
+/**
+ * Prompt to fix LaTeX snippets from generated notes and quizzes that KaTeX fails to render
+ * Variables: snippets (JSON array of the failing snippets with their KaTeX errors)
+ */
+
+export const LATEX_REPAIR_PROMPT = `The following LaTeX snippets come from study notes and fail to render with KaTeX. Each snippet has the KaTeX error message and whether it is display math.
+
+Fix every snippet so that it renders with KaTeX:
+- Keep its meaning and notation; only fix what causes the error
+- Use only commands KaTeX supports; write chemical formulas and equations with mhchem's \\ce{...} and quantities with \\pu{...}
+- Do not add $ delimiters
+
+Return a JSON array with the fixed LaTeX of each snippet, as strings, in the same order as the input. Return null for a snippet you cannot fix.
+
+{{snippets}}`;
@@ -0,0 +1,126 @@
+/**
+ * Registry of the prompt templates sent to Gemini
+ * Every template has an id and a version, and generated notes and quizzes record
+ * the ids and versions of the prompts that produced them, so output quality can be
+ * compared across prompt changes. Templates use {{name}} placeholders for variables.
+ *
+ * Bump a template's version whenever its text changes, including the guidance and
+ * instructions passed in through its variables (subject, language, figures, ...).
+ * Extraction results are cached per extraction prompt version.
+ */
+
+import {
+  INITIAL_EXTRACTION_PROMPT,
+  NOTES_STRUCTURING_PROMPT,
+} from "./notesPrompt";
+import { SUBJECT_DETECTION_PROMPT } from "./subjectPrompts";
+import { QUIZ_GENERATION_PROMPT, ADAPTIVE_QUIZ_PROMPT } from "./quizPrompt";
+import { LATEX_REPAIR_PROMPT } from "./latexRepairPrompt";
+
+export const PROMPT_IDS = {
+  SUBJECT_DETECTION: "subject-detection",
+  NOTES_EXTRACTION: "notes-extraction",
+  NOTES_STRUCTURING: "notes-structuring",
+  QUIZ_GENERATION: "quiz-generation",
+  ADAPTIVE_QUIZ: "adaptive-quiz",
+  LATEX_REPAIR: "latex-repair",
+};
+
+const PROMPTS = {
+  [PROMPT_IDS.SUBJECT_DETECTION]: {
+    version: 1,
+    template: SUBJECT_DETECTION_PROMPT,
+  },
+  // Variables: guidance (subject and language guidance, starting with blank lines)
+  [PROMPT_IDS.NOTES_EXTRACTION]: {
+    version: 4,
+    template: `${INITIAL_EXTRACTION_PROMPT}{{guidance}}`,
+  },
+  // Variables: guidance (subject, language and output instructions), content
+  [PROMPT_IDS.NOTES_STRUCTURING]: {
+    version: 2,
+    template: `${NOTES_STRUCTURING_PROMPT}{{guidance}}
+
+Here is the content extracted from student's notes that needs to be structured according to the format above:
+
+{{content}}`,
+  },
+  // Variables: instructions (subject and language), notes
+  [PROMPT_IDS.QUIZ_GENERATION]: {
+    version: 2,
+    template: `{{instructions}}${QUIZ_GENERATION_PROMPT}{{notes}}`,
+  },
+  // Variables: instructions, weakTopics, masteredTopics, quizCount, notes
+  [PROMPT_IDS.ADAPTIVE_QUIZ]: {
+    version: 2,
+    template: `{{instructions}}${ADAPTIVE_QUIZ_PROMPT}{{notes}}`,
+  },
+  // Variables: snippets
+  [PROMPT_IDS.LATEX_REPAIR]: {
+    version: 2,
+    template: LATEX_REPAIR_PROMPT,
+  },
+};
+
+/**
+ * Get the record of the current version of a registered prompt
+ * @param {string} id - Prompt id from PROMPT_IDS
+ * @returns {{id: string, version: number}} The record to store on generated results
+ */
+export const getPromptRecord = (id) => {
+  if (!PROMPTS[id]) {
+    throw new Error(`Unknown prompt: ${id}`);
+  }
+  return { id, version: PROMPTS[id].version };
+};
+
+/**
+ * Fill in the variables of a registered prompt
+ * @param {string} id - Prompt id from PROMPT_IDS
+ * @param {Object} [variables] - Value of each {{name}} placeholder of the template
+ * @returns {{text: string, prompt: {id: string, version: number}}} The prompt text,
+ *   and the id and version to record on whatever the prompt generates
+ */
+export const renderPrompt = (id, variables = {}) => {
+  if (!PROMPTS[id]) {
+    throw new Error(`Unknown prompt: ${id}`);
+  }
+
+  const text = PROMPTS[id].template.replace(/\{\{(\w+)\}\}/g, (_, name) => {
+    if (!(name in variables)) {
+      throw new Error(`Missing variable "${name}" for prompt ${id}`);
+    }
+    return String(variables[name]);
+  });
+
+  return { text, prompt: getPromptRecord(id) };
+};
+
+/**
+ * Combine prompt records, keeping one entry per prompt id and version
+ * @param {...Array} promptLists - Lists of { id, version } records
+ * @returns {Array} The combined records, sorted by id and version
+ */
+export const mergePromptRecords = (...promptLists) => {
+  const records = new Map();
+  promptLists.flat().forEach((prompt) => {
+    if (prompt) records.set(`${prompt.id}@${prompt.version}`, prompt);
+  });
+  return [...records.values()].sort(
+    (a, b) => a.id.localeCompare(b.id) || a.version - b.version
+  );
+};
+
+/**
+ * Format the prompts and model that generated a result or quiz for display
+ * @param {Object} [generation] - Stored generation record ({ model, prompts })
+ * @returns {string|null} e.g. "gemini-2.0-flash · notes-extraction v3, notes-structuring v1",
+ *   or null for results stored before generation was recorded
+ */
+export const formatGeneration = (generation) => {
+  if (!generation) return null;
+  const prompts = (generation.prompts || [])
+    .map((prompt) => `${prompt.id} v${prompt.version}`)
+    .join(", ");
+  return [generation.model, prompts].filter(Boolean).join(" · ");
+};
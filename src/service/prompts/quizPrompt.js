@@ -3,10 +3,10 @@
  * This prompt is used to generate a structured quiz with multiple-choice and subjective questions
  */
 
-// Quiz Generation Prompt
-export const QUIZ_GENERATION_PROMPT = `Generate a quiz with 10 MCQ questions based on the notes provided.
+import { getSubjectLabel } from "./subjectPrompts";
 
-The notes might be in Markdown format with proper headings, lists, and math formulas. Please analyze the content carefully to identify key concepts, definitions, formulas, and examples from which to create questions.
+// Format of the questions and the notes they are based on, shared by every quiz prompt
+const QUIZ_FORMAT_INSTRUCTIONS = `The notes might be in Markdown format with proper headings, lists, and math formulas. Please analyze the content carefully to identify key concepts, definitions, formulas, and examples from which to create questions.
 
 IMPORTANT FORMATTING INSTRUCTIONS:
 
@@ -45,3 +45,43 @@ Here are some of the example of the expected JSON structure with proper markdown
 Now, based on the following notes, create 10 questions:
 
 `;
+
+// Quiz Generation Prompt
+export const QUIZ_GENERATION_PROMPT = `Generate a quiz with 10 MCQ questions based on the notes provided.
+
+${QUIZ_FORMAT_INSTRUCTIONS}`;
+
+// Prompt for follow-up quizzes, focused on the student's weak and mastered topics
+// Variables: weakTopics and masteredTopics (bullet lists) and quizCount
+export const ADAPTIVE_QUIZ_PROMPT = `Generate a quiz with 10 MCQ questions based on the notes provided.
+
+Pay special attention to the following customization requirements:
+
+1. REPEAT QUESTIONS: Include revised versions of questions on these topics the student previously struggled with:
+{{weakTopics}}
+
+2. INCREASED DIFFICULTY: Create more challenging questions for these mastered topics:
+{{masteredTopics}}
+
+3. CONTENT COVERAGE: Make sure to cover sections of the notes that haven't been tested in previous quizzes.
+   Generate questions that test different aspects of the material rather than repeating the same concepts.
+
+4. DIFFICULTY PROGRESSION: As this is quiz #{{quizCount}}, make the overall difficulty appropriate.
+
+${QUIZ_FORMAT_INSTRUCTIONS}`;
+
+/**
+ * Builds the instruction telling Gemini which subject the notes belong to
+ * @param {string} [subject] - Subject id stored on the analysis result
+ * @returns {string} Instruction to put before the quiz prompt, or an empty string
+ */
+export const getQuizSubjectInstruction = (subject) => {
+  const label = getSubjectLabel(subject);
+  if (!label) return "";
+
+  const chemistryNotation =
+    subject === "chemistry"
+      ? " Write chemical formulas and equations with mhchem, e.g. $\\ce{2H2 + O2 -> 2H2O}$, and quantities with units with $\\pu{...}$."
+      : "";
+  return `These are NEET ${label} notes. Write the questions in the style of NEET ${label} questions.${chemistryNotation}\n\n`;
+};
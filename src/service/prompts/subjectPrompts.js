@@ -0,0 +1,137 @@
+/**
+ * Subject-specific prompts for the notes pipeline
+ * Each batch of notes is classified into one NEET subject, which selects
+ * the extra extraction and structuring guidance sent to Gemini
+ */
+
+// Subjects a batch can be classified into, in the order shown to the user
+export const SUBJECTS = [
+  { id: "physics", label: "Physics" },
+  { id: "chemistry", label: "Chemistry" },
+  { id: "biology", label: "Biology" },
+  { id: "mathematics", label: "Mathematics" },
+];
+
+// Used when the subject could not be determined; adds no subject guidance
+export const GENERAL_SUBJECT = "general";
+
+// Prompt to classify the subject of a notes page (image or extracted text)
+export const SUBJECT_DETECTION_PROMPT = `You are classifying handwritten notes from a Class 11 student preparing for NEET.
+
+Decide which subject the notes belong to. Answer with exactly one word from this list and nothing else:
+${SUBJECTS.map((subject) => subject.id).join("\n")}
+${GENERAL_SUBJECT}
+
+Answer "${GENERAL_SUBJECT}" only if the notes clearly do not belong to any of the other subjects.`;
+
+// Extra guidance for the extraction step, per subject
+export const SUBJECT_EXTRACTION_GUIDANCE = {
+  physics: `These are Physics notes. Pay special attention to:
+- Laws, principles and their conditions of validity
+- Formulas, including every symbol's meaning and SI unit
+- Derivations, step by step and in the student's order
+- Free-body, ray and circuit diagrams: describe each diagram in words, including labels, directions and values
+- Worked numerical problems with given data, steps and final answer`,
+
+  chemistry: `These are Chemistry notes. Pay special attention to:
+- Chemical equations with states, conditions and catalysts written above arrows
+- Chemical formulas, ions and equations, written in mhchem notation, e.g. $\\ce{H2SO4}$, $\\ce{SO4^2-}$, $\\ce{N2 + 3H2 <=>[Fe] 2NH3}$, and quantities with units as $\\pu{...}$, e.g. $\\pu{-286 kJ mol-1}$
+- Reaction mechanisms, step by step, including intermediates
+- Structural formulas: describe the structure in words or give the IUPAC name
+- Periodic trends, exceptions and named reactions
+- Tables of properties, reproduced row by row`,
+
+  biology: `These are Biology notes. Pay special attention to:
+- Labelled diagrams (cells, organs, life cycles, plant parts): name the diagram and list every label with what it points to
+- Taxonomy and classification hierarchies: keep every level (kingdom, phylum, class, ..., example organisms) and its distinguishing features
+- Processes and cycles (e.g. photosynthesis, Krebs cycle, meiosis): keep every stage in order, with inputs, outputs, enzymes and locations
+- Tables and comparisons (e.g. "mitosis vs meiosis"): reproduce them row by row
+- Scientific names exactly as written, and any mnemonics the student used`,
+
+  mathematics: `These are Mathematics notes. Pay special attention to:
+- Definitions, theorems and their conditions
+- Every formula and identity, converted to LaTeX
+- Worked examples with every step of the solution
+- Graphs and figures: describe the shape, intercepts and key points in words`,
+};
+
+// Extra guidance for the structuring step, per subject
+export const SUBJECT_STRUCTURING_GUIDANCE = {
+  physics: `These notes are **Physics** notes.
+
+- Give every law or principle its own ### heading, followed by its formula as a display formula
+- List the meaning and SI unit of every symbol right below a formula
+- Present derivations as numbered steps
+- Present worked problems as **Given**, **Find** and numbered **Solution** steps`,
+
+  chemistry: `These notes are **Chemistry** notes.
+
+- Write chemical formulas, ions and equations with mhchem ($\\ce{...}$), putting states in brackets and reaction conditions above the arrow, e.g. $\\ce{CaCO3(s) ->[\\Delta] CaO(s) + CO2(g)}$
+- Write quantities with units with $\\pu{...}$, e.g. $\\pu{0.1 mol L-1}$
+- Give every named reaction or mechanism its own ### heading, with the mechanism as numbered steps
+- Present trends and comparisons as Markdown tables
+- Use > blockquotes for exceptions to general trends`,
+
+  biology: `These notes are **Biology** notes.
+
+- Present classification hierarchies as nested bullet lists, from the highest rank down to example organisms, with the distinguishing features of each group
+- Present processes and cycles as numbered lists of stages; name the inputs, outputs, enzymes and location of each stage
+- Present comparisons (e.g. mitosis vs meiosis, C3 vs C4 plants) as Markdown tables
+- Describe each diagram under a ### heading named after it, with a bullet list of its labelled parts and their functions
+- Write scientific names in *italics*
+- Use > blockquotes for exceptions and frequently asked NEET facts
+
+### Example
+
+# Plant Kingdom
+
+## Classification of Algae
+
+- **Chlorophyceae** (green algae)
+  - *Pigments:* chlorophyll a and b
+  - *Stored food:* starch
+  - *Examples:* *Chlamydomonas*, *Spirogyra*
+- **Phaeophyceae** (brown algae)
+  - *Pigments:* chlorophyll a and c, fucoxanthin
+  - *Stored food:* laminarin, mannitol
+  - *Examples:* *Laminaria*, *Fucus*
+
+## Photosynthesis
+
+### Light Reaction
+1. **Location:** thylakoid membranes
+2. **Inputs:** light, $\\ce{H2O}$, $\\ce{NADP+}$, ADP
+3. **Outputs:** $\\ce{O2}$, NADPH, ATP
+
+| Feature | C3 Plants | C4 Plants |
+|---------|-----------|-----------|
+| First stable product | 3-PGA | Oxaloacetic acid |
+| Kranz anatomy | Absent | Present |
+
+> **NEET fact:** Photorespiration does not occur in C4 plants.`,
+
+  mathematics: `These notes are **Mathematics** notes.
+
+- Give every definition and theorem its own ### heading, with its conditions stated explicitly
+- Present formulas and identities as display formulas
+- Present worked examples as numbered steps ending with the **Answer**`,
+};
+
+/**
+ * Normalizes a subject classification returned by Gemini
+ * @param {string} text - The model's answer
+ * @returns {string} A subject id, or GENERAL_SUBJECT if the answer is not a known subject
+ */
+export const parseSubject = (text) => {
+  const answer = (text || "").trim().toLowerCase();
+  const subject = SUBJECTS.find((candidate) => answer.startsWith(candidate.id));
+  return subject ? subject.id : GENERAL_SUBJECT;
+};
+
+/**
+ * Gets the display label of a subject
+ * @param {string} subjectId - Subject id stored on an analysis result
+ * @returns {string|null} The label, or null for unknown and general subjects
+ */
+export const getSubjectLabel = (subjectId) =>
+  SUBJECTS.find((subject) => subject.id === subjectId)?.label || null;
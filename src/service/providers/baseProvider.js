@@ -0,0 +1,71 @@
+/**
+ * Common interface of the model providers
+ * Each provider implements a single generate function; the methods services call
+ * are built on top of it, so every provider behaves the same way
+ */
+
+/**
+ * @typedef {Object} GenerateOptions
+ * @property {string} [label] - What the call is for, used in errors and the usage log
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [topK] - Top-k sampling, ignored by providers without it
+ * @property {number} [topP] - Top-p sampling
+ * @property {number} [maxOutputTokens] - Maximum number of output tokens
+ * @property {Object} [schema] - Response schema (see types/quizSchema Type), to request JSON
+ * @property {Function} [onText] - While streaming, called with the text received so far
+ *   and the number of output tokens if the provider reports it
+ * @property {Function} [onQueuePosition] - Called with the queue position while the request waits
+ * @property {Function} [onUsage] - Called with the token usage of the call
+ * @property {AbortSignal} [signal] - Cancels the request
+ */
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} id - Provider id, e.g. "gemini"
+ * @property {string} model - Model the provider requests
+ * @property {Function} generateText - (prompt, options) => Promise<{ text, response }>
+ * @property {Function} generateWithImages - (prompt, images, options) =>
+ *   Promise<{ text, response }>, images being image Files or Blobs
+ * @property {Function} generateJson - (prompt, schema, options) =>
+ *   Promise<{ data, text, response }>
+ * @property {Function} streamText - (prompt, options) => Promise<{ text, response }>,
+ *   reporting the text through options.onText as it arrives
+ */
+
+/**
+ * Parse JSON returned by a model
+ * Models that do not support a response schema may wrap the JSON in a code fence
+ * @param {string} text - Model response
+ * @returns {any} Parsed JSON
+ * @throws {SyntaxError} If the response is not JSON
+ */
+export const parseJsonText = (text) =>
+  JSON.parse(
+    text
+      .trim()
+      .replace(/^```(?:json)?\s*/i, "")
+      .replace(/\s*```$/, "")
+  );
+
+/**
+ * Create a provider from its generate function
+ * @param {Object} config - Provider configuration
+ * @param {string} config.id - Provider id
+ * @param {string} config.model - Model the provider requests
+ * @param {Function} config.generate - Async function from GenerateOptions plus prompt,
+ *   images and stream to the response text and raw response ({ text, response })
+ * @returns {LlmProvider} The provider
+ */
+export const createProvider = ({ id, model, generate }) => ({
+  id,
+  model,
+  generateText: (prompt, options = {}) => generate({ ...options, prompt }),
+  generateWithImages: (prompt, images, options = {}) =>
+    generate({ ...options, prompt, images }),
+  generateJson: async (prompt, schema, options = {}) => {
+    const result = await generate({ ...options, prompt, schema });
+    return { ...result, data: parseJsonText(result.text) };
+  },
+  streamText: (prompt, options = {}) =>
+    generate({ ...options, prompt, stream: true }),
+});
@@ -0,0 +1,80 @@
+/**
+ * Model provider for the Google Gemini API
+ */
+
+import { createProvider } from "./baseProvider";
+import { fileToBase64 } from "../utils/fileUtils";
+import {
+  getApiConfig,
+  makeGeminiRequest,
+  makeGeminiStreamRequest,
+  extractTextFromResponse,
+} from "../utils/apiUtils";
+
+/**
+ * Create the Gemini provider
+ * @param {Object} [config] - Provider configuration
+ * @param {string} [config.apiKey] - Gemini API key, VITE_GEMINI_API_KEY by default
+ * @returns {Object} The provider, implementing LlmProvider (see baseProvider)
+ * @throws {Error} If no valid API key is configured
+ */
+export const createGeminiProvider = ({ apiKey } = {}) => {
+  const { key, endpoint, modelVersion } = getApiConfig(apiKey);
+
+  const generate = async ({
+    prompt,
+    images = [],
+    schema,
+    stream = false,
+    label = "generation",
+    temperature,
+    topK,
+    topP,
+    maxOutputTokens,
+    onText,
+    ...requestOptions
+  }) => {
+    const imageParts = await Promise.all(
+      images.map(async (image) => ({
+        inline_data: {
+          mime_type: image.type,
+          data: await fileToBase64(image),
+        },
+      }))
+    );
+
+    const requestBody = {
+      contents: [{ parts: [{ text: prompt }, ...imageParts] }],
+      generationConfig: {
+        temperature,
+        topK,
+        topP,
+        maxOutputTokens,
+        ...(schema && {
+          responseMimeType: "application/json",
+          responseSchema: schema,
+        }),
+      },
+    };
+
+    const data = stream
+      ? await makeGeminiStreamRequest(endpoint, key, requestBody, label, {
+          ...requestOptions,
+          onText:
+            onText &&
+            ((text, usageMetadata) =>
+              onText(text, usageMetadata?.candidatesTokenCount)),
+        })
+      : await makeGeminiRequest(
+          endpoint,
+          key,
+          requestBody,
+          label,
+          requestOptions
+        );
+
+    return { text: extractTextFromResponse(data), response: data };
+  };
+
+  return createProvider({ id: "gemini", model: modelVersion, generate });
+};
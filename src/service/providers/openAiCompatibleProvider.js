@@ -0,0 +1,240 @@
+/**
+ * Model provider for servers implementing the OpenAI chat completions API
+ * Works with hosted APIs as well as local servers such as Ollama
+ * (http://localhost:11434/v1) or the llama.cpp server (http://localhost:8080/v1).
+ * Image input needs a vision model, e.g. llama3.2-vision or qwen2.5vl in Ollama.
+ */
+
+import { createProvider } from "./baseProvider";
+import { fileToBase64 } from "../utils/fileUtils";
+import {
+  sendApiRequest,
+  readServerSentEvents,
+  recordUsage,
+} from "../utils/apiUtils";
+import { ApiError, API_ERROR_TYPES } from "../utils/apiErrors";
+import { openAiCompatibleScheduler } from "../utils/requestScheduler";
+
+export const DEFAULT_OPENAI_BASE_URL = "http://localhost:11434/v1";
+
+// Local models on modest hardware can take minutes before the first token arrives
+const OPENAI_TIMEOUT_MS =
+  Number(import.meta.env.VITE_OPENAI_TIMEOUT_MS) || 600000;
+
+/**
+ * Convert a response schema in Gemini's format to JSON Schema
+ * Gemini marks optional values with nullable and orders properties with
+ * propertyOrdering, neither of which JSON Schema has
+ * @param {Object} schema - Response schema (see types/quizSchema Type)
+ * @returns {Object} Equivalent JSON Schema
+ */
+const toJsonSchema = (schema) =>
+  Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => key !== "nullable" && key !== "propertyOrdering")
+      .map(([key, value]) => {
+        if (key === "type" && schema.nullable) return [key, [value, "null"]];
+        if (key === "items") return [key, toJsonSchema(value)];
+        if (key === "properties") {
+          return [
+            key,
+            Object.fromEntries(
+              Object.entries(value).map(([name, property]) => [
+                name,
+                toJsonSchema(property),
+              ])
+            ),
+          ];
+        }
+        return [key, value];
+      })
+  );
+
+/**
+ * Get the token counts of an OpenAI-compatible response
+ * @param {Object} [usage] - The usage field of the response
+ * @returns {Object} Token counts, as taken by recordUsage
+ */
+const getOpenAiTokens = (usage = {}) => {
+  const reasoningTokens =
+    usage.completion_tokens_details?.reasoning_tokens || 0;
+  return {
+    promptTokens: usage.prompt_tokens,
+    candidatesTokens: (usage.completion_tokens || 0) - reasoningTokens,
+    thoughtsTokens: reasoningTokens,
+    totalTokens: usage.total_tokens,
+  };
+};
+
+/**
+ * Get the text of an OpenAI-compatible answer
+ * @param {string} text - Answer text
+ * @param {string} [finishReason] - Why the model stopped
+ * @param {string} label - What the call was for, used in errors
+ * @returns {string} The text
+ * @throws {ApiError} If the answer was filtered, cut off at the output limit or empty
+ */
+const getAnswerText = (text, finishReason, label) => {
+  if (finishReason === "content_filter") {
+    throw new ApiError(
+      API_ERROR_TYPES.SAFETY_BLOCKED,
+      `The answer was blocked by the provider's content filter in ${label}`
+    );
+  }
+  if (finishReason === "length") {
+    throw new ApiError(
+      API_ERROR_TYPES.TRUNCATED,
+      `The answer was cut off at the model's output token limit in ${label}`
+    );
+  }
+  if (!text) {
+    throw new ApiError(
+      API_ERROR_TYPES.EMPTY_RESPONSE,
+      "Failed to extract content from the API response"
+    );
+  }
+  return text;
+};
+
+/**
+ * Create the OpenAI-compatible provider
+ * @param {Object} config - Provider configuration
+ * @param {string} [config.baseUrl] - Base URL of the API, the local Ollama server by default
+ * @param {string} [config.apiKey] - API key, not needed by most local servers
+ * @param {string} config.model - Model to request
+ * @returns {Object} The provider, implementing LlmProvider (see baseProvider)
+ * @throws {ApiError} If no model is configured
+ */
+export const createOpenAiCompatibleProvider = ({ baseUrl, apiKey, model }) => {
+  if (!model) {
+    throw new ApiError(
+      API_ERROR_TYPES.NOT_CONFIGURED,
+      "No model configured for the OpenAI-compatible provider. Please pick a model in Settings."
+    );
+  }
+
+  const url = `${(baseUrl || DEFAULT_OPENAI_BASE_URL).replace(
+    /\/+$/,
+    ""
+  )}/chat/completions`;
+  const requestOptions = {
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    scheduler: openAiCompatibleScheduler,
+    timeoutMs: OPENAI_TIMEOUT_MS,
+  };
+
+  const generate = async ({
+    prompt,
+    images = [],
+    schema,
+    stream = false,
+    label = "generation",
+    temperature,
+    topP,
+    maxOutputTokens,
+    onText,
+    onQueuePosition,
+    onUsage,
+    signal,
+  }) => {
+    const imageParts = await Promise.all(
+      images.map(async (image) => ({
+        type: "image_url",
+        image_url: {
+          url: `data:${image.type};base64,${await fileToBase64(image)}`,
+        },
+      }))
+    );
+
+    const requestBody = {
+      model,
+      messages: [
+        {
+          role: "user",
+          content:
+            imageParts.length > 0
+              ? [{ type: "text", text: prompt }, ...imageParts]
+              : prompt,
+        },
+      ],
+      temperature,
+      top_p: topP,
+      max_tokens: maxOutputTokens,
+      ...(schema && {
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "response", schema: toJsonSchema(schema) },
+        },
+      }),
+      ...(stream && { stream: true, stream_options: { include_usage: true } }),
+    };
+
+    // Read the stream within the request, so its timeout covers the whole response
+    const readStream = async (response, resetTimer) => {
+      let text = "";
+      let lastChunk = {};
+      let finishReason;
+      let usage;
+      await readServerSentEvents(
+        response,
+        (eventData) => {
+          resetTimer();
+          if (eventData === "[DONE]") return;
+
+          const chunk = JSON.parse(eventData);
+          if (chunk.error) {
+            throw new ApiError(
+              API_ERROR_TYPES.SERVER,
+              `API error in ${label}: ${chunk.error.message || chunk.error}`
+            );
+          }
+
+          lastChunk = chunk;
+          // The usage of the whole response comes with the last chunk, which has no choices
+          usage = chunk.usage || usage;
+          finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+          const chunkText = chunk.choices?.[0]?.delta?.content;
+          if (chunkText) {
+            text += chunkText;
+            if (onText) onText(text, usage?.completion_tokens);
+          }
+        },
+        label
+      );
+      return {
+        ...lastChunk,
+        choices: [
+          {
+            ...lastChunk.choices?.[0],
+            finish_reason: finishReason,
+            message: { role: "assistant", content: text },
+          },
+        ],
+        usage,
+      };
+    };
+
+    const { data, startedAt } = await sendApiRequest(url, requestBody, label, {
+      ...requestOptions,
+      ...(stream && { readResponse: readStream }),
+      onQueuePosition,
+      signal,
+    });
+
+    recordUsage(
+      getOpenAiTokens(data.usage),
+      { model, label, startedAt },
+      onUsage
+    );
+
+    const choice = data.choices?.[0];
+    const text = getAnswerText(
+      choice?.message?.content || "",
+      choice?.finish_reason,
+      label
+    );
+    return { text, response: data };
+  };
+
+  return createProvider({ id: "openai-compatible", model, generate });
+};
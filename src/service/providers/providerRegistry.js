@@ -0,0 +1,104 @@
+/**
+ * Registry of the model providers notes and quizzes can be generated with
+ * The provider is picked in Settings; deployments can set the default with
+ * VITE_LLM_PROVIDER, VITE_OPENAI_BASE_URL and VITE_OPENAI_MODEL
+ */
+
+import {
+  getProviderSettings as getStoredProviderSettings,
+  storeProviderSettings,
+} from "../storageService";
+import { createGeminiProvider } from "./geminiProvider";
+import {
+  createOpenAiCompatibleProvider,
+  DEFAULT_OPENAI_BASE_URL,
+} from "./openAiCompatibleProvider";
+
+export const GEMINI_PROVIDER = "gemini";
+export const OPENAI_COMPATIBLE_PROVIDER = "openai-compatible";
+
+export const PROVIDERS = [
+  {
+    id: GEMINI_PROVIDER,
+    label: "Google Gemini",
+    description: "Gemini API, using the API key and model of this deployment.",
+  },
+  {
+    id: OPENAI_COMPATIBLE_PROVIDER,
+    label: "OpenAI-compatible / local",
+    description:
+      "Any server with an OpenAI chat completions API, e.g. Ollama or llama.cpp running on this computer.",
+  },
+];
+
+const DEFAULT_PROVIDER_SETTINGS = {
+  provider: import.meta.env.VITE_LLM_PROVIDER || GEMINI_PROVIDER,
+  openAiBaseUrl:
+    import.meta.env.VITE_OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+  openAiApiKey: "",
+  openAiModel: import.meta.env.VITE_OPENAI_MODEL || "",
+};
+
+/**
+ * Get the label of a provider
+ * @param {string} id - Provider id
+ * @returns {string} Provider label, or the id for unknown providers
+ */
+export const getProviderLabel = (id) =>
+  PROVIDERS.find((provider) => provider.id === id)?.label || id;
+
+/**
+ * Get the provider settings, falling back to the deployment defaults
+ * @returns {Object} Provider settings (provider, openAiBaseUrl, openAiApiKey, openAiModel)
+ */
+export const getProviderSettings = () => ({
+  ...DEFAULT_PROVIDER_SETTINGS,
+  ...getStoredProviderSettings(),
+});
+
+/**
+ * Update the provider settings
+ * @param {Object} updates - Settings to change
+ */
+export const updateProviderSettings = (updates) => {
+  storeProviderSettings({ ...getProviderSettings(), ...updates });
+};
+
+/**
+ * Create the provider picked in the settings
+ * @param {string} [apiKey] - Gemini API key, overriding VITE_GEMINI_API_KEY
+ * @returns {Object} The provider, implementing LlmProvider (see baseProvider)
+ * @throws {Error} If the picked provider is not configured
+ */
+export const getProvider = (apiKey) => {
+  const settings = getProviderSettings();
+  if (settings.provider === OPENAI_COMPATIBLE_PROVIDER) {
+    return createOpenAiCompatibleProvider({
+      baseUrl: settings.openAiBaseUrl,
+      apiKey: settings.openAiApiKey,
+      model: settings.openAiModel,
+    });
+  }
+  return createGeminiProvider({ apiKey });
+};
+
+/**
+ * Check that the provider picked in the settings is configured and answers
+ * @returns {Promise<Object>} - success with the model that answered, or the error
+ */
+export const testProviderConnection = async () => {
+  try {
+    const provider = getProvider();
+    await provider.generateText("Reply with the word OK.", {
+      label: "connection test",
+      temperature: 0,
+    });
+    return { success: true, provider: provider.id, model: provider.model };
+  } catch (error) {
+    console.error("Error testing the provider connection:", error);
+    return {
+      success: false,
+      error: error.message || "The provider did not answer",
+    };
+  }
+};
@@ -1,27 +1,39 @@
 /**
- * Service to generate quizzes from analyzed notes using Gemini API
+ * Service to generate quizzes from analyzed notes with the configured model provider
  */
 
 import { storeQuizResult } from "./storageService";
-import { QUIZ_GENERATION_PROMPT } from "./prompts/quizPrompt";
+import { getQuizSubjectInstruction } from "./prompts/quizPrompt";
+import { getQuizLanguageInstruction } from "./prompts/languagePrompts";
+import {
+  PROMPT_IDS,
+  renderPrompt,
+  mergePromptRecords,
+} from "./prompts/promptRegistry";
+import { repairQuizMath } from "./latexRepairService";
 import { parseQuestions } from "../utils/questionParser";
+import { toPlainNotesMarkdown } from "../utils/plainNotes";
+import { isAbortError, createCancelledResult } from "./utils/apiUtils";
+import { ApiError } from "./utils/apiErrors";
+import { createUsageCollector, assertWithinDailyBudget } from "./usageService";
+import { getProvider } from "./providers/providerRegistry";
 
 /**
  * Generates a quiz based on analyzed notes data
  * @param {Object} analysisResult - The analysis result object
- * @param {string} [apiKey] - Your Gemini API key (optional if set in environment variables)
+ * @param {string} [apiKey] - Gemini API key (optional, used by the Gemini provider)
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels generation; nothing is stored once aborted
  * @returns {Promise<object>} - The generated quiz
  */
-export const generateQuizFromNotes = async (analysisResult, apiKey) => {
+export const generateQuizFromNotes = async (
+  analysisResult,
+  apiKey,
+  { signal } = {}
+) => {
   try {
-    // Use provided API key or fall back to environment variable
-    const key = apiKey || import.meta.env.VITE_GEMINI_API_KEY;
-
-    if (!key || key === "your_gemini_api_key_here") {
-      throw new Error(
-        "No valid API key provided. Please provide a Gemini API key."
-      );
-    }
+    // Throws if the picked provider is not configured, e.g. without an API key
+    const provider = getProvider(apiKey);
 
     if (
       !analysisResult ||
@@ -32,88 +44,63 @@ export const generateQuizFromNotes = async (analysisResult, apiKey) => {
       throw new Error("No valid analysis data provided for quiz generation");
     }
 
-    // API endpoint for Gemini - use configured model or fallback to default
-    const modelVersion =
-      import.meta.env.VITE_GEMINI_MODEL_VERSION || "gemini-1.5-flash";
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${modelVersion}:generateContent`;
+    assertWithinDailyBudget();
+    const usage = createUsageCollector();
 
-    console.log(`Using Gemini model: ${modelVersion}`);
+    console.log(`Using ${provider.id} model: ${provider.model}`);
 
     // Prepare input data for the quiz generation
     // First try markdown, then fallback to other formats for backward compatibility
     const inputData = analysisResult.markdown
-      ? analysisResult.markdown
+      ? toPlainNotesMarkdown(analysisResult.markdown)
       : analysisResult.structuredData
       ? JSON.stringify(analysisResult.structuredData, null, 2)
       : analysisResult.description;
 
-    // Prepare request body with appropriate configuration
-    const requestBody = {
-      contents: [
-        {
-          parts: [
-            {
-              text: QUIZ_GENERATION_PROMPT + inputData,
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 65536,
-      },
-    };
+    const { text: quizPrompt, prompt } = renderPrompt(
+      PROMPT_IDS.QUIZ_GENERATION,
+      {
+        instructions:
+          getQuizSubjectInstruction(analysisResult.subject) +
+          getQuizLanguageInstruction(analysisResult.outputLanguage),
+        notes: inputData,
+      }
+    );
 
     // We're intentionally NOT using the schema to simplify responses
 
-    console.log("Sending request to Gemini API...");
+    console.log("Sending quiz generation request...");
 
     try {
       // Make API request
-      const response = await fetch(`${endpoint}?key=${key}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        },
-        body: JSON.stringify(requestBody),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        const errorMessage = errorData.error?.message || response.statusText;
-        console.error("API Error:", errorMessage);
-        throw new Error(`API error: ${errorMessage}`);
-      }
-
-      const data = await response.json();
+      const { text: rawQuizText, response: data } = await provider.generateText(
+        quizPrompt,
+        {
+          label: "quiz generation",
+          temperature: 0.7,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: 65536,
+          onUsage: usage.onUsage,
+          signal,
+        }
+      );
 
       // Log response for debugging
-      console.log("===== GEMINI API RESPONSE =====");
-      console.log(data.candidates[0].content.parts[0].text);
-
-      // Extract text content from the response
-      let rawQuizText = "";
-      let rawApiResponse = JSON.stringify(data, null, 2);
-
-      if (
-        data.candidates &&
-        data.candidates[0] &&
-        data.candidates[0].content?.parts &&
-        data.candidates[0].content.parts[0]?.text
-      ) {
-        rawQuizText = data.candidates[0].content.parts[0].text;
-        console.log("Text response received");
-      } else {
-        console.warn("No text content found in API response");
-      }
+      console.log("===== MODEL RESPONSE =====");
+      console.log(rawQuizText);
+
+      const rawApiResponse = JSON.stringify(data, null, 2);
 
       // Use our simple parser to parse the quiz questions
       console.log("Attempting to parse quiz questions...");
       console.log(rawQuizText);
-      const structuredQuestions = parseQuestions(rawQuizText);
+      // Repair formulas that would not render before the quiz is stored
+      const { questions: structuredQuestions, latexRepairs } =
+        await repairQuizMath(parseQuestions(rawQuizText), provider, {
+          onUsage: usage.onUsage,
+          signal,
+        });
       console.log(structuredQuestions);
       console.log(`Parsed ${structuredQuestions.length} structured questions`);
 
@@ -123,6 +110,13 @@ export const generateQuizFromNotes = async (analysisResult, apiKey) => {
         quiz: rawQuizText,
         quizQuestions: structuredQuestions,
         sourceData: analysisResult,
+        generation: {
+          provider: provider.id,
+          model: provider.model,
+          prompts: mergePromptRecords([prompt, latexRepairs?.prompt]),
+        },
+        ...(latexRepairs && { latexRepairs }),
+        usage: usage.getUsage(),
         timestamp: new Date().toISOString(),
         id: `quiz_${Date.now()}`,
         attempted: false,
@@ -149,17 +143,30 @@ export const generateQuizFromNotes = async (analysisResult, apiKey) => {
         `Returning quiz with ${quizResult.quizQuestions.length} structured questions`
       );
 
+      // Never store a quiz whose generation was cancelled
+      if (signal?.aborted) {
+        return createCancelledResult("Quiz generation was cancelled");
+      }
+
       // Store and return the quiz result
       return storeQuizResult(quizResult);
     } catch (apiError) {
+      // Typed API errors already say what failed, and keep their type for the UI
+      if (isAbortError(apiError) || apiError instanceof ApiError) {
+        throw apiError;
+      }
       console.error("API request error:", apiError);
       throw new Error(`API request failed: ${apiError.message}`);
     }
   } catch (error) {
-    console.error("Error generating quiz with Gemini:", error);
+    if (isAbortError(error)) {
+      return createCancelledResult("Quiz generation was cancelled");
+    }
+    console.error("Error generating quiz:", error);
     return {
       success: false,
       error: error.message || "Failed to generate quiz",
+      errorType: error.type,
     };
   }
 };
@@ -32,6 +32,222 @@ export const storeAnalysisResult = (result) => {
   }
 };
 
+/**
+ * Update a stored analysis result in place, keeping its id and creation timestamp
+ * @param {string} id - ID of the result to update
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} - The updated result, or null if it was not found
+ */
+export const updateAnalysisResult = (id, updates) => {
+  try {
+    const existingResults = JSON.parse(
+      localStorage.getItem("notesAnalysisResults") || "[]"
+    );
+
+    const index = existingResults.findIndex((result) => result.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const updatedResult = {
+      ...existingResults[index],
+      ...updates,
+      id,
+      updatedAt: new Date().toISOString(),
+    };
+    existingResults[index] = updatedResult;
+
+    localStorage.setItem(
+      "notesAnalysisResults",
+      JSON.stringify(existingResults)
+    );
+
+    return updatedResult;
+  } catch (error) {
+    console.error("Error updating result in localStorage:", error);
+    return null;
+  }
+};
+
+// Number of recent processing runs kept for time estimates
+const MAX_PROCESSING_TIMINGS = 20;
+
+/**
+ * Store how long a completed processing run took, used to estimate the next run
+ * Only the most recent runs are kept
+ * @param {Object} timing - Run timing
+ * @param {number} timing.pages - Number of pages extracted in the run
+ * @param {number} timing.pageCount - Number of pages in the structured notes
+ * @param {number} timing.extractionMs - Time spent extracting the pages
+ * @param {number} timing.structuringMs - Time spent structuring the notes
+ */
+export const storeProcessingTiming = (timing) => {
+  try {
+    const timings = getProcessingTimings();
+    const updatedTimings = [
+      ...timings,
+      { ...timing, timestamp: new Date().toISOString() },
+    ].slice(-MAX_PROCESSING_TIMINGS);
+    localStorage.setItem(
+      "notesProcessingTimings",
+      JSON.stringify(updatedTimings)
+    );
+  } catch (error) {
+    console.error("Error storing processing timing in localStorage:", error);
+  }
+};
+
+/**
+ * Get the timings of recent processing runs
+ * @returns {Array} - Stored run timings, oldest first
+ */
+export const getProcessingTimings = () => {
+  try {
+    return JSON.parse(localStorage.getItem("notesProcessingTimings") || "[]");
+  } catch (error) {
+    console.error("Error retrieving processing timings:", error);
+    return [];
+  }
+};
+
+// Number of days of model calls kept in the usage log
+const USAGE_LOG_DAYS = 30;
+// The key predates other providers; it is kept so logs already stored stay readable
+const USAGE_LOG_KEY = "geminiUsageLog";
+
+/**
+ * Add a model call to the usage log, used for daily totals and the token budget
+ * Calls older than USAGE_LOG_DAYS are dropped
+ * @param {Object} entry - Usage of the call (timestamp, model, label, tokens, latencyMs)
+ */
+export const storeUsageEntry = (entry) => {
+  try {
+    const cutoff = Date.now() - USAGE_LOG_DAYS * 24 * 60 * 60 * 1000;
+    const updatedLog = [
+      ...getUsageLog().filter(
+        (logEntry) => Date.parse(logEntry.timestamp) >= cutoff
+      ),
+      entry,
+    ];
+    localStorage.setItem(USAGE_LOG_KEY, JSON.stringify(updatedLog));
+  } catch (error) {
+    console.error("Error storing usage in localStorage:", error);
+  }
+};
+
+/**
+ * Get the model calls of the last USAGE_LOG_DAYS days
+ * @returns {Array} - Usage entries, oldest first
+ */
+export const getUsageLog = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USAGE_LOG_KEY) || "[]");
+  } catch (error) {
+    console.error("Error retrieving usage log:", error);
+    return [];
+  }
+};
+
+/**
+ * Store the usage settings
+ * @param {Object} settings - Usage settings
+ * @param {number|null} settings.dailyTokenBudget - Tokens allowed per day, null for no budget
+ */
+export const storeUsageSettings = (settings) => {
+  try {
+    localStorage.setItem("geminiUsageSettings", JSON.stringify(settings));
+  } catch (error) {
+    console.error("Error storing usage settings in localStorage:", error);
+  }
+};
+
+/**
+ * Get the usage settings
+ * @returns {Object} - Stored usage settings, empty if none were stored
+ */
+export const getUsageSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem("geminiUsageSettings") || "{}");
+  } catch (error) {
+    console.error("Error retrieving usage settings:", error);
+    return {};
+  }
+};
+
+/**
+ * Store the languages picked for new notes, so they are remembered across sessions
+ * @param {Object} settings - Language settings
+ * @param {string} settings.inputLanguage - Language the notes are written in
+ * @param {string} settings.outputLanguage - Language to write the structured notes in
+ */
+export const storeLanguageSettings = (settings) => {
+  try {
+    localStorage.setItem("notesLanguageSettings", JSON.stringify(settings));
+  } catch (error) {
+    console.error("Error storing language settings in localStorage:", error);
+  }
+};
+
+/**
+ * Get the languages picked for new notes
+ * @returns {Object} - Stored language settings, empty if none were stored
+ */
+export const getLanguageSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem("notesLanguageSettings") || "{}");
+  } catch (error) {
+    console.error("Error retrieving language settings:", error);
+    return {};
+  }
+};
+
+/**
+ * Store the model provider settings
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.provider - Provider id, e.g. "gemini"
+ * @param {string} [settings.openAiBaseUrl] - Base URL of the OpenAI-compatible server
+ * @param {string} [settings.openAiApiKey] - API key of the OpenAI-compatible server
+ * @param {string} [settings.openAiModel] - Model to request from the OpenAI-compatible server
+ */
+export const storeProviderSettings = (settings) => {
+  try {
+    localStorage.setItem("llmProviderSettings", JSON.stringify(settings));
+  } catch (error) {
+    console.error("Error storing provider settings in localStorage:", error);
+  }
+};
+
+/**
+ * Get the model provider settings
+ * @returns {Object} - Stored provider settings, empty if none were stored
+ */
+export const getProviderSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem("llmProviderSettings") || "{}");
+  } catch (error) {
+    console.error("Error retrieving provider settings:", error);
+    return {};
+  }
+};
+
+/**
+ * Remember that stored notes and quizzes were upgraded to mhchem chemistry notation
+ */
+export const storeChemistryNotationUpgraded = () => {
+  try {
+    localStorage.setItem("chemistryNotationUpgraded", "true");
+  } catch (error) {
+    console.error("Error storing notation upgrade in localStorage:", error);
+  }
+};
+
+/**
+ * Whether stored notes and quizzes were upgraded to mhchem chemistry notation
+ * @returns {boolean} - True once the upgrade has run
+ */
+export const getChemistryNotationUpgraded = () =>
+  localStorage.getItem("chemistryNotationUpgraded") === "true";
+
 /**
  * Process quiz data to preserve LaTeX backslashes before storage
  * @param {Object} quiz - The quiz object to process
@@ -122,6 +338,39 @@ export const storeQuizResult = (quiz) => {
   }
 };
 
+/**
+ * Update a stored quiz in place, keeping its id
+ * @param {string} id - ID of the quiz to update
+ * @param {Object} updates - Fields to update, with LaTeX as returned by getStoredQuizzes
+ * @returns {Object|null} - The updated quiz, or null if it was not found
+ */
+export const updateStoredQuiz = (id, updates) => {
+  try {
+    const existingQuizzes = JSON.parse(
+      localStorage.getItem("notesQuizResults") || "[]"
+    );
+
+    const index = existingQuizzes.findIndex((quiz) => quiz.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const updatedQuiz = {
+      ...processQuizzesFromStorage([existingQuizzes[index]])[0],
+      ...updates,
+      id,
+    };
+    existingQuizzes[index] = processQuizForStorage(updatedQuiz);
+
+    localStorage.setItem("notesQuizResults", JSON.stringify(existingQuizzes));
+
+    return updatedQuiz;
+  } catch (error) {
+    console.error("Error updating quiz in localStorage:", error);
+    return null;
+  }
+};
+
 // Function to get all stored analysis results
 export const getStoredAnalysisResults = () => {
   try {
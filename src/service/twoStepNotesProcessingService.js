@@ -1,129 +1,709 @@
 /**
- * Two-Step Service to process notes images with Gemini API
+ * Two-Step Service to process notes images with the configured model provider
  * This implementation uses a two-phase approach:
  * 1. Extract content from the image
  * 2. Structure the extracted content according to our schema
  */
 
-import { fileToBase64 } from "./utils/fileUtils";
-import { storeAnalysisResult } from "./storageService";
-import { NOTES_STRUCTURING_PROMPT } from "./prompts/notesPrompt";
+import { hashFile } from "./utils/fileUtils";
+import { expandPdfFiles, isPdfFile } from "./utils/pdfUtils";
+import {
+  storeAnalysisResult,
+  getStoredAnalysisResultById,
+  updateAnalysisResult,
+  storeProcessingTiming,
+} from "./storageService";
+import {
+  SOURCE_PAGES_INSTRUCTION,
+  STRUCTURED_OUTPUT_INSTRUCTION,
+  FIGURES_INSTRUCTION,
+  UNCERTAIN_SPANS_INSTRUCTION,
+} from "./prompts/notesPrompt";
+import {
+  SUBJECT_EXTRACTION_GUIDANCE,
+  SUBJECT_STRUCTURING_GUIDANCE,
+  GENERAL_SUBJECT,
+  parseSubject,
+} from "./prompts/subjectPrompts";
+import {
+  DEFAULT_INPUT_LANGUAGE,
+  DEFAULT_OUTPUT_LANGUAGE,
+  INPUT_LANGUAGE_EXTRACTION_GUIDANCE,
+  getStructuringLanguageGuidance,
+} from "./prompts/languagePrompts";
+import {
+  PROMPT_IDS,
+  renderPrompt,
+  getPromptRecord,
+  mergePromptRecords,
+} from "./prompts/promptRegistry";
+import { savePageImages, saveFigureImages } from "./pageImageService";
+import { getCachedExtraction, cacheExtraction } from "./extractionCacheService";
+import { getSectionSources } from "../utils/sourcePages";
+import {
+  normalizeNotesTree,
+  notesTreeToMarkdown,
+  parsePartialJson,
+  mergeNotesTrees,
+} from "../utils/notesTree";
+import { mergeMarkdownChunks } from "../utils/markdownMerge";
+import { extractFigureBoxes, hasFigureReferences } from "../utils/figures";
+import {
+  applyResolvedSpans,
+  extractUncertainMarkers,
+  hasUncertainReferences,
+} from "../utils/uncertainSpans";
+import { cropImageRegion } from "./utils/imageUtils";
+import { repairNotesMath } from "./latexRepairService";
+import { createUsageCollector, assertWithinDailyBudget } from "./usageService";
 import { notesStructureSchema } from "./types/notesSchema";
+import { getProvider } from "./providers/providerRegistry";
+import { parseJsonText } from "./providers/baseProvider";
 import {
-  getApiConfig,
-  makeGeminiRequest,
-  extractTextFromResponse,
+  withRetry,
+  isAbortError,
+  createCancelledResult,
 } from "./utils/apiUtils";
+import { API_ERROR_TYPES } from "./utils/apiErrors";
 
 /**
- * Initial extraction prompt for the first step
+ * Adds the guidance for a subject or language to a prompt
+ * @param {string} prompt - The general prompt
+ * @param {Object} guidance - Guidance per subject or language id
+ * @param {string} [id] - Subject or language id of the notes
+ * @returns {string} The prompt with the guidance for the id
  */
-const INITIAL_EXTRACTION_PROMPT = `You are an expert assistant helping students with their handwritten NEET preparation notes. 
-Your task is to extract the content from this image and provide a clear, structured representation of what the student has written.
+const withGuidance = (prompt, guidance, id) =>
+  guidance[id] ? `${prompt}\n\n${guidance[id]}` : prompt;
 
-Extract all the following elements that are visible in the image:
-- Topic names
-- Subtopic names
-- Concept names/terms
-- Definitions for concepts
-- Mathematical formulas (convert to text or LaTeX format)
-- Examples provided
-- Any other important educational content
+/**
+ * Builds the extraction prompt for the subject and language of the notes
+ * @param {string} [subject] - Subject id of the notes
+ * @param {string} [inputLanguage] - Language the notes are written in
+ * @returns {string} The extraction prompt
+ */
+const getExtractionPrompt = (subject, inputLanguage) =>
+  renderPrompt(PROMPT_IDS.NOTES_EXTRACTION, {
+    guidance: withGuidance(
+      withGuidance("", SUBJECT_EXTRACTION_GUIDANCE, subject),
+      INPUT_LANGUAGE_EXTRACTION_GUIDANCE,
+      inputLanguage
+    ),
+  }).text;
 
-Provide this information in a structured format with clear headings and organization that reflects the hierarchical nature of the content.
-Focus on maintaining the exact meaning of what the student wrote while making it more structured and readable.
+/**
+ * Builds the record of the model and prompts that generated notes
+ * @param {Object} provider - Model provider used
+ * @param {boolean} subjectDetected - Whether the subject was detected instead of picked
+ * @param {Array} [previousPrompts] - Prompts recorded on the notes before, e.g. when adding pages,
+ *   or used besides extraction and structuring, e.g. to repair formulas
+ * @returns {Object} Generation record with provider, model and prompts ({ id, version })
+ */
+const getGenerationRecord = (
+  provider,
+  subjectDetected,
+  previousPrompts = []
+) => ({
+  provider: provider.id,
+  model: provider.model,
+  prompts: mergePromptRecords(
+    previousPrompts,
+    subjectDetected ? [getPromptRecord(PROMPT_IDS.SUBJECT_DETECTION)] : [],
+    [
+      getPromptRecord(PROMPT_IDS.NOTES_EXTRACTION),
+      getPromptRecord(PROMPT_IDS.NOTES_STRUCTURING),
+    ]
+  ),
+});
+
+/**
+ * Classifies the subject of the notes from a page image or extracted text
+ * Falls back to the general subject if classification fails, so it never blocks processing
+ * @param {File|string} page - A page image, or content that was already extracted
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {Object} [requestOptions] - Request options (onQueuePosition, onUsage, signal)
+ * @returns {Promise<string>} - The subject id
+ */
+const detectSubject = async (page, provider, requestOptions) => {
+  try {
+    const prompt = renderPrompt(PROMPT_IDS.SUBJECT_DETECTION).text;
+    const options = {
+      ...requestOptions,
+      label: "subject detection",
+      temperature: 0,
+    };
 
-Return the extracted content in a well-organized format that maintains the relationships between topics, subtopics, concepts, etc.`;
+    const { text } =
+      typeof page === "string"
+        ? await provider.generateText(`${prompt}\n\n${page}`, options)
+        : await provider.generateWithImages(prompt, [page], options);
+    return parseSubject(text);
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.error("Error detecting subject:", error);
+    return GENERAL_SUBJECT;
+  }
+};
 
 /**
- * Extracts content from a single image using Gemini API
+ * Extracts content from a single image
  * @param {File} imageFile - The image file to extract content from
- * @param {string} apiKey - API key for Gemini
- * @param {string} endpoint - API endpoint URL
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {Object} [guidance] - Guidance for the extraction prompt
+ * @param {string} [guidance.subject] - Subject id selecting the extraction guidance
+ * @param {string} [guidance.inputLanguage] - Language the notes are written in
+ * @param {Object} [requestOptions] - Request options (onQueuePosition, onUsage, signal)
  * @returns {Promise<string>} - The extracted content
  */
-const extractContentFromImage = async (imageFile, apiKey, endpoint) => {
-  // Convert image to base64
-  const base64Image = await fileToBase64(imageFile);
-
-  const requestBody = {
-    contents: [
-      {
-        parts: [
-          { text: INITIAL_EXTRACTION_PROMPT },
-          {
-            inline_data: {
-              mime_type: imageFile.type,
-              data: base64Image,
-            },
-          },
-        ],
-      },
-    ],
-    generationConfig: {
+const extractContentFromImage = async (
+  imageFile,
+  provider,
+  { subject, inputLanguage } = {},
+  requestOptions
+) => {
+  const { text } = await provider.generateWithImages(
+    getExtractionPrompt(subject, inputLanguage),
+    [imageFile],
+    {
+      ...requestOptions,
+      label: "content extraction",
       temperature: 0.2,
       topK: 32,
       topP: 0.95,
       maxOutputTokens: 65536,
-    },
-  };
+    }
+  );
+  return text;
+};
+
+/**
+ * Extracts a single page, retrying empty answers with backoff
+ * Rate limits, server and network errors are already retried by sendApiRequest.
+ * Only throws when cancelled, so one failed page does not reject the whole batch
+ * @param {File} imageFile - The page image
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {Object} [guidance] - Guidance for the extraction prompt (subject, inputLanguage)
+ * @param {Object} [requestOptions] - Request options (onQueuePosition, signal)
+ * @returns {Promise<Object>} - Page result with success, content or error and errorType, and the usage
+ *   of its model calls
+ */
+const extractPage = async (imageFile, provider, guidance, requestOptions) => {
+  const { entries: usage, onUsage } = createUsageCollector();
+  try {
+    const content = await withRetry(
+      () =>
+        extractContentFromImage(imageFile, provider, guidance, {
+          ...requestOptions,
+          onUsage,
+        }),
+      {
+        retryOn: [API_ERROR_TYPES.EMPTY_RESPONSE],
+        signal: requestOptions?.signal,
+      }
+    );
+    return { success: true, content, usage };
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    return {
+      success: false,
+      error: error.message || "Failed to extract content from the page",
+      errorType: error.type,
+      usage,
+    };
+  }
+};
+
+/**
+ * Extracts a single page, reusing the cached extraction of an identical image
+ * Successful extractions are cached by image hash, prompt version and the provider
+ * and model that read the page; cache errors are only logged, so the cache never
+ * makes an extraction fail
+ * @param {File} imageFile - The page image
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.subject] - Subject id selecting the extraction guidance
+ * @param {string} [options.inputLanguage] - Language the notes are written in
+ * @param {boolean} [options.useCache] - Whether to reuse cached extractions (results are cached either way)
+ * @param {Function} [options.onQueuePosition] - Called with the page's position in the request queue
+ * @param {AbortSignal} [options.signal] - Cancels the extraction
+ * @returns {Promise<Object>} - Page result with success, content or error, usage, and cached on a cache hit
+ */
+const extractPageWithCache = async (
+  imageFile,
+  provider,
+  { subject, inputLanguage, useCache = true, ...requestOptions } = {}
+) => {
+  // Another provider or model reads the page differently, so it must not reuse the cache
+  const cacheVersion = `${
+    getPromptRecord(PROMPT_IDS.NOTES_EXTRACTION).version
+  }-${subject || GENERAL_SUBJECT}-${inputLanguage || DEFAULT_INPUT_LANGUAGE}-${
+    provider.id
+  }-${provider.model}`;
+
+  let imageHash = null;
+  try {
+    imageHash = await hashFile(imageFile);
+    const cachedContent = useCache
+      ? await getCachedExtraction(imageHash, cacheVersion)
+      : null;
+    if (cachedContent !== null) {
+      return { success: true, content: cachedContent, cached: true };
+    }
+  } catch (error) {
+    console.error("Error reading the extraction cache:", error);
+  }
+
+  const pageResult = await extractPage(
+    imageFile,
+    provider,
+    { subject, inputLanguage },
+    requestOptions
+  );
+
+  if (pageResult.success && imageHash) {
+    cacheExtraction(imageHash, cacheVersion, pageResult.content).catch(
+      (error) => console.error("Error caching the extraction:", error)
+    );
+  }
+  return pageResult;
+};
 
-  // Make API request
-  const data = await makeGeminiRequest(
-    endpoint,
-    apiKey,
-    requestBody,
-    "content extraction"
+/**
+ * Extracts every page of a batch, reusing extractions that already succeeded
+ * @param {File[]} imageFiles - Page images in order
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {Object} [options] - Extraction options
+ * @param {Array<string|null>} [options.extractions] - Previously extracted content per page
+ * @param {string} [options.subject] - Subject id selecting the extraction guidance
+ * @param {string} [options.inputLanguage] - Language the notes are written in
+ * @param {boolean} [options.useCache] - Whether to reuse cached extractions of identical images
+ * @param {Function} [options.onPageExtracted] - Called with (pageIndex, pageResult) as each page finishes
+ * @param {Function} [options.onPageQueued] - Called with (pageIndex, queuePosition) while a page waits for the rate limit
+ * @param {AbortSignal} [options.signal] - Cancels all page requests
+ * @returns {Promise<Object[]>} - Page results in page order
+ */
+const extractPages = (
+  imageFiles,
+  provider,
+  {
+    extractions = [],
+    subject,
+    inputLanguage,
+    useCache,
+    onPageExtracted,
+    onPageQueued,
+    signal,
+  } = {}
+) =>
+  Promise.all(
+    imageFiles.map(async (imageFile, index) => {
+      // Do not re-send pages that were already extracted successfully
+      if (typeof extractions[index] === "string") {
+        return { success: true, content: extractions[index], reused: true };
+      }
+
+      const pageResult = await extractPageWithCache(imageFile, provider, {
+        subject,
+        inputLanguage,
+        useCache,
+        onQueuePosition:
+          onPageQueued && ((position) => onPageQueued(index, position)),
+        signal,
+      });
+      if (onPageExtracted) {
+        onPageExtracted(index, pageResult);
+      }
+      return pageResult;
+    })
   );
 
-  return extractTextFromResponse(data);
+/**
+ * Builds an error result listing the pages that could not be extracted
+ * @param {Object[]} pageResults - Page results from extractPages
+ * @param {number} [firstPageNumber] - Page number of the first page
+ * @returns {Object|null} - Error result, or null if every page succeeded
+ */
+const getFailedPagesError = (pageResults, firstPageNumber = 1) => {
+  const failedPages = pageResults
+    .map((pageResult, index) =>
+      pageResult.success ? null : firstPageNumber + index
+    )
+    .filter((pageNumber) => pageNumber !== null);
+
+  if (failedPages.length === 0) {
+    return null;
+  }
+
+  const firstError = pageResults.find((pageResult) => !pageResult.success);
+  return {
+    success: false,
+    error: `Failed to extract page${
+      failedPages.length > 1 ? "s" : ""
+    } ${failedPages.join(", ")}: ${firstError.error}`,
+    errorType: firstError.errorType,
+    pageResults,
+  };
 };
 
 /**
- * Structures the content using Gemini API
+ * Whether notes are structured as a typed notes tree (notesStructureSchema)
+ * instead of free-form markdown; enabled with VITE_NOTES_STRUCTURED_OUTPUT=true
+ * @returns {boolean} True in structured-output mode
+ */
+const isStructuredOutputEnabled = () =>
+  import.meta.env.VITE_NOTES_STRUCTURED_OUTPUT === "true";
+
+/**
+ * Structures the extracted content with the model
+ * The response is streamed, so the notes can be shown while they are generated.
+ * With a schema, the model returns a notes tree that is rendered to markdown.
  * @param {string} content - The content to structure
- * @param {string} apiKey - API key for Gemini
- * @param {string} endpoint - API endpoint URL
- * @param {boolean} useSchema - Whether to use schema for response
- * @returns {Promise<string>} - The structured markdown
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {boolean} useSchema - Whether to request a notes tree matching notesStructureSchema
+ * @param {Object} [streamOptions] - Streaming options
+ * @param {string} [streamOptions.subject] - Subject id selecting the structuring guidance
+ * @param {string} [streamOptions.inputLanguage] - Language the notes are written in
+ * @param {string} [streamOptions.outputLanguage] - Language to write the structured notes in
+ * @param {Function} [streamOptions.onPartialMarkdown] - Called with the markdown received so far
+ * @param {Function} [streamOptions.onTokensReceived] - Called with the number of output tokens received so far
+ * @param {Function} [streamOptions.onUsage] - Called with the token usage of the request
+ * @param {AbortSignal} [streamOptions.signal] - Cancels the request
+ * @returns {Promise<Object>} - The structured markdown, and the notes tree when using the schema
  */
 const structureContent = async (
   content,
-  apiKey,
-  endpoint,
-  useSchema = false
+  provider,
+  useSchema = false,
+  {
+    subject,
+    inputLanguage,
+    outputLanguage,
+    onPartialMarkdown,
+    onTokensReceived,
+    onUsage,
+    signal,
+  } = {}
 ) => {
+  const languageGuidance = getStructuringLanguageGuidance(
+    inputLanguage,
+    outputLanguage
+  );
+  const subjectGuidance = withGuidance(
+    "",
+    SUBJECT_STRUCTURING_GUIDANCE,
+    subject
+  );
+  const guidance = languageGuidance
+    ? `${subjectGuidance}\n\n${languageGuidance}`
+    : subjectGuidance;
+
+  // Ask for source-page markers when there are pages to refer to;
+  // the notes tree has its own source_pages field instead
+  const outputGuidance = useSchema
+    ? guidance + STRUCTURED_OUTPUT_INSTRUCTION
+    : content.includes("--- PAGE ")
+    ? guidance + SOURCE_PAGES_INSTRUCTION
+    : guidance;
+  const figuresGuidance = hasFigureReferences(content)
+    ? outputGuidance + FIGURES_INSTRUCTION
+    : outputGuidance;
+  const structuringGuidance = hasUncertainReferences(content)
+    ? figuresGuidance + UNCERTAIN_SPANS_INSTRUCTION
+    : figuresGuidance;
+
   // Combine the extracted content with our structuring prompt
-  const prompt = `${NOTES_STRUCTURING_PROMPT}\n\nHere is the content extracted from student's notes that needs to be structured according to the format above:\n\n${content}`;
+  const { text: prompt } = renderPrompt(PROMPT_IDS.NOTES_STRUCTURING, {
+    guidance: structuringGuidance,
+    content,
+  });
 
-  const requestBody = {
-    contents: [
-      {
-        parts: [{ text: prompt }],
-      },
-    ],
-    generationConfig: {
-      temperature: 0.2,
-      topK: 32,
-      topP: 0.95,
-      maxOutputTokens: 65536,
-    },
+  // Render the notes tree received so far, skipping chunks that cannot be parsed yet
+  const showPartialText = (text) => {
+    if (!useSchema) {
+      onPartialMarkdown(text);
+      return;
+    }
+    const partialTree = parsePartialJson(text);
+    if (partialTree) {
+      onPartialMarkdown(notesTreeToMarkdown(normalizeNotesTree(partialTree)));
+    }
   };
 
-  // Add schema configuration only if using a compatible model
+  // Make a streaming API request for structuring
+  const { text } = await provider.streamText(prompt, {
+    label: "content structuring",
+    temperature: 0.2,
+    topK: 32,
+    topP: 0.95,
+    maxOutputTokens: 65536,
+    // Request JSON matching the notes tree schema
+    ...(useSchema && { schema: notesStructureSchema }),
+    onText: (text, outputTokens) => {
+      if (onPartialMarkdown) showPartialText(text);
+      if (onTokensReceived) {
+        // Usage is not included in every chunk, so estimate from the text length
+        onTokensReceived(outputTokens ?? Math.round(text.length / 4));
+      }
+    },
+    onUsage,
+    signal,
+  });
+
+  if (!useSchema) {
+    return { markdown: text, notesTree: null };
+  }
+
+  let notesTree;
+  try {
+    notesTree = normalizeNotesTree(parseJsonText(text));
+  } catch (error) {
+    console.error("Error parsing structured notes:", error);
+    throw new Error(
+      "The model returned structured notes that are not valid JSON"
+    );
+  }
+  return { markdown: notesTreeToMarkdown(notesTree), notesTree };
+};
+
+/**
+ * Combines per-page extractions into one document with page separators
+ * @param {string[]} extractedContents - Extracted content of each page
+ * @param {number} [firstPageNumber] - Page number of the first page
+ * @returns {string} Combined content
+ */
+const combinePageContents = (extractedContents, firstPageNumber = 1) =>
+  extractedContents
+    .map(
+      (content, index) => `--- PAGE ${firstPageNumber + index} ---\n${content}`
+    )
+    .join("\n\n");
+
+/**
+ * Splits content combined by combinePageContents back into per-page extractions
+ * @param {string} combinedContent - Content with page separators
+ * @returns {string[]} Extracted content of each page
+ */
+const splitPageContents = (combinedContent) =>
+  combinedContent
+    .split(/^--- PAGE \d+ ---\n/m)
+    .slice(1)
+    .map((content) => content.replace(/\n\n$/, ""));
+
+// Limits for one structuring request; larger batches are structured in chunks
+const MAX_CHUNK_PAGES = 10;
+const MAX_CHUNK_CHARACTERS = 40000;
+
+/**
+ * Whether a page starts a new topic, which makes it a good place to start a chunk
+ * @param {string} content - Extracted content of the page
+ * @returns {boolean} True if the page opens with a main heading
+ */
+const startsNewTopic = (content) =>
+  /^\s*(#{1,2}\s|(\*\*)?(topic|chapter)\b)/i.test(content);
+
+/**
+ * Splits pages into chunks that fit in one structuring request
+ * When a chunk is full, it is cut before the last page in its second half that
+ * starts a new topic, so topics are not split across chunks where possible
+ * @param {string[]} pageContents - Extracted content of each page
+ * @returns {number[][]} Page indexes of each chunk
+ */
+const splitIntoChunks = (pageContents) => {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  pageContents.forEach((content, index) => {
+    const isFull =
+      current.length >= MAX_CHUNK_PAGES ||
+      size + content.length > MAX_CHUNK_CHARACTERS;
+
+    if (current.length > 0 && isFull) {
+      let cut = current.length;
+      if (!startsNewTopic(content)) {
+        for (let i = current.length - 1; i >= current.length / 2; i--) {
+          if (i > 0 && startsNewTopic(pageContents[current[i]])) {
+            cut = i;
+            break;
+          }
+        }
+      }
+      chunks.push(current.slice(0, cut));
+      current = current.slice(cut);
+      size = current.reduce(
+        (total, pageIndex) => total + pageContents[pageIndex].length,
+        0
+      );
+    }
+
+    current.push(index);
+    size += content.length;
+  });
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Structures extracted pages, in chunks when they do not fit in one request
+ * Chunks are structured one after the other and merged into one document,
+ * without repeating headings that continue from one chunk into the next
+ * @param {string[]} pageContents - Extracted content of each page
+ * @param {Object} provider - Model provider (see providers/baseProvider)
+ * @param {boolean} useSchema - Whether to request a notes tree matching notesStructureSchema
+ * @param {Object} [options] - Options passed to structureContent
+ * @param {Function} [options.onChunkStarted] - Called with (chunkNumber, chunkCount) before each chunk
+ * @returns {Promise<Object>} - The structured markdown, and the notes tree when using the schema
+ */
+const structurePages = async (
+  pageContents,
+  provider,
+  useSchema,
+  options = {}
+) => {
+  const { onPartialMarkdown, onTokensReceived, onChunkStarted } = options;
+  const chunks = splitIntoChunks(pageContents);
+
+  if (chunks.length === 1) {
+    // A single page is structured without a page separator
+    const content =
+      pageContents.length > 1
+        ? combinePageContents(pageContents)
+        : pageContents[0];
+    return structureContent(content, provider, useSchema, options);
+  }
+
+  const chunkResults = [];
+  let previousTokens = 0;
+
+  for (let index = 0; index < chunks.length; index++) {
+    const chunk = chunks[index];
+    if (onChunkStarted) onChunkStarted(index + 1, chunks.length);
+
+    let chunkTokens = 0;
+    const chunkResult = await structureContent(
+      combinePageContents(
+        chunk.map((pageIndex) => pageContents[pageIndex]),
+        chunk[0] + 1
+      ),
+      provider,
+      useSchema,
+      {
+        ...options,
+        onPartialMarkdown:
+          onPartialMarkdown &&
+          ((markdown) =>
+            onPartialMarkdown(
+              mergeMarkdownChunks([
+                ...chunkResults.map((result) => result.markdown),
+                markdown,
+              ])
+            )),
+        onTokensReceived: (tokensReceived) => {
+          chunkTokens = tokensReceived;
+          if (onTokensReceived) onTokensReceived(previousTokens + chunkTokens);
+        },
+      }
+    );
+    previousTokens += chunkTokens;
+    chunkResults.push(chunkResult);
+  }
+
   if (useSchema) {
-    requestBody.generationConfig.responseSchema = notesStructureSchema;
+    const notesTree = mergeNotesTrees(
+      chunkResults.map((result) => result.notesTree)
+    );
+    return { markdown: notesTreeToMarkdown(notesTree), notesTree };
   }
 
-  // Make API request for structuring
-  const data = await makeGeminiRequest(
-    endpoint,
-    apiKey,
-    requestBody,
-    "content structuring"
-  );
+  return {
+    markdown: mergeMarkdownChunks(
+      chunkResults.map((result) => result.markdown)
+    ),
+    notesTree: null,
+  };
+};
+
+/**
+ * Keeps the page images of a stored result so sections can show their source page
+ * Failing to keep the images must not fail the processing, so errors are only logged
+ * @param {string} resultId - ID of the stored result
+ * @param {File[]} imageFiles - Page images in page order
+ * @param {number} [firstPageNumber] - Page number of the first image
+ */
+const keepPageImages = async (resultId, imageFiles, firstPageNumber = 1) => {
+  try {
+    await savePageImages(resultId, imageFiles, firstPageNumber);
+  } catch (error) {
+    console.error("Error saving page images:", error);
+  }
+};
+
+/**
+ * Replaces the figure and uncertain-reading markers of extracted pages with references
+ * @param {string[]} extractedContents - Extracted content of each page
+ * @param {number} [firstPageNumber] - Page number of the first page
+ * @returns {{pageContents: string[], figures: Array, uncertainSpans: Array}} Page contents,
+ *   and the figures and uncertain readings found on them
+ */
+const extractPageMarkers = (extractedContents, firstPageNumber = 1) => {
+  const pages = extractedContents.map((content, index) => {
+    const { content: figureContent, figures } = extractFigureBoxes(
+      content,
+      firstPageNumber + index
+    );
+    const { content: pageContent, spans } = extractUncertainMarkers(
+      figureContent,
+      firstPageNumber + index
+    );
+    return { content: pageContent, figures, spans };
+  });
+  return {
+    pageContents: pages.map((page) => page.content),
+    figures: pages.flatMap((page) => page.figures),
+    uncertainSpans: pages.flatMap((page) => page.spans),
+  };
+};
+
+/**
+ * Crops the figures out of their page images and keeps them with the stored result
+ * Failing to keep a figure must not fail the processing, so errors are only logged
+ * @param {string} resultId - ID of the stored result
+ * @param {Array} figures - Figures from extractPageMarkers
+ * @param {File[]} imageFiles - Page images in page order
+ * @param {number} [firstPageNumber] - Page number of the first image
+ */
+const keepFigureImages = async (
+  resultId,
+  figures,
+  imageFiles,
+  firstPageNumber = 1
+) => {
+  const figureImages = [];
+  for (const figure of figures) {
+    try {
+      figureImages.push({
+        id: figure.id,
+        file: await cropImageRegion(
+          imageFiles[figure.page - firstPageNumber],
+          figure.box,
+          `${figure.id}.jpg`
+        ),
+      });
+    } catch (error) {
+      console.error(`Error cropping figure ${figure.id}:`, error);
+    }
+  }
 
-  return extractTextFromResponse(data);
+  try {
+    await saveFigureImages(resultId, figureImages);
+  } catch (error) {
+    console.error("Error saving figure images:", error);
+  }
 };
 
 /**
@@ -132,13 +712,36 @@ const structureContent = async (
  * @param {string} fileName - Name for the file
  * @param {string} originalExtraction - Original extracted content
  * @param {number} pages - Number of pages processed
+ * @param {Object} details - Further fields stored on the result
+ * @param {string[]} details.pageExtractions - Extracted content of each page
+ * @param {string} details.subject - Subject id of the notes
+ * @param {string} details.inputLanguage - Language the notes are written in
+ * @param {string} details.outputLanguage - Language the structured notes are written in
+ * @param {Object|null} details.notesTree - Typed notes tree in structured-output mode
+ * @param {Array} details.figures - Diagrams referenced by the notes (id, page, caption, box)
+ * @param {Array} details.uncertainSpans - Readings the extraction was unsure about (id, page, text, box)
+ * @param {Object|null} details.latexRepairs - Formulas repaired before storing (repairs, unresolved)
+ * @param {Object} details.generation - Model and prompt versions that generated the notes
+ * @param {Object} details.usage - Tokens and estimated cost of the model calls that generated the notes
  * @returns {Promise<Object>} - The processed result
  */
 const createAndStoreResult = async (
   markdownContent,
   fileName,
   originalExtraction,
-  pages
+  pages,
+  {
+    pageExtractions,
+    subject,
+    inputLanguage,
+    outputLanguage,
+    notesTree,
+    figures,
+    uncertainSpans,
+    latexRepairs,
+    generation,
+    usage,
+  }
 ) => {
   // If we couldn't get markdown content, return an error
   if (!markdownContent) {
@@ -154,6 +757,17 @@ const createAndStoreResult = async (
     fileName: fileName,
     originalExtraction: originalExtraction,
     pages: pages,
+    pageExtractions,
+    sectionSources: getSectionSources(markdownContent),
+    subject,
+    inputLanguage,
+    outputLanguage,
+    ...(notesTree && { notesTree }),
+    figures,
+    uncertainSpans,
+    ...(latexRepairs && { latexRepairs }),
+    generation,
+    usage,
   };
 
   // Store the result in localStorage
@@ -162,11 +776,25 @@ const createAndStoreResult = async (
 
 /**
  * Core processing function that handles both single images and batches
- * @param {File|File[]} images - Single image file or array of image files
- * @param {string} [apiKey] - API key (optional)
+ * PDF files are rasterized so that each PDF page becomes one extraction page.
+ * Pages are extracted individually; structuring only runs once every page succeeded,
+ * otherwise the per-page results are returned so failed pages can be retried.
+ * @param {File|File[]} images - Single image/PDF file or array of image/PDF files
+ * @param {string} [apiKey] - Gemini API key (optional, used by the Gemini provider)
+ * @param {Object} [options] - Options passed to extractPages (extractions, useCache, onPageExtracted, onPageQueued)
+ * @param {Array<Array|null>} [options.extractionUsage] - Usage entries of the previously extracted pages
+ * @param {string} [options.subject] - Subject id picked by the user; detected from the notes if not set
+ * @param {string} [options.inputLanguage] - Language the notes are written in
+ * @param {string} [options.outputLanguage] - Language to write the structured notes in
+ * @param {Function} [options.onPartialMarkdown] - Called with the structured notes received so far
+ * @param {AbortSignal} [options.signal] - Cancels processing; nothing is stored once aborted
+ * @param {Function} [options.onProgress] - Called with progress events: { stage: "extracting",
+ *   pagesExtracted, pageCount }, { stage: "structuring", tokensReceived }, { stage: "structuring",
+ *   chunk, chunkCount } for large batches, { stage: "validating" }, { stage: "storing" } and
+ *   { stage: "complete" }
  * @returns {Promise<Object>} - Processing result
  */
-const processImages = async (images, apiKey) => {
+const processImages = async (images, apiKey, options = {}) => {
   try {
     // Validate input
     if (!images) {
@@ -174,75 +802,412 @@ const processImages = async (images, apiKey) => {
     }
 
     // Handle both single image and array of images
-    const imageFiles = Array.isArray(images) ? images : [images];
-    if (imageFiles.length === 0) {
+    const inputFiles = Array.isArray(images) ? images : [images];
+    if (inputFiles.length === 0) {
       throw new Error("No images provided for processing");
     }
 
+    // Rasterize PDFs into one image per page so page numbers match the document
+    const imageFiles = await expandPdfFiles(inputFiles);
+    if (imageFiles.length === 0) {
+      throw new Error("The provided PDF does not contain any pages");
+    }
+
     // Get API configuration
-    const { key, endpoint, modelVersion } = getApiConfig(apiKey);
+    const provider = getProvider(apiKey);
+    assertWithinDailyBudget();
+    const usage = createUsageCollector();
+
+    const reportProgress = options.onProgress || (() => {});
+    const pageCount = imageFiles.length;
+    const reusedPages = imageFiles.filter(
+      (_, index) => typeof options.extractions?.[index] === "string"
+    ).length;
+    let pagesExtracted = reusedPages;
+    let cachedPages = 0;
 
     // Step 1: Extract content from each image
-    const extractionPromises = imageFiles.map((imageFile) =>
-      extractContentFromImage(imageFile, key, endpoint)
+    const extractionStart = Date.now();
+    reportProgress({ stage: "extracting", pagesExtracted, pageCount });
+
+    // Classify the batch from its first page still to extract, or from the
+    // existing extractions when every page is reused
+    const firstPageToExtract = imageFiles.find(
+      (_, index) => typeof options.extractions?.[index] !== "string"
     );
+    const subject =
+      options.subject ||
+      (await detectSubject(
+        firstPageToExtract || options.extractions.join("\n\n"),
+        provider,
+        { onUsage: usage.onUsage, signal: options.signal }
+      ));
+
+    const pageResults = await extractPages(imageFiles, provider, {
+      ...options,
+      subject,
+      onPageExtracted: (index, pageResult) => {
+        if (pageResult.success) {
+          pagesExtracted++;
+          if (pageResult.cached) cachedPages++;
+          reportProgress({ stage: "extracting", pagesExtracted, pageCount });
+        }
+        if (options.onPageExtracted) {
+          options.onPageExtracted(index, pageResult);
+        }
+      },
+    });
+    const extractionMs = Date.now() - extractionStart;
+
+    const failedPagesError = getFailedPagesError(pageResults);
+    if (failedPagesError) {
+      // Keep the subject, so retried pages use the same guidance
+      return { ...failedPagesError, subject };
+    }
 
-    const extractedContents = await Promise.all(extractionPromises);
+    // Diagrams and uncertain readings are referenced by id from here on;
+    // their boxes are used for cropping
+    const {
+      pageContents: extractedContents,
+      figures,
+      uncertainSpans,
+    } = extractPageMarkers(pageResults.map((pageResult) => pageResult.content));
 
     // Combine content with page separators if multiple images
     const isBatch = imageFiles.length > 1;
     const combinedContent = isBatch
-      ? extractedContents
-          .map((content, index) => `--- PAGE ${index + 1} ---\n${content}`)
-          .join("\n\n")
+      ? combinePageContents(extractedContents)
       : extractedContents[0];
 
-    // Step 2: Structure the content
-    const useSchema = modelVersion.includes("gemini-pro-2");
-    const markdownContent = await structureContent(
-      combinedContent,
-      key,
-      endpoint,
-      useSchema
+    // Step 2: Structure the content, in chunks for large batches
+    const structuringStart = Date.now();
+    reportProgress({ stage: "structuring", tokensReceived: 0 });
+    const structured = await structurePages(
+      extractedContents,
+      provider,
+      isStructuredOutputEnabled(),
+      {
+        ...options,
+        subject,
+        onTokensReceived: (tokensReceived) =>
+          reportProgress({ stage: "structuring", tokensReceived }),
+        onChunkStarted: (chunk, chunkCount) =>
+          reportProgress({ stage: "structuring", chunk, chunkCount }),
+        onUsage: usage.onUsage,
+      }
     );
+    const structuringMs = Date.now() - structuringStart;
+
+    // Step 3: Repair formulas that would not render
+    reportProgress({ stage: "validating" });
+    const {
+      markdown: markdownContent,
+      notesTree,
+      latexRepairs,
+    } = await repairNotesMath(structured, provider, {
+      onUsage: usage.onUsage,
+      signal: options.signal,
+    });
+
+    // Never store notes for a batch that was cancelled
+    if (options.signal?.aborted) {
+      return createCancelledResult();
+    }
 
     // Create filename
-    const fileName = isBatch
-      ? `Batch_${imageFiles.length}_pages`
-      : imageFiles[0].name;
+    const fileName =
+      inputFiles.length === 1 && isPdfFile(inputFiles[0])
+        ? inputFiles[0].name
+        : isBatch
+        ? `Batch_${imageFiles.length}_pages`
+        : imageFiles[0].name;
 
     // Store and return the result
-    return createAndStoreResult(
+    reportProgress({ stage: "storing" });
+    const result = await createAndStoreResult(
       markdownContent,
       fileName,
       combinedContent,
-      imageFiles.length
+      imageFiles.length,
+      {
+        pageExtractions: extractedContents,
+        subject,
+        inputLanguage: options.inputLanguage || DEFAULT_INPUT_LANGUAGE,
+        outputLanguage: options.outputLanguage || DEFAULT_OUTPUT_LANGUAGE,
+        notesTree,
+        figures,
+        uncertainSpans,
+        latexRepairs,
+        generation: getGenerationRecord(provider, !options.subject, [
+          latexRepairs?.prompt,
+        ]),
+        // Pages reused from an earlier run were extracted with that run's calls
+        usage: usage.getUsage(
+          pageResults.flatMap((pageResult, index) =>
+            pageResult.reused
+              ? options.extractionUsage?.[index] || []
+              : pageResult.usage || []
+          )
+        ),
+      }
+    );
+
+    if (result.success) {
+      await keepPageImages(result.id, imageFiles);
+      await keepFigureImages(result.id, figures, imageFiles);
+      // Remember how long this run took to estimate the next one
+      storeProcessingTiming({
+        pages: pageCount - reusedPages - cachedPages,
+        pageCount,
+        extractionMs,
+        structuringMs,
+      });
+      reportProgress({ stage: "complete" });
+    }
+    return result;
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult();
+    }
+    return {
+      success: false,
+      error: error.message || "Failed to process images",
+      errorType: error.type,
+    };
+  }
+};
+
+/**
+ * Appends new pages to an existing analysis result and re-structures the whole note
+ * Only the new pages are extracted; the stored extraction of earlier pages is reused.
+ * The result keeps its id, so quizzes linked through sourceData.id stay attached.
+ * @param {string} resultId - ID of the stored analysis result
+ * @param {File[]} images - New image or PDF files to append
+ * @param {string} [apiKey] - Gemini API key (optional, used by the Gemini provider)
+ * @param {Object} [options] - Append options
+ * @param {AbortSignal} [options.signal] - Cancels adding the pages; the note is left unchanged once aborted
+ * @returns {Promise<Object>} - The updated result
+ */
+export const appendPagesToAnalysisResult = async (
+  resultId,
+  images,
+  apiKey,
+  { signal } = {}
+) => {
+  try {
+    const existingResult = getStoredAnalysisResultById(resultId);
+    if (!existingResult) {
+      throw new Error("The note to add pages to could not be found");
+    }
+    if (!existingResult.originalExtraction) {
+      throw new Error(
+        "This note has no stored extraction, so pages cannot be added to it"
+      );
+    }
+
+    const imageFiles = await expandPdfFiles(images || []);
+    if (imageFiles.length === 0) {
+      throw new Error("No images provided for processing");
+    }
+
+    const provider = getProvider(apiKey);
+    assertWithinDailyBudget();
+    const usage = createUsageCollector();
+
+    // Single-page results were stored without a page separator
+    const existingPages = existingResult.pages || 1;
+
+    // Notes stored before subjects were detected are classified from their extraction
+    const subject =
+      existingResult.subject ||
+      (await detectSubject(existingResult.originalExtraction, provider, {
+        onUsage: usage.onUsage,
+        signal,
+      }));
+    // New pages are written and structured in the languages of the existing notes
+    const inputLanguage =
+      existingResult.inputLanguage || DEFAULT_INPUT_LANGUAGE;
+    const outputLanguage =
+      existingResult.outputLanguage || DEFAULT_OUTPUT_LANGUAGE;
+
+    // Step 1: Extract only the new pages
+    const pageResults = await extractPages(imageFiles, provider, {
+      subject,
+      inputLanguage,
+      signal,
+    });
+    const failedPagesError = getFailedPagesError(
+      pageResults,
+      existingPages + 1
     );
+    if (failedPagesError) {
+      return failedPagesError;
+    }
+    const {
+      pageContents: extractedContents,
+      figures,
+      uncertainSpans,
+    } = extractPageMarkers(
+      pageResults.map((pageResult) => pageResult.content),
+      existingPages + 1
+    );
+
+    // Notes reviewed before the review was applied to the extraction still hold
+    // references to readings the student already confirmed or corrected
+    const resolveReviewed = (content) =>
+      applyResolvedSpans(content, existingResult.uncertainSpans);
+    const existingContent = resolveReviewed(
+      existingResult.originalExtraction.includes("--- PAGE 1 ---")
+        ? existingResult.originalExtraction
+        : combinePageContents([existingResult.originalExtraction])
+    );
+
+    const combinedContent = `${existingContent}\n\n${combinePageContents(
+      extractedContents,
+      existingPages + 1
+    )}`;
+    const pageExtractions = [
+      ...(existingResult.pageExtractions?.map(resolveReviewed) ||
+        splitPageContents(existingContent)),
+      ...extractedContents,
+    ];
+
+    // Step 2: Re-structure the merged content, in chunks for large notes
+    const {
+      markdown: markdownContent,
+      notesTree,
+      latexRepairs,
+    } = await repairNotesMath(
+      await structurePages(
+        pageExtractions,
+        provider,
+        isStructuredOutputEnabled(),
+        {
+          subject,
+          inputLanguage,
+          outputLanguage,
+          onUsage: usage.onUsage,
+          signal,
+        }
+      ),
+      provider,
+      { onUsage: usage.onUsage, signal }
+    );
+
+    // Never change the note when adding the pages was cancelled
+    if (signal?.aborted) {
+      return createCancelledResult();
+    }
+
+    if (!markdownContent) {
+      throw new Error("Failed to generate structured notes");
+    }
+
+    const pages = existingPages + imageFiles.length;
+    const updatedResult = updateAnalysisResult(resultId, {
+      markdown: markdownContent,
+      originalExtraction: combinedContent,
+      pages,
+      pageExtractions,
+      sectionSources: getSectionSources(markdownContent),
+      subject,
+      // A markdown-only re-structure makes an earlier notes tree outdated
+      notesTree: notesTree || undefined,
+      figures: [...(existingResult.figures || []), ...figures],
+      uncertainSpans: [
+        ...(existingResult.uncertainSpans || []),
+        ...uncertainSpans,
+      ],
+      // The notes were re-structured, so earlier formula repairs no longer apply
+      latexRepairs: latexRepairs || undefined,
+      // Earlier pages may have been extracted with older prompts, so keep their records
+      generation: getGenerationRecord(provider, !existingResult.subject, [
+        ...(existingResult.generation?.prompts || []),
+        latexRepairs?.prompt,
+      ]),
+      // The notes now also cost the calls that added these pages
+      usage: usage.getUsage([
+        ...(existingResult.usage?.entries || []),
+        ...pageResults.flatMap((pageResult) => pageResult.usage || []),
+      ]),
+      // Keep custom names, but keep generated batch names in sync with the page count
+      ...(/^Batch_\d+_pages$/.test(existingResult.fileName || "")
+        ? { fileName: `Batch_${pages}_pages` }
+        : {}),
+    });
+
+    if (!updatedResult) {
+      throw new Error("Failed to save the updated notes");
+    }
+
+    await keepPageImages(resultId, imageFiles, existingPages + 1);
+    await keepFigureImages(resultId, figures, imageFiles, existingPages + 1);
+
+    return updatedResult;
   } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult();
+    }
     return {
       success: false,
-      error: error.message || "Failed to process images with Gemini API",
+      error: error.message || "Failed to add pages to the notes",
+      errorType: error.type,
     };
   }
 };
 
 /**
- * Processes multiple images in batch using the Gemini API
+ * Processes multiple images in batch using the configured model provider
  * @param {File[]} imageFiles - Array of image files to process
- * @param {string} [apiKey] - Your Gemini API key (optional)
+ * @param {string} [apiKey] - Gemini API key (optional, used by the Gemini provider)
+ * @param {Object} [options] - Per-page options (extractions, onPageExtracted, onPageQueued), onPartialMarkdown, onProgress and signal
  * @returns {Promise<object>} - The processed result
  */
 export const processBatchImagesWithTwoStepGemini = async (
   imageFiles,
-  apiKey
+  apiKey,
+  options
+) => {
+  return processImages(imageFiles, apiKey, options);
+};
+
+/**
+ * Re-extracts a single page, e.g. after it failed in a batch
+ * @param {File} imageFile - The page image
+ * @param {string} [apiKey] - Gemini API key (optional, used by the Gemini provider)
+ * @param {Object} [options] - Options
+ * @param {string} [options.subject] - Subject id selecting the extraction guidance
+ * @param {string} [options.inputLanguage] - Language the notes are written in
+ * @param {boolean} [options.useCache] - Whether to reuse a cached extraction of an identical image
+ * @param {AbortSignal} [options.signal] - Cancels the extraction
+ * @returns {Promise<object>} - Page result with success, content or error and errorType, and usage
+ */
+export const retryPageExtraction = async (
+  imageFile,
+  apiKey,
+  { subject, inputLanguage, useCache, signal } = {}
 ) => {
-  return processImages(imageFiles, apiKey);
+  try {
+    const provider = getProvider(apiKey);
+    assertWithinDailyBudget();
+    return await extractPageWithCache(imageFile, provider, {
+      subject,
+      inputLanguage,
+      useCache,
+      signal,
+    });
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult();
+    }
+    return { success: false, error: error.message, errorType: error.type };
+  }
 };
 
 /**
- * Processes a single image using the Gemini API in a two-step approach
+ * Processes a single image using the configured model provider in a two-step approach
  * @param {File} imageFile - The image file to process
- * @param {string} [apiKey] - Your Gemini API key (optional)
+ * @param {string} [apiKey] - Gemini API key (optional, used by the Gemini provider)
  * @returns {Promise<object>} - The processed result
  */
 export const processImageWithTwoStepGemini = async (imageFile, apiKey) => {
@@ -12,6 +12,15 @@ export const Type = {
   OBJECT: "object",
 };
 
+// Pages of the batch a topic, subtopic or concept came from
+const sourcePagesProperty = {
+  type: Type.ARRAY,
+  description: "Page numbers (from the page separators) this item came from",
+  items: {
+    type: Type.INTEGER,
+  },
+};
+
 /**
  * Schema for the structured notes format returned by Gemini API
  * This follows the hierarchical structure of topics > subtopics > concepts
@@ -72,24 +81,34 @@ export const notesStructureSchema = {
                           type: Type.STRING,
                         },
                       },
+                      details: {
+                        type: Type.STRING,
+                        description:
+                          "Further content in Markdown, such as steps, lists and tables",
+                      },
+                      source_pages: sourcePagesProperty,
                     },
                     required: ["name"],
                     propertyOrdering: [
                       "name",
+                      "source_pages",
                       "definition",
                       "formulae",
+                      "details",
                       "examples",
                     ],
                   },
                 },
+                source_pages: sourcePagesProperty,
               },
               required: ["name"],
-              propertyOrdering: ["name", "sub_items"],
+              propertyOrdering: ["name", "source_pages", "sub_items"],
             },
           },
+          source_pages: sourcePagesProperty,
         },
         required: ["name"],
-        propertyOrdering: ["name", "sub_items"],
+        propertyOrdering: ["name", "source_pages", "sub_items"],
       },
     },
   },
@@ -0,0 +1,146 @@
+/**
+ * Service to persist the in-progress upload queue in IndexedDB
+ * Unlike localStorage, IndexedDB can store the actual image Files/Blobs,
+ * so pending pages survive navigation and page reloads
+ */
+
+import { createKeyValueStore } from "./utils/indexedDbUtils";
+
+const QUEUE_KEY = "current";
+
+const queueStore = createKeyValueStore("clairUploads", "uploadQueue");
+// Image files are stored once per image id, apart from the queue metadata that is
+// rewritten on every status change
+const imageFileStore = createKeyValueStore("clairUploadFiles", "imageFiles");
+
+// Files and queue metadata last written, so unchanged ones are not written again
+const storedFiles = new Map();
+let storedQueueSnapshot = null;
+// Saves run one after another, so an older queue never overwrites a newer one
+let pendingSave = Promise.resolve();
+
+/**
+ * Get the storable metadata of an image entry
+ * Files are stored separately, blob preview URLs do not survive a reload and the
+ * queue position only matters while a batch is running
+ * @param {Object} image - Image entry from useImageUpload
+ * @returns {Object} The entry without files, preview and queue position
+ */
+const toImageMetadata = (image) => {
+  const metadata = { ...image };
+  delete metadata.file;
+  delete metadata.originalFile;
+  delete metadata.preview;
+  delete metadata.queuePosition;
+  return metadata;
+};
+
+/**
+ * Store the files of new or replaced images and remove those of removed images
+ * @param {Array} images - Image entries from useImageUpload
+ * @returns {Promise<void>}
+ */
+const storeImageFiles = async (images) => {
+  for (const { id, file, originalFile } of images) {
+    const stored = storedFiles.get(id);
+    if (stored?.file !== file || stored?.originalFile !== originalFile) {
+      await imageFileStore.put(id, { file, originalFile });
+      storedFiles.set(id, { file, originalFile });
+    }
+  }
+
+  const imageIds = new Set(images.map((image) => image.id));
+  for (const id of [...storedFiles.keys()]) {
+    if (!imageIds.has(id)) {
+      await imageFileStore.delete(id);
+      storedFiles.delete(id);
+    }
+  }
+};
+
+/**
+ * Remove the saved queue and its image files
+ * @returns {Promise<void>}
+ */
+const removeUploadQueue = async () => {
+  await queueStore.delete(QUEUE_KEY);
+  await imageFileStore.clear();
+  storedFiles.clear();
+  storedQueueSnapshot = null;
+};
+
+/**
+ * Write the upload queue, skipping the metadata if it did not change
+ * @param {Object} queue - The queue state (images, results)
+ * @returns {Promise<void>}
+ */
+const writeUploadQueue = async ({ images, results }) => {
+  if (images.length === 0 && results.length === 0) {
+    return removeUploadQueue();
+  }
+
+  // Files first, so the stored metadata never refers to a missing file
+  await storeImageFiles(images);
+
+  const queue = { images: images.map(toImageMetadata), results };
+  const snapshot = JSON.stringify(queue);
+  if (snapshot === storedQueueSnapshot) return;
+
+  await queueStore.put(QUEUE_KEY, {
+    ...queue,
+    savedAt: new Date().toISOString(),
+  });
+  storedQueueSnapshot = snapshot;
+};
+
+/**
+ * Save the upload queue, including the image files, statuses and partial results
+ * Each image file is written once; later saves only write the changed metadata
+ * @param {Object} queue - The queue state
+ * @param {Array} queue.images - Image entries from useImageUpload
+ * @param {Array} queue.results - Analysis results of the current session
+ * @returns {Promise<void>}
+ */
+export const saveUploadQueue = (queue) => {
+  pendingSave = pendingSave.catch(() => {}).then(() => writeUploadQueue(queue));
+  return pendingSave;
+};
+
+/**
+ * Load the saved upload queue
+ * Images whose file is missing are left out
+ * @returns {Promise<Object|null>} The saved queue, or null if nothing is stored
+ */
+export const loadUploadQueue = async () => {
+  const queue = await queueStore.get(QUEUE_KEY);
+  if (!queue) return null;
+
+  const images = [];
+  for (const image of queue.images) {
+    // Queues saved before files were stored separately keep them in the entry
+    const files = image.file
+      ? { file: image.file, originalFile: image.originalFile }
+      : await imageFileStore.get(image.id);
+    if (!files?.file) continue;
+
+    if (!image.file) storedFiles.set(image.id, files);
+    images.push({ ...image, ...files });
+  }
+
+  // Files of images that were removed while a save was interrupted
+  const imageIds = new Set(images.map((image) => image.id));
+  for (const id of await imageFileStore.keys()) {
+    if (!imageIds.has(id)) await imageFileStore.delete(id);
+  }
+
+  return { ...queue, images };
+};
+
+/**
+ * Remove the saved upload queue
+ * @returns {Promise<void>}
+ */
+export const clearUploadQueue = () => {
+  pendingSave = pendingSave.catch(() => {}).then(removeUploadQueue);
+  return pendingSave;
+};
@@ -0,0 +1,204 @@
+/**
+ * Service to account for the tokens and estimated cost of model calls
+ * Every call is logged by the API layer; notes and quizzes keep the calls that
+ * generated them, and an optional daily token budget blocks new processing.
+ */
+
+import {
+  getUsageLog,
+  getUsageSettings,
+  storeUsageSettings,
+} from "./storageService";
+import { ApiError, API_ERROR_TYPES } from "./utils/apiErrors";
+
+// Estimated price in USD per million tokens, by model name prefix; thinking tokens are
+// billed at the output price unless the model has a separate thinking price.
+// Models of other providers (e.g. OpenAI-compatible servers) have no known price.
+const MODEL_PRICING = {
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.5-flash-preview": { input: 0.15, output: 0.6, thinking: 3.5 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-1.5-pro": { input: 1.25, output: 5 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+};
+
+/**
+ * Get the price of a model, matching the longest known model name prefix
+ * @param {string} model - Model name, e.g. "gemini-2.0-flash-001"
+ * @returns {Object|null} Price per million tokens ({ input, output, thinking }), or
+ *   null for unknown models
+ */
+const getModelPricing = (model = "") => {
+  const prefix = Object.keys(MODEL_PRICING)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICING[prefix] : null;
+};
+
+/**
+ * Estimate the cost of a model call
+ * @param {Object} entry - Usage entry recorded by the API layer
+ * @returns {number|null} Estimated cost in USD, or null for models without a known price
+ */
+const estimateEntryCost = (entry) => {
+  const pricing = getModelPricing(entry.model);
+  if (!pricing) return null;
+  return (
+    (entry.promptTokens * pricing.input +
+      entry.candidatesTokens * pricing.output +
+      entry.thoughtsTokens * (pricing.thinking ?? pricing.output)) /
+    1e6
+  );
+};
+
+/**
+ * Add up the estimated cost of model calls
+ * @param {Array} entries - Usage entries recorded by the API layer
+ * @returns {number|null} Estimated cost in USD, or null if a call has no known price,
+ *   since leaving it out would understate the total
+ */
+const estimateCost = (entries) => {
+  const costs = entries.map(estimateEntryCost);
+  return costs.includes(null)
+    ? null
+    : costs.reduce((sum, cost) => sum + cost, 0);
+};
+
+/**
+ * Add up the usage of model calls
+ * @param {Array} entries - Usage entries recorded by the API layer
+ * @returns {Object} Totals (calls, promptTokens, candidatesTokens, thoughtsTokens,
+ *   totalTokens, latencyMs, estimatedCost, null when unknown) and the entries themselves
+ */
+export const summarizeUsage = (entries = []) => ({
+  calls: entries.length,
+  promptTokens: entries.reduce((sum, entry) => sum + entry.promptTokens, 0),
+  candidatesTokens: entries.reduce(
+    (sum, entry) => sum + entry.candidatesTokens,
+    0
+  ),
+  thoughtsTokens: entries.reduce((sum, entry) => sum + entry.thoughtsTokens, 0),
+  totalTokens: entries.reduce((sum, entry) => sum + entry.totalTokens, 0),
+  latencyMs: entries.reduce((sum, entry) => sum + entry.latencyMs, 0),
+  estimatedCost: estimateCost(entries),
+  entries,
+});
+
+/**
+ * Create a collector for the model calls made while generating notes or a quiz
+ * Pass collector.onUsage as the onUsage request option of every call
+ * @returns {{entries: Array, onUsage: Function, getUsage: Function}} The collector;
+ *   getUsage adds up the collected calls, on top of earlier calls if given
+ */
+export const createUsageCollector = () => {
+  const entries = [];
+  return {
+    entries,
+    onUsage: (entry) => entries.push(entry),
+    getUsage: (previousEntries = []) =>
+      summarizeUsage([...previousEntries, ...entries]),
+  };
+};
+
+/**
+ * Check whether a timestamp falls on the same local day as a date
+ * @param {string} timestamp - ISO timestamp
+ * @param {Date} date - Day to compare with
+ * @returns {boolean} True on the same day
+ */
+const isSameDay = (timestamp, date) =>
+  new Date(timestamp).toDateString() === date.toDateString();
+
+/**
+ * Add up the model calls of one day
+ * @param {Date} [date] - Day to add up, today by default
+ * @returns {Object} Usage totals of the day, as returned by summarizeUsage
+ */
+export const getDailyUsage = (date = new Date()) =>
+  summarizeUsage(
+    getUsageLog().filter((entry) => isSameDay(entry.timestamp, date))
+  );
+
+/**
+ * Add up the model calls of each of the last days
+ * @param {number} [days] - Number of days, including today
+ * @returns {Array} Usage totals per day ({ date, calls, totalTokens, estimatedCost }),
+ *   most recent first
+ */
+export const getUsageHistory = (days = 7) => {
+  const log = getUsageLog();
+  return Array.from({ length: days }, (_, index) => {
+    const date = new Date();
+    date.setDate(date.getDate() - index);
+    const { calls, totalTokens, estimatedCost } = summarizeUsage(
+      log.filter((entry) => isSameDay(entry.timestamp, date))
+    );
+    return { date, calls, totalTokens, estimatedCost };
+  });
+};
+
+/**
+ * Get the daily token budget
+ * @returns {number|null} Tokens allowed per day, or null if there is no budget
+ */
+export const getDailyTokenBudget = () =>
+  getUsageSettings().dailyTokenBudget || null;
+
+/**
+ * Set the daily token budget
+ * @param {number|null} budget - Tokens allowed per day, null to remove the budget
+ */
+export const setDailyTokenBudget = (budget) => {
+  storeUsageSettings({
+    ...getUsageSettings(),
+    dailyTokenBudget: budget > 0 ? Math.round(budget) : null,
+  });
+};
+
+/**
+ * Get how much of today's token budget has been used
+ * @returns {Object} budget (null if there is none), used tokens, and whether the budget
+ *   is exceeded
+ */
+export const getDailyBudgetStatus = () => {
+  const budget = getDailyTokenBudget();
+  const used = getDailyUsage().totalTokens;
+  return { budget, used, exceeded: budget !== null && used >= budget };
+};
+
+/**
+ * Throw if today's token budget is used up, so no new processing is started
+ * Runs already in progress are allowed to finish.
+ * @throws {ApiError} With a message explaining the budget was exceeded
+ */
+export const assertWithinDailyBudget = () => {
+  const { budget, used, exceeded } = getDailyBudgetStatus();
+  if (exceeded) {
+    throw new ApiError(
+      API_ERROR_TYPES.BUDGET_EXCEEDED,
+      `Today's token budget of ${formatTokens(
+        budget
+      )} tokens is used up (${formatTokens(
+        used
+      )} tokens so far). Raise the budget on the Usage tab, or try again tomorrow.`
+    );
+  }
+};
+
+/**
+ * Format a token count for display
+ * @param {number} tokens - Number of tokens
+ * @returns {string} e.g. "12,345"
+ */
+export const formatTokens = (tokens) => (tokens || 0).toLocaleString("en-US");
+
+/**
+ * Format an estimated cost for display
+ * @param {number|null} cost - Cost in USD, or null when unknown
+ * @returns {string} e.g. "$0.0123", or "n/a" when the cost is unknown
+ */
+export const formatCost = (cost) =>
+  cost === null ? "n/a" : `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`;
@@ -0,0 +1,167 @@
+/**
+ * Typed errors of model API calls
+ * Failed calls are classified, so the UI can offer the matching recovery action
+ * (fix the key in Settings, raise the budget, send fewer pages, ...) instead of a
+ * generic message
+ */
+
+export const API_ERROR_TYPES = {
+  NOT_CONFIGURED: "not_configured",
+  INVALID_KEY: "invalid_key",
+  QUOTA_EXCEEDED: "quota_exceeded",
+  BUDGET_EXCEEDED: "budget_exceeded",
+  SAFETY_BLOCKED: "safety_blocked",
+  TRUNCATED: "truncated",
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  SERVER: "server",
+  EMPTY_RESPONSE: "empty_response",
+  REQUEST_REJECTED: "request_rejected",
+};
+
+// Errors a later attempt of the same request may not run into
+const RETRYABLE_TYPES = [
+  API_ERROR_TYPES.NETWORK,
+  API_ERROR_TYPES.TIMEOUT,
+  API_ERROR_TYPES.SERVER,
+  API_ERROR_TYPES.EMPTY_RESPONSE,
+];
+
+/**
+ * Error of a model API call, with its type (one of API_ERROR_TYPES)
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} type - Error type, one of API_ERROR_TYPES
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status of the failed response
+   */
+  constructor(type, message, { status } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.type = type;
+    this.status = status;
+    this.retryable = RETRYABLE_TYPES.includes(type);
+  }
+}
+
+/**
+ * Check whether retrying a failed operation may help
+ * Errors that are not API errors are retried, as they were before errors were typed
+ * @param {Error} error - The caught error
+ * @returns {boolean} False for API errors that would fail again, e.g. an invalid key
+ */
+export const isRetryableError = (error) =>
+  !(error instanceof ApiError) || error.retryable;
+
+/**
+ * Get the error message of a failed response
+ * Gemini and OpenAI-compatible servers return { error: { message } }, some local
+ * servers return { error: "message" }
+ * @param {Object} errorData - Parsed error body
+ * @returns {string|undefined} The error message, if the body has one
+ */
+const getErrorMessage = (errorData) =>
+  typeof errorData.error === "string"
+    ? errorData.error
+    : errorData.error?.message;
+
+/**
+ * Classify a failed HTTP response
+ * @param {number} status - HTTP status
+ * @param {Object} errorData - Parsed error body
+ * @returns {string} Error type, one of API_ERROR_TYPES
+ */
+const getHttpErrorType = (status, errorData) => {
+  // Gemini answers an invalid key with 400 and the reason API_KEY_INVALID
+  const details = JSON.stringify(errorData.error?.details || []);
+  if (status === 401 || status === 403 || details.includes("API_KEY_INVALID")) {
+    return API_ERROR_TYPES.INVALID_KEY;
+  }
+  if (status === 429) return API_ERROR_TYPES.QUOTA_EXCEEDED;
+  // The configured model does not exist
+  if (status === 404) return API_ERROR_TYPES.NOT_CONFIGURED;
+  if (status >= 500) return API_ERROR_TYPES.SERVER;
+  return API_ERROR_TYPES.REQUEST_REJECTED;
+};
+
+/**
+ * Create the error of a failed HTTP response
+ * @param {number} status - HTTP status
+ * @param {Object} errorData - Parsed error body
+ * @param {string} errorContext - Context for error message
+ * @returns {ApiError} The classified error
+ */
+export const createHttpError = (status, errorData, errorContext) =>
+  new ApiError(
+    getHttpErrorType(status, errorData),
+    `API error in ${errorContext}: ${
+      getErrorMessage(errorData) || `HTTP ${status}`
+    }`,
+    { status }
+  );
+
+/**
+ * Check whether a rate-limit response is about a daily quota, which retrying
+ * within minutes cannot fix
+ * @param {Object} errorData - Parsed error body
+ * @returns {boolean} True if the daily quota is used up
+ */
+export const isDailyQuotaError = (errorData) =>
+  JSON.stringify(errorData.error?.details || []).includes("PerDay");
+
+// What the user can do about each type of error; action is the app tab that helps
+const ERROR_RECOVERY = {
+  [API_ERROR_TYPES.NOT_CONFIGURED]: {
+    hint: "Pick a model provider and set its API key and model in Settings.",
+    action: "settings",
+  },
+  [API_ERROR_TYPES.INVALID_KEY]: {
+    hint: "The API key was rejected. Check the key, or switch to another provider in Settings.",
+    action: "settings",
+  },
+  [API_ERROR_TYPES.QUOTA_EXCEEDED]: {
+    hint: "The provider's quota is used up. Wait a few minutes and try again, or switch to another provider in Settings.",
+    action: "settings",
+    retry: true,
+  },
+  [API_ERROR_TYPES.BUDGET_EXCEEDED]: {
+    hint: "Raise the daily token budget on the Usage tab, or try again tomorrow.",
+    action: "usage",
+  },
+  [API_ERROR_TYPES.SAFETY_BLOCKED]: {
+    hint: "The provider's safety filters blocked the content. Remove or crop the page that triggers them and try again.",
+  },
+  [API_ERROR_TYPES.TRUNCATED]: {
+    hint: "The answer was longer than the model's output limit. Process fewer pages at once, then add the rest to the note.",
+  },
+  [API_ERROR_TYPES.NETWORK]: {
+    hint: "Check your internet connection, or that the local model server is running, and try again.",
+    retry: true,
+  },
+  [API_ERROR_TYPES.TIMEOUT]: {
+    hint: "The model took too long to answer. Try again, or process fewer pages at once.",
+    retry: true,
+  },
+  [API_ERROR_TYPES.SERVER]: {
+    hint: "The provider had a temporary problem. Try again in a moment.",
+    retry: true,
+  },
+  [API_ERROR_TYPES.EMPTY_RESPONSE]: {
+    hint: "The model returned no content. Try again.",
+    retry: true,
+  },
+  [API_ERROR_TYPES.REQUEST_REJECTED]: {
+    hint: "The provider rejected the request. Check in Settings that the model accepts images.",
+    action: "settings",
+  },
+};
+
+/**
+ * Get what the user can do about an error
+ * @param {string} [type] - Error type, one of API_ERROR_TYPES
+ * @returns {Object|null} Recovery ({ hint, action, retry }): action is the tab to open
+ *   ("settings" or "usage"), retry whether trying again may help; null for untyped errors
+ */
+export const getErrorRecovery = (type) => ERROR_RECOVERY[type] || null;
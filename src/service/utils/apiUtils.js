@@ -1,18 +1,32 @@
 /**
- * Utility functions for interacting with the Gemini API
+ * Utility functions for interacting with the Gemini API and other model APIs
+ * Every model call goes through sendApiRequest, which applies the timeouts, retries
+ * and error classification (see apiErrors) all services rely on
  */
 
+import { geminiScheduler } from "./requestScheduler";
+import { storeUsageEntry } from "../storageService";
+import {
+  ApiError,
+  API_ERROR_TYPES,
+  createHttpError,
+  isDailyQuotaError,
+  isRetryableError,
+} from "./apiErrors";
+
 /**
  * Get API key and endpoint configurations
  * @param {string} [apiKey] - Optional API key parameter
  * @returns {Object} Configuration with key, endpoint, and modelVersion
+ * @throws {ApiError} If no valid API key is configured
  */
 export const getApiConfig = (apiKey) => {
   // Use provided API key or fall back to environment variable
   const key = apiKey || import.meta.env.VITE_GEMINI_API_KEY;
 
   if (!key || key === "your_gemini_api_key_here") {
-    throw new Error(
+    throw new ApiError(
+      API_ERROR_TYPES.NOT_CONFIGURED,
       "No valid API key provided. Please provide a Gemini API key."
     );
   }
@@ -26,47 +40,450 @@ export const getApiConfig = (apiKey) => {
   return { key, endpoint, modelVersion };
 };
 
+// Statuses that mean "try again later" rather than a problem with the request
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const MAX_RATE_LIMIT_RETRIES = 4;
+const RATE_LIMIT_BASE_DELAY = 2000;
+const MAX_NETWORK_RETRIES = 2;
+const NETWORK_RETRY_BASE_DELAY = 1000;
+// How long a request may go without receiving data before it is aborted
+const DEFAULT_TIMEOUT_MS =
+  Number(import.meta.env.VITE_API_TIMEOUT_MS) || 180000;
+
+/**
+ * Get how long the API asked us to wait before retrying
+ * Uses the Retry-After header, or the RetryInfo detail Gemini includes in 429 errors
+ * @param {Response} response - The failed response
+ * @param {Object} errorData - Parsed error body
+ * @returns {number|null} Delay in milliseconds, or null if the API did not say
+ */
+const getRetryDelay = (response, errorData) => {
+  const retryAfter = response.headers.get("Retry-After");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const retryInfo = errorData.error?.details?.find((detail) =>
+    detail["@type"]?.endsWith("RetryInfo")
+  );
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+};
+
+/**
+ * Turn the TypeError fetch and body reads reject with when the connection fails
+ * into a network ApiError; other errors are returned unchanged
+ * Only wrap the fetch and the reads themselves, so a bug in a caller's callback is
+ * not mistaken for a network failure and the request re-sent
+ * @param {Error} error - The caught error
+ * @param {string} errorContext - Context for error message
+ * @returns {Error} The network ApiError, or the error itself
+ */
+const toNetworkError = (error, errorContext) =>
+  error instanceof TypeError
+    ? new ApiError(
+        API_ERROR_TYPES.NETWORK,
+        `Could not reach the model API in ${errorContext}: ${error.message}`
+      )
+    : error;
+
+/**
+ * Check whether an error is a network failure worth sending the request again for
+ * @param {Error} error - The caught error
+ * @returns {boolean} True for network ApiErrors
+ */
+const isNetworkError = (error) =>
+  error instanceof ApiError && error.type === API_ERROR_TYPES.NETWORK;
+
+/**
+ * Send a request to a model API and read its successful response
+ * Requests go through a shared scheduler, so concurrency and requests per minute
+ * stay within the configured limits. Rate-limited (429) and server error (5xx)
+ * responses pause the queue and are retried with Retry-After or exponential backoff,
+ * unless the daily quota is used up. Network failures are retried as well.
+ * Failures are thrown as ApiError, typed so the UI can suggest a recovery action.
+ * @param {string} url - Full request URL, including the API key if it is passed in the URL
+ * @param {Object} requestBody - Request body
+ * @param {string} errorContext - Context for error message
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.headers] - Extra request headers, e.g. Authorization
+ * @param {Object} [options.scheduler] - Scheduler to queue the request in, the Gemini
+ *   scheduler by default
+ * @param {number} [options.timeoutMs] - How long the request may go without receiving
+ *   data, VITE_API_TIMEOUT_MS or 3 minutes by default
+ * @param {Function} [options.readResponse] - Async function reading the successful
+ *   response, called with the response and a function that restarts the timeout (call
+ *   it whenever data arrives); parses the JSON body by default. Failed reads must be
+ *   thrown as network ApiErrors to be retried, as readServerSentEvents does
+ * @param {Function} [options.onQueuePosition] - Called with the queue position while the request waits
+ * @param {AbortSignal} [options.signal] - Cancels the request, whether queued or in flight
+ * @returns {Promise<Object>} The data read from the response, and when the request was
+ *   sent (startedAt), not counting the time spent in the queue
+ * @throws {ApiError} If the request failed
+ */
+export const sendApiRequest = async (
+  url,
+  requestBody,
+  errorContext,
+  {
+    headers,
+    scheduler = geminiScheduler,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    readResponse = (response) =>
+      response.json().catch((error) => {
+        throw toNetworkError(error, errorContext);
+      }),
+    onQueuePosition,
+    signal,
+  } = {}
+) => {
+  let networkRetries = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    let startedAt;
+    let timer;
+    let timedOut = false;
+    // Aborted by the caller's signal or by the timeout
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener("abort", abort);
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+
+    try {
+      const response = await scheduler.schedule(
+        () => {
+          startedAt = Date.now();
+          resetTimer();
+          return fetch(url, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Accept: "application/json",
+              ...headers,
+            },
+            body: JSON.stringify(requestBody),
+            signal: controller.signal,
+          }).catch((error) => {
+            throw toNetworkError(error, errorContext);
+          });
+        },
+        { onQueuePosition, signal }
+      );
+
+      if (response.ok) {
+        const data = await readResponse(response, resetTimer);
+        return { data, startedAt };
+      }
+
+      const errorData = await response.json().catch(() => ({}));
+
+      if (
+        RETRYABLE_STATUSES.includes(response.status) &&
+        attempt < MAX_RATE_LIMIT_RETRIES &&
+        !isDailyQuotaError(errorData)
+      ) {
+        const retryDelay =
+          getRetryDelay(response, errorData) ??
+          RATE_LIMIT_BASE_DELAY * 2 ** attempt;
+        console.warn(
+          `API returned ${response.status} in ${errorContext}, retrying in ${retryDelay}ms`
+        );
+        // Hold back every queued request, not just this one
+        scheduler.pause(retryDelay);
+        continue;
+      }
+
+      throw createHttpError(response.status, errorData, errorContext);
+    } catch (error) {
+      if (timedOut) {
+        throw new ApiError(
+          API_ERROR_TYPES.TIMEOUT,
+          `The model did not answer within ${Math.round(
+            timeoutMs / 1000
+          )} seconds in ${errorContext}`
+        );
+      }
+      if (
+        !isNetworkError(error) ||
+        signal?.aborted ||
+        networkRetries >= MAX_NETWORK_RETRIES
+      ) {
+        throw error;
+      }
+      const retryDelay = NETWORK_RETRY_BASE_DELAY * 2 ** networkRetries++;
+      console.warn(
+        `Network error in ${errorContext}, retrying in ${retryDelay}ms:`,
+        error.message
+      );
+      await delay(retryDelay, signal);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    }
+  }
+};
+
+/**
+ * Read a server-sent events response, calling back with the data of every event
+ * @param {Response} response - Streaming response
+ * @param {Function} onData - Called with the data of each event, in order
+ * @param {string} errorContext - Context for error message
+ * @returns {Promise<void>} Resolves once the stream ends
+ * @throws {ApiError} Of type network if the connection is lost while reading
+ */
+export const readServerSentEvents = async (response, onData, errorContext) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const handleEvent = (event) => {
+    const data = event
+      .split("\n")
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trim())
+      .join("");
+    if (data) onData(data);
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read().catch((error) => {
+      throw toNetworkError(error, errorContext);
+    });
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+    const events = buffer.split("\n\n");
+    // The last part may be an incomplete event, keep it for the next read
+    buffer = events.pop();
+    events.forEach(handleEvent);
+  }
+  handleEvent(buffer + decoder.decode());
+};
+
+/**
+ * Record the token usage of a model call in the usage log
+ * @param {Object} tokens - Token counts of the call
+ * @param {number} [tokens.promptTokens] - Input tokens
+ * @param {number} [tokens.candidatesTokens] - Output tokens, without thinking tokens
+ * @param {number} [tokens.thoughtsTokens] - Thinking tokens
+ * @param {number} [tokens.totalTokens] - All tokens
+ * @param {Object} details - Details of the call
+ * @param {string} details.model - Model that answered
+ * @param {string} details.label - What the call was for, e.g. "page extraction"
+ * @param {number} details.startedAt - When the request was sent
+ * @param {Function} [onUsage] - Called with the usage entry, to attribute it to the notes
+ *   or quiz being generated
+ * @returns {Object} The usage entry (timestamp, model, label, promptTokens,
+ *   candidatesTokens, thoughtsTokens, totalTokens, latencyMs)
+ */
+export const recordUsage = (
+  { promptTokens, candidatesTokens, thoughtsTokens, totalTokens },
+  { model, label, startedAt },
+  onUsage
+) => {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    model,
+    label,
+    promptTokens: promptTokens || 0,
+    candidatesTokens: candidatesTokens || 0,
+    thoughtsTokens: thoughtsTokens || 0,
+    totalTokens: totalTokens || 0,
+    latencyMs: Date.now() - startedAt,
+  };
+  storeUsageEntry(entry);
+  if (onUsage) onUsage(entry);
+  return entry;
+};
+
+/**
+ * Get the token counts of a Gemini response
+ * @param {Object} data - API response, with usageMetadata
+ * @returns {Object} Token counts, as taken by recordUsage
+ */
+const getGeminiTokens = (data) => {
+  const usageMetadata = data?.usageMetadata || {};
+  return {
+    promptTokens: usageMetadata.promptTokenCount,
+    candidatesTokens: usageMetadata.candidatesTokenCount,
+    thoughtsTokens: usageMetadata.thoughtsTokenCount,
+    totalTokens: usageMetadata.totalTokenCount,
+  };
+};
+
+/**
+ * Get the model name of a Gemini endpoint
+ * @param {string} endpoint - API endpoint
+ * @returns {string} Model name, e.g. "gemini-2.0-flash"
+ */
+const getEndpointModel = (endpoint) =>
+  endpoint.match(/\/models\/([^:/]+)/)?.[1] || "unknown";
+
 /**
  * Make a request to the Gemini API
  * @param {string} endpoint - API endpoint
  * @param {string} apiKey - API key
  * @param {Object} requestBody - Request body
  * @param {string} errorContext - Context for error message
+ * @param {Object} [options] - Request options
+ * @param {Function} [options.onQueuePosition] - Called with the queue position while the request waits
+ * @param {Function} [options.onUsage] - Called with the token usage of the call
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Object>} API response
  */
 export const makeGeminiRequest = async (
   endpoint,
   apiKey,
   requestBody,
-  errorContext
+  errorContext,
+  { onUsage, ...options } = {}
 ) => {
-  const response = await fetch(`${endpoint}?key=${apiKey}`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Accept: "application/json",
-    },
-    body: JSON.stringify(requestBody),
-  });
+  const { data, startedAt } = await sendApiRequest(
+    `${endpoint}?key=${apiKey}`,
+    requestBody,
+    errorContext,
+    options
+  );
+  recordUsage(
+    getGeminiTokens(data),
+    { model: getEndpointModel(endpoint), label: errorContext, startedAt },
+    onUsage
+  );
+  return data;
+};
+
+/**
+ * Make a streaming request to the Gemini API (streamGenerateContent with server-sent events)
+ * Text is reported as it arrives; the resolved value has the same shape as a
+ * generateContent response, so it can be passed to extractTextFromResponse
+ * @param {string} endpoint - generateContent API endpoint
+ * @param {string} apiKey - API key
+ * @param {Object} requestBody - Request body
+ * @param {string} errorContext - Context for error message
+ * @param {Object} [options] - Request options
+ * @param {Function} [options.onText] - Called with the full text received so far and the chunk's usage metadata after every chunk
+ * @param {Function} [options.onQueuePosition] - Called with the queue position while the request waits
+ * @param {Function} [options.onUsage] - Called with the token usage of the call once the stream ends
+ * @param {AbortSignal} [options.signal] - Cancels the request, also while the response is streaming
+ * @returns {Promise<Object>} The combined API response
+ */
+export const makeGeminiStreamRequest = async (
+  endpoint,
+  apiKey,
+  requestBody,
+  errorContext,
+  { onText, onQueuePosition, onUsage, signal } = {}
+) => {
+  const streamEndpoint = endpoint.replace(
+    /:generateContent$/,
+    ":streamGenerateContent"
+  );
+  // Read the stream within the request, so its timeout covers the whole response
+  const readStream = async (response, resetTimer) => {
+    let text = "";
+    let lastChunk = {};
+
+    await readServerSentEvents(
+      response,
+      (data) => {
+        resetTimer();
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+          throw new ApiError(
+            API_ERROR_TYPES.SERVER,
+            `API error in ${errorContext}: ${chunk.error.message}`
+          );
+        }
 
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(
-      `API error in ${errorContext}: ${
-        errorData.error?.message || response.statusText
-      }`
+        const chunkText = (chunk.candidates?.[0]?.content?.parts || [])
+          .filter((part) => part.text)
+          .map((part) => part.text)
+          .join("");
+        lastChunk = chunk;
+        if (chunkText) {
+          text += chunkText;
+          if (onText) onText(text, chunk.usageMetadata);
+        }
+      },
+      errorContext
     );
-  }
 
-  return await response.json();
+    return {
+      ...lastChunk,
+      candidates: [
+        {
+          ...lastChunk.candidates?.[0],
+          content: { role: "model", parts: [{ text }] },
+        },
+      ],
+    };
+  };
+
+  const { data, startedAt } = await sendApiRequest(
+    `${streamEndpoint}?alt=sse&key=${apiKey}`,
+    requestBody,
+    errorContext,
+    { readResponse: readStream, onQueuePosition, signal }
+  );
+
+  // The last chunk carries the usage of the whole response
+  recordUsage(
+    getGeminiTokens(data),
+    { model: getEndpointModel(endpoint), label: errorContext, startedAt },
+    onUsage
+  );
+
+  return data;
 };
 
+// Finish reasons of answers Gemini stopped because of its safety filters
+const BLOCKED_FINISH_REASONS = [
+  "SAFETY",
+  "RECITATION",
+  "BLOCKLIST",
+  "PROHIBITED_CONTENT",
+  "SPII",
+  "IMAGE_SAFETY",
+];
+
 /**
  * Extract text from Gemini API response
  * @param {Object} data - API response data
  * @returns {string} Extracted text
+ * @throws {ApiError} If the answer was blocked, cut off at the output limit or empty
  */
 export const extractTextFromResponse = (data) => {
+  const blockReason = data.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw new ApiError(
+      API_ERROR_TYPES.SAFETY_BLOCKED,
+      `The request was blocked by the safety filters (${blockReason})`
+    );
+  }
+
+  const finishReason = data.candidates?.[0]?.finishReason;
+  if (BLOCKED_FINISH_REASONS.includes(finishReason)) {
+    throw new ApiError(
+      API_ERROR_TYPES.SAFETY_BLOCKED,
+      `The answer was blocked by the safety filters (${finishReason})`
+    );
+  }
+  if (finishReason === "MAX_TOKENS") {
+    throw new ApiError(
+      API_ERROR_TYPES.TRUNCATED,
+      "The answer was cut off at the model's output token limit"
+    );
+  }
+
   let extractedText = "";
 
   if (data.candidates && data.candidates[0]?.content?.parts) {
@@ -77,8 +494,94 @@ export const extractTextFromResponse = (data) => {
   }
 
   if (!extractedText) {
-    throw new Error("Failed to extract content from the API response");
+    throw new ApiError(
+      API_ERROR_TYPES.EMPTY_RESPONSE,
+      "Failed to extract content from the API response"
+    );
   }
 
   return extractedText;
 };
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Ends the wait early, rejecting with the abort reason
+ * @returns {Promise<void>}
+ */
+export const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Check whether an error was caused by aborting a request
+ * @param {Error} error - The caught error
+ * @returns {boolean} True if the operation was cancelled
+ */
+export const isAbortError = (error) => error?.name === "AbortError";
+
+/**
+ * Create the result returned by a service when its operation was cancelled
+ * @param {string} [message] - Message describing what was cancelled
+ * @returns {Object} Result with success false and cancelled true
+ */
+export const createCancelledResult = (
+  message = "Processing was cancelled"
+) => ({
+  success: false,
+  cancelled: true,
+  error: message,
+});
+
+/**
+ * Run an async operation, retrying failures with exponential backoff
+ * Cancelled operations are never retried, nor are API errors another attempt
+ * would run into again, e.g. an invalid key
+ * @param {Function} operation - Async function to run
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries] - Number of retries after the first attempt
+ * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds
+ * @param {string[]} [options.retryOn] - API error types to retry, every retryable type
+ *   by default; leave out those sendApiRequest already retries, so retries do not multiply
+ * @param {AbortSignal} [options.signal] - Cancels the wait before a retry
+ * @returns {Promise<any>} Result of the operation
+ */
+export const withRetry = async (
+  operation,
+  { retries = 2, baseDelay = 1000, retryOn, signal } = {}
+) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (
+        attempt >= retries ||
+        isAbortError(error) ||
+        !isRetryableError(error) ||
+        (retryOn && !retryOn.includes(error.type))
+      ) {
+        throw error;
+      }
+      const backoff = baseDelay * 2 ** attempt;
+      console.warn(
+        `Attempt ${attempt + 1} failed, retrying in ${backoff}ms:`,
+        error.message
+      );
+      await delay(backoff, signal);
+    }
+  }
+};
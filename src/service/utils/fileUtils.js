@@ -15,3 +15,17 @@ export const fileToBase64 = (file) => {
     reader.onerror = (error) => reject(error);
   });
 };
+
+/**
+ * Compute the SHA-256 hash of a file's content
+ * Identical photos get the same hash, whatever their file name
+ * @param {Blob} file - The file to hash
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export const hashFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
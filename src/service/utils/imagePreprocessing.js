@@ -0,0 +1,373 @@
+/**
+ * Client-side preprocessing for photographed notes before they are sent for extraction
+ * Pipeline: rotate -> crop to page -> downscale -> deskew -> contrast boost -> re-encode
+ */
+
+import { loadImage, createRotatedCanvas, canvasToFile } from "./imageUtils";
+
+// Default preprocessing options, the max resolution can be configured per deployment
+export const PREPROCESSING_DEFAULTS = {
+  maxDimension: Number(import.meta.env.VITE_IMAGE_MAX_DIMENSION) || 2048,
+  quality: 0.85,
+  autoCrop: true,
+  deskew: true,
+  enhanceContrast: true,
+};
+
+// Rendered PDF pages are already flat and cropped, so only downscale and enhance them
+export const PDF_PAGE_PREPROCESSING = { autoCrop: false, deskew: false };
+
+// Longest side of the downsampled copy used for page and skew detection
+const ANALYSIS_SIZE = 400;
+
+// Deskew search range and step, in degrees
+const MAX_SKEW_ANGLE = 8;
+const SKEW_STEP = 0.5;
+
+/**
+ * Full-frame crop, used when no page edges can be detected
+ */
+export const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+/**
+ * Draw a (region of a) canvas into a new canvas of the given size
+ * @param {HTMLCanvasElement} source - Source canvas
+ * @param {Object} crop - Normalized crop rectangle
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {HTMLCanvasElement} The resized canvas
+ */
+const drawCropped = (source, crop, width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const context = canvas.getContext("2d");
+  context.imageSmoothingQuality = "high";
+  context.drawImage(
+    source,
+    crop.x * source.width,
+    crop.y * source.height,
+    crop.width * source.width,
+    crop.height * source.height,
+    0,
+    0,
+    canvas.width,
+    canvas.height
+  );
+  return canvas;
+};
+
+/**
+ * Get a downsampled grayscale copy of a canvas region for analysis
+ * @param {HTMLCanvasElement} source - Source canvas
+ * @param {Object} [crop] - Normalized crop rectangle
+ * @returns {{gray: Uint8ClampedArray, width: number, height: number}} Grayscale pixels
+ */
+const getGrayscale = (source, crop = FULL_CROP) => {
+  const regionWidth = crop.width * source.width;
+  const regionHeight = crop.height * source.height;
+  const scale = Math.min(
+    1,
+    ANALYSIS_SIZE / Math.max(regionWidth, regionHeight)
+  );
+  const canvas = drawCropped(
+    source,
+    crop,
+    regionWidth * scale,
+    regionHeight * scale
+  );
+
+  const { data } = canvas
+    .getContext("2d")
+    .getImageData(0, 0, canvas.width, canvas.height);
+  const gray = new Uint8ClampedArray(canvas.width * canvas.height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] =
+      data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+  }
+
+  return { gray, width: canvas.width, height: canvas.height };
+};
+
+/**
+ * Compute a global threshold separating dark and light pixels (Otsu's method)
+ * @param {Uint8ClampedArray} gray - Grayscale pixels
+ * @returns {number} Threshold value between 0 and 255
+ */
+const otsuThreshold = (gray) => {
+  const histogram = new Array(256).fill(0);
+  gray.forEach((value) => histogram[value]++);
+
+  const total = gray.length;
+  const sumAll = histogram.reduce(
+    (sum, count, value) => sum + count * value,
+    0
+  );
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = 0;
+  let threshold = 127;
+
+  for (let value = 0; value < 256; value++) {
+    weightBackground += histogram[value];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += value * histogram[value];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance =
+      weightBackground *
+      weightForeground *
+      (meanBackground - meanForeground) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = value;
+    }
+  }
+
+  return threshold;
+};
+
+/**
+ * Detect the bounds of a (light) paper page against a darker background
+ * @param {HTMLCanvasElement} source - Canvas containing the photo
+ * @returns {Object} Normalized crop rectangle of the page
+ */
+export const detectPageBounds = (source) => {
+  const { gray, width, height } = getGrayscale(source);
+  const threshold = otsuThreshold(gray);
+
+  // A row/column belongs to the page when most of its pixels are bright
+  const isBright = (x, y) => gray[y * width + x] > threshold;
+  const rowIsPage = (y) => {
+    let bright = 0;
+    for (let x = 0; x < width; x++) if (isBright(x, y)) bright++;
+    return bright / width > 0.4;
+  };
+
+  let top = 0;
+  while (top < height && !rowIsPage(top)) top++;
+  let bottom = height - 1;
+  while (bottom > top && !rowIsPage(bottom)) bottom--;
+
+  const columnIsPage = (x) => {
+    let bright = 0;
+    for (let y = top; y <= bottom; y++) if (isBright(x, y)) bright++;
+    return bright / (bottom - top + 1) > 0.4;
+  };
+
+  let left = 0;
+  while (left < width && !columnIsPage(left)) left++;
+  let right = width - 1;
+  while (right > left && !columnIsPage(right)) right--;
+
+  const crop = {
+    x: left / width,
+    y: top / height,
+    width: (right - left + 1) / width,
+    height: (bottom - top + 1) / height,
+  };
+
+  // Fall back to the full frame if the detected page is implausibly small
+  if (crop.width * crop.height < 0.2) {
+    return FULL_CROP;
+  }
+
+  // Pad slightly so handwriting near the page edge is not cut off
+  const padding = 0.01;
+  const x = Math.max(0, crop.x - padding);
+  const y = Math.max(0, crop.y - padding);
+  return {
+    x,
+    y,
+    width: Math.min(1 - x, crop.width + padding * 2),
+    height: Math.min(1 - y, crop.height + padding * 2),
+  };
+};
+
+/**
+ * Estimate the skew of handwritten lines using horizontal projection profiles
+ * @param {HTMLCanvasElement} source - Canvas containing the (cropped) page
+ * @returns {number} Skew angle in degrees, positive when lines slope downwards
+ */
+export const estimateSkewAngle = (source) => {
+  const { gray, width, height } = getGrayscale(source);
+  const threshold = otsuThreshold(gray);
+
+  // Collect ink pixels relative to the image center
+  const inkX = [];
+  const inkY = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (gray[y * width + x] < threshold) {
+        inkX.push(x - width / 2);
+        inkY.push(y - height / 2);
+      }
+    }
+  }
+
+  // Not enough ink to tell the orientation of the lines
+  if (inkX.length < 100) {
+    return 0;
+  }
+
+  const binCount = Math.ceil(Math.hypot(width, height)) + 1;
+  const offset = binCount / 2;
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  for (
+    let angle = -MAX_SKEW_ANGLE;
+    angle <= MAX_SKEW_ANGLE;
+    angle += SKEW_STEP
+  ) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const bins = new Float64Array(binCount);
+
+    for (let i = 0; i < inkX.length; i++) {
+      const bin = Math.round(inkY[i] * cos - inkX[i] * sin + offset);
+      if (bin >= 0 && bin < binCount) bins[bin]++;
+    }
+
+    // Aligned text lines produce the sharpest (highest energy) profile
+    let score = 0;
+    for (let i = 0; i < binCount; i++) score += bins[i] * bins[i];
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return Math.abs(bestAngle) < SKEW_STEP ? 0 : bestAngle;
+};
+
+/**
+ * Rotate a canvas by a small angle, filling the exposed corners with white
+ * @param {HTMLCanvasElement} source - Canvas to rotate
+ * @param {number} angle - Clockwise rotation in degrees
+ * @returns {HTMLCanvasElement} The rotated canvas
+ */
+const rotateCanvas = (source, angle) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.translate(canvas.width / 2, canvas.height / 2);
+  context.rotate((angle * Math.PI) / 180);
+  context.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+};
+
+/**
+ * Stretch the tonal range so faint pencil strokes become darker and paper whiter
+ * @param {HTMLCanvasElement} canvas - Canvas to enhance in place
+ */
+const enhanceContrast = (canvas) => {
+  const context = canvas.getContext("2d");
+  const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = imageData;
+
+  // Use the 2nd and 98th luminance percentiles as black and white points
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i += 4) {
+    histogram[
+      Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114)
+    ]++;
+  }
+  const pixelCount = data.length / 4;
+  const percentile = (fraction) => {
+    let count = 0;
+    for (let value = 0; value < 256; value++) {
+      count += histogram[value];
+      if (count >= pixelCount * fraction) return value;
+    }
+    return 255;
+  };
+  const low = percentile(0.02);
+  const high = percentile(0.98);
+  if (high - low < 10) return;
+
+  // Lookup table: linear stretch followed by a gamma curve that darkens mid-tones
+  const lookup = new Uint8ClampedArray(256);
+  for (let value = 0; value < 256; value++) {
+    const normalized = Math.min(1, Math.max(0, (value - low) / (high - low)));
+    lookup[value] = Math.round(255 * normalized ** 1.4);
+  }
+
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lookup[data[i]];
+    data[i + 1] = lookup[data[i + 1]];
+    data[i + 2] = lookup[data[i + 2]];
+  }
+  context.putImageData(imageData, 0, 0);
+};
+
+/**
+ * Preprocess a photographed page before extraction
+ * @param {File} file - The original image file
+ * @param {Object} [options] - Preprocessing options, see PREPROCESSING_DEFAULTS
+ * @param {number} [options.rotation] - Clockwise rotation in multiples of 90 degrees
+ * @param {Object} [options.crop] - Manual normalized crop; detected automatically when omitted
+ * @returns {Promise<Object>} The processed file along with the crop and skew that were applied
+ */
+export const preprocessImage = async (file, options = {}) => {
+  const settings = { ...PREPROCESSING_DEFAULTS, ...options };
+  const image = await loadImage(file);
+  const rotated = createRotatedCanvas(image, settings.rotation || 0);
+
+  const crop =
+    settings.crop ||
+    (settings.autoCrop ? detectPageBounds(rotated) : FULL_CROP);
+
+  // Crop and downscale in a single pass
+  const cropWidth = crop.width * rotated.width;
+  const cropHeight = crop.height * rotated.height;
+  const scale = Math.min(
+    1,
+    settings.maxDimension / Math.max(cropWidth, cropHeight)
+  );
+  let canvas = drawCropped(
+    rotated,
+    crop,
+    cropWidth * scale,
+    cropHeight * scale
+  );
+
+  const skewAngle = settings.deskew ? estimateSkewAngle(canvas) : 0;
+  if (skewAngle !== 0) {
+    canvas = rotateCanvas(canvas, -skewAngle);
+  }
+
+  if (settings.enhanceContrast) {
+    enhanceContrast(canvas);
+  }
+
+  const name = file.name.replace(/\.[^.]+$/, "") + ".jpg";
+  const processedFile = await canvasToFile(
+    canvas,
+    name,
+    "image/jpeg",
+    settings.quality
+  );
+
+  return {
+    file: processedFile,
+    crop,
+    skewAngle,
+    rotation: settings.rotation || 0,
+    deskew: settings.deskew,
+    enhanceContrast: settings.enhanceContrast,
+    originalSize: file.size,
+    width: canvas.width,
+    height: canvas.height,
+  };
+};
@@ -0,0 +1,101 @@
+/**
+ * Utility functions for client-side image manipulation
+ */
+
+/**
+ * Load an image file into an HTMLImageElement
+ * @param {File|Blob} file - The image file to load
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ */
+export const loadImage = (file) => {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Failed to load image ${file.name || ""}`.trim()));
+    };
+    image.src = url;
+  });
+};
+
+/**
+ * Encode a canvas into a File
+ * @param {HTMLCanvasElement} canvas - The canvas to encode
+ * @param {string} name - File name for the result
+ * @param {string} [type] - Output MIME type
+ * @param {number} [quality] - Encoder quality for lossy formats
+ * @returns {Promise<File>} The encoded file
+ */
+export const canvasToFile = (
+  canvas,
+  name,
+  type = "image/jpeg",
+  quality = 0.92
+) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob
+          ? resolve(new File([blob], name, { type }))
+          : reject(new Error("Failed to encode image")),
+      type,
+      quality
+    );
+  });
+};
+
+/**
+ * Draw an image onto a new canvas, rotated clockwise by a multiple of 90 degrees
+ * @param {HTMLImageElement} image - The loaded image
+ * @param {number} degrees - Clockwise rotation (0, 90, 180 or 270)
+ * @returns {HTMLCanvasElement} Canvas containing the rotated image
+ */
+export const createRotatedCanvas = (image, degrees = 0) => {
+  const rotation = ((degrees % 360) + 360) % 360;
+  const swapSides = rotation === 90 || rotation === 270;
+  const canvas = document.createElement("canvas");
+  canvas.width = swapSides ? image.naturalHeight : image.naturalWidth;
+  canvas.height = swapSides ? image.naturalWidth : image.naturalHeight;
+
+  const context = canvas.getContext("2d");
+  context.translate(canvas.width / 2, canvas.height / 2);
+  context.rotate((rotation * Math.PI) / 180);
+  context.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2);
+
+  return canvas;
+};
+
+/**
+ * Crop a region out of an image file
+ * @param {File|Blob} file - The image file
+ * @param {Object} box - Region with top, left, bottom and right as fractions of the image size
+ * @param {string} name - File name for the result
+ * @returns {Promise<File>} The cropped image
+ */
+export const cropImageRegion = async (file, box, name) => {
+  const image = await loadImage(file);
+  const left = Math.round(box.left * image.naturalWidth);
+  const top = Math.round(box.top * image.naturalHeight);
+  const width = Math.max(
+    1,
+    Math.round((box.right - box.left) * image.naturalWidth)
+  );
+  const height = Math.max(
+    1,
+    Math.round((box.bottom - box.top) * image.naturalHeight)
+  );
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas
+    .getContext("2d")
+    .drawImage(image, left, top, width, height, 0, 0, width, height);
+
+  return canvasToFile(canvas, name);
+};
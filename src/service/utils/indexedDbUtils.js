@@ -0,0 +1,64 @@
+/**
+ * Utility functions for simple key-value stores in IndexedDB
+ * Unlike localStorage, IndexedDB can store Files/Blobs such as page images
+ */
+
+/**
+ * Create a key-value store backed by a single IndexedDB object store
+ * The database is opened (and created if needed) on first use
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Object} Store with get, put, delete, clear and keys functions
+ */
+export const createKeyValueStore = (dbName, storeName) => {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("IndexedDB is not available in this browser"));
+          return;
+        }
+
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        // Allow a later call to retry opening the database
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  /**
+   * Run a single request against the object store
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {Function} createRequest - Function creating the request from the store
+   * @returns {Promise<any>} The request result
+   */
+  const runRequest = async (mode, createRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = createRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    get: (key) => runRequest("readonly", (store) => store.get(key)),
+    put: (key, value) =>
+      runRequest("readwrite", (store) => store.put(value, key)),
+    delete: (key) => runRequest("readwrite", (store) => store.delete(key)),
+    clear: () => runRequest("readwrite", (store) => store.clear()),
+    keys: () => runRequest("readonly", (store) => store.getAllKeys()),
+  };
+};
@@ -0,0 +1,92 @@
+/**
+ * Utility functions for turning PDF documents into page images
+ */
+
+import * as pdfjsLib from "pdfjs-dist";
+import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import { canvasToFile } from "./imageUtils";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// Render scale used for rasterizing pages (roughly 150 DPI for A4 pages)
+const PDF_RENDER_SCALE = 2;
+
+/**
+ * Check whether a file is a PDF document
+ * @param {File} file - The file to check
+ * @returns {boolean} True if the file is a PDF
+ */
+export const isPdfFile = (file) =>
+  file?.type === "application/pdf" || /\.pdf$/i.test(file?.name || "");
+
+/**
+ * Render a single PDF page onto a canvas and encode it as a JPEG file
+ * @param {Object} page - pdf.js page proxy
+ * @param {string} name - File name for the rendered page
+ * @returns {Promise<File>} The rendered page image
+ */
+const renderPageToFile = async (page, name) => {
+  const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
+
+  const context = canvas.getContext("2d");
+  // Scanned PDFs can have transparent regions, so paint a white page first
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+
+  return canvasToFile(canvas, name, "image/jpeg", 0.9);
+};
+
+/**
+ * Rasterize every page of a PDF into an image File, preserving page order
+ * @param {File} pdfFile - The PDF file to rasterize
+ * @returns {Promise<Array<{file: File, pageNumber: number, pageCount: number}>>} One entry per PDF page
+ */
+export const pdfToImageFiles = async (pdfFile) => {
+  const data = new Uint8Array(await pdfFile.arrayBuffer());
+  const pdf = await pdfjsLib.getDocument({ data }).promise;
+  const baseName = pdfFile.name.replace(/\.pdf$/i, "");
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const file = await renderPageToFile(
+        page,
+        `${baseName}_page_${pageNumber}.jpg`
+      );
+      page.cleanup();
+
+      pages.push({
+        file,
+        pageNumber,
+        pageCount: pdf.numPages,
+      });
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * Expand any PDFs in a list of files into their page images, leaving images untouched
+ * @param {File[]} files - Mixed list of image and PDF files
+ * @returns {Promise<File[]>} Flat list of image files in page order
+ */
+export const expandPdfFiles = async (files) => {
+  const expanded = [];
+  for (const file of files) {
+    if (isPdfFile(file)) {
+      const pages = await pdfToImageFiles(file);
+      expanded.push(...pages.map((page) => page.file));
+    } else {
+      expanded.push(file);
+    }
+  }
+  return expanded;
+};
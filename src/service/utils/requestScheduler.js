@@ -0,0 +1,182 @@
+/**
+ * Shared scheduler for outgoing API requests
+ * Limits how many requests run at once and how many start per minute (token bucket),
+ * and lets rate-limited responses pause the whole queue
+ */
+
+/**
+ * Create a request scheduler
+ * @param {Object} options - Scheduler limits
+ * @param {number} options.maxConcurrent - Maximum number of requests running at once
+ * @param {number} [options.requestsPerMinute] - Maximum number of requests started per minute, 0 for no limit
+ * @returns {Object} Scheduler with schedule, pause, subscribe and getState
+ */
+export const createRequestScheduler = ({
+  maxConcurrent,
+  requestsPerMinute = 0,
+}) => {
+  const queue = [];
+  const listeners = new Set();
+  let active = 0;
+  let tokens = requestsPerMinute;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let timer = null;
+
+  /**
+   * Add the tokens earned since the last refill, up to one minute's worth
+   */
+  const refillTokens = () => {
+    const now = Date.now();
+    tokens = Math.min(
+      requestsPerMinute,
+      tokens + ((now - lastRefill) / 60000) * requestsPerMinute
+    );
+    lastRefill = now;
+  };
+
+  /**
+   * Get the current queue state
+   * @returns {Object} Running and queued request counts, and the pause end time if paused
+   */
+  const getState = () => ({
+    active,
+    queued: queue.length,
+    pausedUntil: pausedUntil > Date.now() ? pausedUntil : null,
+  });
+
+  /**
+   * Report a queue position to a request, skipping unchanged positions
+   * @param {Object} entry - Queued request
+   * @param {number} position - 1-based queue position, 0 once the request started
+   */
+  const reportPosition = (entry, position) => {
+    if (entry.onQueuePosition && entry.position !== position) {
+      entry.position = position;
+      entry.onQueuePosition(position);
+    }
+  };
+
+  const notify = () => {
+    const state = getState();
+    listeners.forEach((listener) => listener(state));
+    queue.forEach((entry, index) => reportPosition(entry, index + 1));
+  };
+
+  const processQueueLater = (waitMs) => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      processQueue();
+    }, waitMs);
+  };
+
+  /**
+   * Start as many queued requests as the limits allow
+   */
+  const processQueue = () => {
+    while (queue.length > 0 && active < maxConcurrent) {
+      const now = Date.now();
+      if (pausedUntil > now) {
+        processQueueLater(pausedUntil - now);
+        break;
+      }
+
+      if (requestsPerMinute > 0) {
+        refillTokens();
+        if (tokens < 1) {
+          processQueueLater(((1 - tokens) / requestsPerMinute) * 60000);
+          break;
+        }
+        tokens -= 1;
+      }
+
+      const entry = queue.shift();
+      reportPosition(entry, 0);
+      active++;
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          active--;
+          processQueue();
+        });
+    }
+    notify();
+  };
+
+  /**
+   * Queue a request
+   * @param {Function} task - Async function performing the request
+   * @param {Object} [options] - Scheduling options
+   * @param {Function} [options.onQueuePosition] - Called with the 1-based queue position while waiting, and 0 once started
+   * @param {AbortSignal} [options.signal] - Removes the request from the queue when aborted
+   * @returns {Promise<any>} Result of the task
+   */
+  const schedule = (task, { onQueuePosition, signal } = {}) =>
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = { task, resolve, reject, onQueuePosition };
+      signal?.addEventListener(
+        "abort",
+        () => {
+          const index = queue.indexOf(entry);
+          if (index !== -1) {
+            queue.splice(index, 1);
+            reject(signal.reason);
+            notify();
+          }
+        },
+        { once: true }
+      );
+      queue.push(entry);
+      processQueue();
+    });
+
+  /**
+   * Hold back all queued requests, e.g. after a rate limit response
+   * @param {number} ms - How long to wait before starting new requests
+   */
+  const pause = (ms) => {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    notify();
+  };
+
+  /**
+   * Listen for queue state changes
+   * @param {Function} listener - Called with the state from getState
+   * @returns {Function} Function removing the listener
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { schedule, pause, subscribe, getState };
+};
+
+const configuredRequestsPerMinute = import.meta.env
+  .VITE_GEMINI_REQUESTS_PER_MINUTE;
+
+// Shared scheduler for all Gemini requests, the limits can be configured per deployment
+// (defaults fit the free tier; set VITE_GEMINI_REQUESTS_PER_MINUTE=0 to disable the RPM limit)
+export const geminiScheduler = createRequestScheduler({
+  maxConcurrent: Number(import.meta.env.VITE_GEMINI_MAX_CONCURRENT) || 3,
+  requestsPerMinute:
+    configuredRequestsPerMinute !== undefined
+      ? Number(configuredRequestsPerMinute) || 0
+      : 10,
+});
+
+// Shared scheduler for requests to OpenAI-compatible servers; local servers usually
+// run one request at a time and have no rate limit (set VITE_OPENAI_MAX_CONCURRENT and
+// VITE_OPENAI_REQUESTS_PER_MINUTE for hosted ones)
+export const openAiCompatibleScheduler = createRequestScheduler({
+  maxConcurrent: Number(import.meta.env.VITE_OPENAI_MAX_CONCURRENT) || 1,
+  requestsPerMinute:
+    Number(import.meta.env.VITE_OPENAI_REQUESTS_PER_MINUTE) || 0,
+});
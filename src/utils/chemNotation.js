@@ -0,0 +1,183 @@
+/**
+ * Helpers to upgrade chemistry written with \mathrm{...} to mhchem
+ *
+ * Notes generated before mhchem was enabled write formulas and equations as
+ *   $\mathrm{C_2H_5OH} + 3\mathrm{O_2} \rightarrow 2\mathrm{CO_2} + 3\mathrm{H_2O}$
+ * which is upgraded to
+ *   $\ce{C2H5OH + 3O2 -> 2CO2 + 3H2O}$
+ * Anything that does not clearly parse as chemistry (units, labels, ...) is left as is.
+ */
+
+import { mapMathSpans } from "./latexRepair";
+
+const ELEMENT_SYMBOLS = new Set(
+  (
+    "H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn " +
+    "Ga Ge As Se Br Kr Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La " +
+    "Ce Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb Lu Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi Po " +
+    "At Rn Fr Ra Ac Th Pa U Np Pu Am Cm Bk Cf Es Fm Md No Lr Rf Db Sg Bh Hs Mt Ds Rg " +
+    "Cn Nh Fl Mc Lv Ts Og"
+  ).split(" ")
+);
+
+// \mathrm{...} allowing one level of nested braces, e.g. \mathrm{SO_4^{2-}}
+const MATHRM_PATTERN = /\\mathrm\{((?:[^{}]|\{[^{}]*\})*)\}/g;
+
+// Tokens of a chemical formula: element, parenthesis, count, charge (only at the end)
+const FORMULA_TOKENS = [
+  { type: "element", pattern: /^[A-Z][a-z]?/ },
+  { type: "paren", pattern: /^[()]/ },
+  { type: "count", pattern: /^(?:_(\d)|_\{(\d+)\}|(\d+))/ },
+  { type: "charge", pattern: /^\^(?:([+-])|\{(\d*[+-])\})$/ },
+];
+
+// Tokens of a reaction once its formulas are \ce{...}, with their mhchem equivalent
+const REACTION_TOKENS = [
+  { pattern: /^(?:\s|\\[,;:!]|~)+/, mhchem: () => "" },
+  { pattern: /^\+/, mhchem: () => " + " },
+  {
+    pattern: /^(?:\\(?:long)?rightarrow|\\to)(?![a-zA-Z])/,
+    mhchem: () => " -> ",
+    arrow: true,
+  },
+  {
+    pattern:
+      /^\\(?:rightleftharpoons|leftrightharpoons|rightleftarrows)(?![a-zA-Z])/,
+    mhchem: () => " <=> ",
+    arrow: true,
+  },
+  {
+    pattern: /^\\(?:long)?leftrightarrow(?![a-zA-Z])/,
+    mhchem: () => " <-> ",
+    arrow: true,
+  },
+  {
+    pattern: /^\\(?:long)?leftarrow(?![a-zA-Z])/,
+    mhchem: () => " <- ",
+    arrow: true,
+  },
+  // Reaction conditions, e.g. \xrightarrow{\Delta} or \xrightarrow[\text{below}]{\text{above}}
+  {
+    pattern:
+      /^\\xrightarrow(?:\[((?:[^[\]{}]|\{[^{}]*\})*)\])?\{((?:[^{}]|\{(?:[^{}]|\{[^{}]*\})*\})*)\}/,
+    mhchem: (match) =>
+      ` ->[${toArrowText(match[2])}]${
+        match[1] ? `[${toArrowText(match[1])}]` : ""
+      } `,
+    arrow: true,
+  },
+  { pattern: /^\\uparrow(?![a-zA-Z])/, mhchem: () => " ^" },
+  { pattern: /^\\downarrow(?![a-zA-Z])/, mhchem: () => " v" },
+  // Species: optional coefficient, formula and physical state
+  {
+    pattern:
+      /^(\d*)\\ce\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}(?:\s*(?:_\{?)?(?:\\(?:mathrm|text)\{)?(\((?:s|l|g|aq)\))\}?\}?)?/,
+    mhchem: (match) => `${match[1]}${match[2]}${match[3] || ""}`,
+  },
+];
+
+/**
+ * Convert the content of a \mathrm{...} to an mhchem formula
+ * @param {string} content - Content of the \mathrm{...}, e.g. "SO_4^{2-}"
+ * @returns {string|null} The mhchem formula, e.g. "SO4^{2-}", or null if the content
+ *   is not clearly a chemical formula
+ */
+const toMhchemFormula = (content) => {
+  let rest = content.replace(/\s+/g, "");
+  let formula = "";
+  let elementCount = 0;
+  let hasCount = false;
+  let hasCharge = false;
+  let depth = 0;
+
+  while (rest) {
+    const token = FORMULA_TOKENS.map(({ type, pattern }) => ({
+      type,
+      match: rest.match(pattern),
+    })).find(({ match }) => match);
+    if (!token) return null;
+
+    const { type, match } = token;
+    if (type === "element") {
+      if (!ELEMENT_SYMBOLS.has(match[0])) return null;
+      elementCount++;
+      formula += match[0];
+    } else if (type === "paren") {
+      depth += match[0] === "(" ? 1 : -1;
+      if (depth < 0) return null;
+      formula += match[0];
+    } else if (type === "count") {
+      hasCount = true;
+      formula += match[1] || match[2] || match[3];
+    } else {
+      hasCharge = true;
+      formula += `^{${match[1] || match[2]}}`;
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  // A lone symbol like N or Pa is more likely a unit than an element
+  const isFormula =
+    depth === 0 &&
+    elementCount > 0 &&
+    (hasCount || hasCharge || elementCount > 1);
+  return isFormula ? formula : null;
+};
+
+/**
+ * Convert the LaTeX above or below a reaction arrow to an mhchem arrow argument
+ * @param {string} tex - LaTeX of the condition
+ * @returns {string} A formula, or the LaTeX in braces so mhchem keeps it as is
+ */
+const toArrowText = (tex) => {
+  const formula = tex.trim().match(/^\\ce\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}$/);
+  return formula ? formula[1] : `{${tex.trim()}}`;
+};
+
+/**
+ * Merge LaTeX that is a whole reaction into a single \ce{...}
+ * @param {string} tex - LaTeX whose formulas were already upgraded to \ce{...}
+ * @returns {string} The reaction as one \ce{...}, or the LaTeX unchanged if it is
+ *   not only species, plus signs and arrows
+ */
+const toMhchemReaction = (tex) => {
+  let rest = tex;
+  let reaction = "";
+  let hasArrow = false;
+
+  while (rest) {
+    const token = REACTION_TOKENS.map(({ pattern, mhchem, arrow }) => ({
+      match: rest.match(pattern),
+      mhchem,
+      arrow,
+    })).find(({ match }) => match);
+    if (!token) return tex;
+
+    reaction += token.mhchem(token.match);
+    hasArrow = hasArrow || Boolean(token.arrow);
+    rest = rest.slice(token.match[0].length);
+  }
+
+  return hasArrow ? `\\ce{${reaction.replace(/\s+/g, " ").trim()}}` : tex;
+};
+
+/**
+ * Upgrade the chemistry of one formula from \mathrm{...} to mhchem
+ * @param {string} tex - LaTeX without delimiters
+ * @returns {string} LaTeX using \ce{...} for the formulas and reactions it contains
+ */
+export const upgradeChemistryTex = (tex) => {
+  const upgraded = tex.replace(MATHRM_PATTERN, (match, content) => {
+    const formula = toMhchemFormula(content);
+    return formula ? `\\ce{${formula}}` : match;
+  });
+  return upgraded === tex ? tex : toMhchemReaction(upgraded);
+};
+
+/**
+ * Upgrade the chemistry in the math of markdown from \mathrm{...} to mhchem
+ * @param {string} markdown - Markdown
+ * @returns {string} Markdown using \ce{...} for chemical formulas and reactions
+ */
+export const upgradeChemistryNotation = (markdown) =>
+  mapMathSpans(markdown, upgradeChemistryTex);
@@ -0,0 +1,91 @@
+/**
+ * Helpers for the figure markers that carry hand-drawn diagrams through the pipeline
+ *
+ * Extraction marks each diagram with its bounding box:
+ *   [[FIGURE box=[ymin, xmin, ymax, xmax] caption=Labelled diagram of a neuron]]
+ * with coordinates normalized to 0-1000. Once the diagram is cropped, the marker is
+ * replaced by a reference the structuring step keeps in place:
+ *   [[figure:p2-1 | Labelled diagram of a neuron]]
+ */
+
+const FIGURE_BOX_PATTERN =
+  /\[\[FIGURE\s+box=\[\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\]\s*(?:caption=([^\]]*))?\]\]/gi;
+const FIGURE_REFERENCE_PATTERN =
+  /\[\[figure:([\w-]+)\s*(?:\|\s*([^\]]*))?\]\]/g;
+const FIGURE_LINK_PREFIX = "#figure-";
+
+/**
+ * Find the figure markers of an extracted page and replace them with figure references
+ * Markers with an empty or inverted box are dropped
+ * @param {string} content - Extracted content of the page
+ * @param {number} pageNumber - 1-based page number, used in the figure ids
+ * @returns {{content: string, figures: Array}} Content with references, and each figure's
+ *   id, page, caption and box (top, left, bottom, right as fractions of the image)
+ */
+export const extractFigureBoxes = (content, pageNumber) => {
+  const figures = [];
+
+  const updatedContent = content.replace(
+    FIGURE_BOX_PATTERN,
+    (_, ymin, xmin, ymax, xmax, caption = "") => {
+      const box = {
+        top: Math.min(1000, Number(ymin)) / 1000,
+        left: Math.min(1000, Number(xmin)) / 1000,
+        bottom: Math.min(1000, Number(ymax)) / 1000,
+        right: Math.min(1000, Number(xmax)) / 1000,
+      };
+      if (box.bottom <= box.top || box.right <= box.left) return "";
+
+      const figure = {
+        id: `p${pageNumber}-${figures.length + 1}`,
+        page: pageNumber,
+        caption: caption.trim(),
+        box,
+      };
+      figures.push(figure);
+      return figure.caption
+        ? `[[figure:${figure.id} | ${figure.caption}]]`
+        : `[[figure:${figure.id}]]`;
+    }
+  );
+
+  return { content: updatedContent, figures };
+};
+
+/**
+ * Whether content contains figure references for the structuring step to keep
+ * @param {string} content - Extracted content
+ * @returns {boolean} True if there is at least one figure reference
+ */
+export const hasFigureReferences = (content) =>
+  new RegExp(FIGURE_REFERENCE_PATTERN.source).test(content);
+
+/**
+ * Replace figure references with markdown images that can be rendered as figures
+ * @param {string} markdown - Structured notes markdown
+ * @returns {string} Markdown with `![caption](#figure-id)` images
+ */
+export const linkFigureMarkers = (markdown) =>
+  markdown.replace(
+    FIGURE_REFERENCE_PATTERN,
+    (_, id, caption = "") =>
+      `![${caption.trim().replace(/[[\]]/g, "")}](${FIGURE_LINK_PREFIX}${id})`
+  );
+
+/**
+ * Remove figure references, for notes read without their figures
+ * @param {string} markdown - Structured notes markdown
+ * @returns {string} Markdown without figure references
+ */
+export const removeFigureReferences = (markdown) =>
+  markdown.replace(FIGURE_REFERENCE_PATTERN, "");
+
+/**
+ * Get the figure id of an image created by linkFigureMarkers
+ * @param {string} src - Image source
+ * @returns {string|null} Figure id, or null if the image is not a figure
+ */
+export const getFigureIdFromSrc = (src) =>
+  src?.startsWith(FIGURE_LINK_PREFIX)
+    ? src.slice(FIGURE_LINK_PREFIX.length)
+    : null;
@@ -0,0 +1,240 @@
+/**
+ * Helpers to validate the math of generated markdown with KaTeX and repair it
+ * Math spans are found the way remark-math finds them: $$...$$ for display math and
+ * $...$ on a single line for inline math, outside of code. mhchem is loaded, as in the
+ * renderers, so \ce{...} and \pu{...} validate.
+ */
+
+import katex from "katex";
+import "katex/contrib/mhchem";
+
+// Code (left untouched), display math or inline math; escaped \$ is not a delimiter
+const MATH_SPAN_PATTERN =
+  /(```[\s\S]*?```|`[^`\n]*`)|\$\$([\s\S]+?)\$\$|(?<!\\)\$([^$\n]+?)(?<!\\)\$/g;
+
+// Commands models often use that KaTeX does not support, with their KaTeX equivalent
+const UNSUPPORTED_COMMANDS = {
+  "\\degree": "^{\\circ}",
+  "\\textdegree": "^{\\circ}",
+  "\\ohm": "\\Omega",
+  "\\micro": "\\mu",
+  "\\celsius": "^{\\circ}\\mathrm{C}",
+};
+
+/**
+ * Build the key identifying a math span, so each distinct failure is repaired once
+ * @param {string} tex - LaTeX without delimiters
+ * @param {boolean} displayMode - Whether it is display math
+ * @returns {string} Key
+ */
+const getSpanKey = (tex, displayMode) => `${displayMode ? "$$" : "$"}${tex}`;
+
+/**
+ * Render LaTeX with KaTeX to find out whether it is valid
+ * @param {string} tex - LaTeX without delimiters
+ * @param {boolean} [displayMode] - Whether it is display math
+ * @returns {string|null} The KaTeX error message, or null if it renders
+ */
+export const validateTex = (tex, displayMode = false) => {
+  try {
+    katex.renderToString(tex, {
+      displayMode,
+      throwOnError: true,
+      strict: "ignore",
+    });
+    return null;
+  } catch (error) {
+    return error.message || String(error);
+  }
+};
+
+/**
+ * Find the math spans of markdown that KaTeX fails to render
+ * @param {string[]} texts - Markdown texts to check
+ * @returns {Array<{tex: string, displayMode: boolean, error: string}>} Distinct failures
+ */
+export const findMathFailures = (texts) => {
+  const failures = new Map();
+
+  texts.forEach((text) => {
+    for (const [, code, displayTex, inlineTex] of (text || "").matchAll(
+      MATH_SPAN_PATTERN
+    )) {
+      if (code) continue;
+      const displayMode = displayTex !== undefined;
+      const tex = displayMode ? displayTex : inlineTex;
+      const key = getSpanKey(tex, displayMode);
+      if (failures.has(key)) continue;
+
+      const error = validateTex(tex, displayMode);
+      if (error) failures.set(key, { tex, displayMode, error });
+    }
+  });
+
+  return [...failures.values()];
+};
+
+/**
+ * Balance the curly braces of LaTeX, dropping unmatched closing braces and
+ * closing the braces left open
+ * @param {string} tex - LaTeX
+ * @returns {string} LaTeX with balanced braces
+ */
+const balanceBraces = (tex) => {
+  let depth = 0;
+  let balanced = "";
+
+  for (let index = 0; index < tex.length; index++) {
+    const char = tex[index];
+    // Escaped braces and backslashes are literal characters
+    if (char === "\\" && index + 1 < tex.length) {
+      balanced += char + tex[index + 1];
+      index++;
+      continue;
+    }
+    if (char === "{") depth++;
+    if (char === "}") {
+      if (depth === 0) continue;
+      depth--;
+    }
+    balanced += char;
+  }
+
+  return balanced + "}".repeat(depth);
+};
+
+/**
+ * Drop \left and \right delimiters that have no partner
+ * @param {string} tex - LaTeX
+ * @returns {string} LaTeX where every \left has a \right
+ */
+const balanceLeftRight = (tex) => {
+  const lefts = (tex.match(/\\left\b/g) || []).length;
+  const rights = (tex.match(/\\right\b/g) || []).length;
+  return lefts === rights ? tex : tex.replace(/\\(?:left|right)\b\s*/g, "");
+};
+
+// Deterministic fixes, each applied on top of the previous ones
+const DETERMINISTIC_FIXES = [
+  // Backslashes doubled by JSON escaping, e.g. \\frac
+  (tex) => tex.replace(/\\\\(?=[a-zA-Z])/g, "\\"),
+  // A stray escape at the end, e.g. from a formula cut off after a backslash
+  (tex) => tex.replace(/\\+$/, ""),
+  // Commands KaTeX does not support
+  (tex) =>
+    Object.entries(UNSUPPORTED_COMMANDS).reduce(
+      (fixed, [command, replacement]) =>
+        fixed.replace(
+          new RegExp(`${command.replace(/\\/g, "\\\\")}(?![a-zA-Z])`, "g"),
+          replacement
+        ),
+      tex
+    ),
+  balanceBraces,
+  balanceLeftRight,
+];
+
+/**
+ * Try to fix LaTeX without the model
+ * @param {string} tex - LaTeX that fails to render
+ * @param {boolean} displayMode - Whether it is display math
+ * @returns {string|null} The fixed LaTeX, or null if no fix made it render
+ */
+export const fixTexDeterministically = (tex, displayMode) => {
+  let fixed = tex;
+  for (const fix of DETERMINISTIC_FIXES) {
+    fixed = fix(fixed);
+    if (fixed !== tex && !validateTex(fixed, displayMode)) return fixed;
+  }
+  return null;
+};
+
+/**
+ * Apply a transformation to every math span of markdown, leaving code untouched
+ * @param {string} text - Markdown
+ * @param {Function} transform - Function from the LaTeX of a span and whether it is
+ *   display math to the new LaTeX
+ * @returns {string} Markdown with the transformed spans
+ */
+export const mapMathSpans = (text, transform) =>
+  (text || "").replace(
+    MATH_SPAN_PATTERN,
+    (match, code, displayTex, inlineTex) => {
+      if (code) return match;
+      const displayMode = displayTex !== undefined;
+      const tex = displayMode ? displayTex : inlineTex;
+      const transformed = transform(tex, displayMode);
+      if (transformed === tex) return match;
+      return displayMode ? `$$${transformed}$$` : `$${transformed}$`;
+    }
+  );
+
+/**
+ * Replace repaired math spans in markdown
+ * @param {string} text - Markdown
+ * @param {Map<string, string>} repairs - Repaired LaTeX by span key
+ * @returns {string} Markdown with the repaired spans
+ */
+const applyMathRepairs = (text, repairs) =>
+  mapMathSpans(
+    text,
+    (tex, displayMode) => repairs.get(getSpanKey(tex, displayMode)) ?? tex
+  );
+
+/**
+ * Validate the math of markdown texts and repair what fails to render
+ * Failures are first fixed deterministically; what is still broken is passed to
+ * repairWithModel, and its fixes are only used if they render
+ * @param {string[]} texts - Markdown texts to repair
+ * @param {Function} [repairWithModel] - Async function from failures ({ tex, displayMode,
+ *   error }) to fixed LaTeX in the same order (null for snippets it could not fix)
+ * @returns {Promise<Object>} The repaired texts, the repairs made ({ original, repaired,
+ *   displayMode, method }), and the LaTeX still failing
+ */
+export const repairMath = async (texts, repairWithModel) => {
+  const failures = findMathFailures(texts);
+  const repairs = new Map();
+  const repairRecords = [];
+
+  const recordRepair = (failure, repaired, method) => {
+    repairs.set(getSpanKey(failure.tex, failure.displayMode), repaired);
+    repairRecords.push({
+      original: failure.tex,
+      repaired,
+      displayMode: failure.displayMode,
+      method,
+    });
+  };
+
+  const remaining = failures.filter((failure) => {
+    const fixed = fixTexDeterministically(failure.tex, failure.displayMode);
+    if (fixed === null) return true;
+    recordRepair(failure, fixed, "deterministic");
+    return false;
+  });
+
+  let unresolved = remaining;
+  if (remaining.length > 0 && repairWithModel) {
+    const modelFixes = await repairWithModel(remaining);
+    unresolved = remaining.filter((failure, index) => {
+      const fixed = modelFixes?.[index];
+      if (
+        typeof fixed !== "string" ||
+        validateTex(fixed, failure.displayMode)
+      ) {
+        return true;
+      }
+      recordRepair(failure, fixed, "model");
+      return false;
+    });
+  }
+
+  return {
+    texts:
+      repairs.size > 0
+        ? texts.map((text) => applyMathRepairs(text, repairs))
+        : texts,
+    repairs: repairRecords,
+    unresolved: unresolved.map((failure) => failure.tex),
+  };
+};
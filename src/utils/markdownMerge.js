@@ -0,0 +1,78 @@
+/**
+ * Helper to merge notes that were structured in several chunks into one document
+ */
+
+import { splitHeadingSource, formatSourceMarker } from "./sourcePages";
+
+/**
+ * Normalize heading text for comparison
+ * @param {string} text - Heading text
+ * @returns {string} Lowercase text with collapsed whitespace and no trailing punctuation
+ */
+const normalizeHeading = (text) =>
+  text
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[\s:.-]+$/, "");
+
+/**
+ * Merge structured markdown chunks, in order, into one document
+ * A chunk that starts by repeating the headings that are still open at the end of the
+ * previous chunk (e.g. a topic continuing on the next pages) continues under those
+ * headings instead of repeating them; their source pages are combined
+ * @param {string[]} chunks - Markdown of each chunk, in page order
+ * @returns {string} Merged markdown
+ */
+export const mergeMarkdownChunks = (chunks) => {
+  const lines = [];
+  // Open heading per level: { prefix, text, pages, lineIndex }
+  const openHeadings = [];
+
+  chunks.forEach((chunk, chunkIndex) => {
+    // Only headings at the very start of a chunk can repeat open headings
+    let atChunkStart = chunkIndex > 0;
+    if (chunkIndex > 0) lines.push("");
+
+    chunk
+      .trim()
+      .split("\n")
+      .forEach((line) => {
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (!heading) {
+          if (line.trim()) atChunkStart = false;
+          if (!atChunkStart) lines.push(line);
+          return;
+        }
+
+        const level = heading[1].length;
+        const { text, pages } = splitHeadingSource(heading[2]);
+        const openHeading = openHeadings[level];
+
+        if (
+          atChunkStart &&
+          openHeading &&
+          normalizeHeading(openHeading.text) === normalizeHeading(text)
+        ) {
+          openHeading.pages = [
+            ...new Set([...openHeading.pages, ...pages]),
+          ].sort((a, b) => a - b);
+          lines[openHeading.lineIndex] = `${openHeading.prefix} ${
+            openHeading.text
+          }${formatSourceMarker(openHeading.pages)}`;
+          return;
+        }
+
+        atChunkStart = false;
+        openHeadings.length = level;
+        openHeadings[level] = {
+          prefix: heading[1],
+          text,
+          pages,
+          lineIndex: lines.length,
+        };
+        lines.push(line);
+      });
+  });
+
+  return lines.join("\n");
+};
@@ -0,0 +1,264 @@
+/**
+ * Helpers for the typed notes tree returned by the structured-output mode
+ * The tree follows notesStructureSchema: topics > subtopics > concepts, where
+ * each concept has a definition, formulae, details and examples
+ */
+
+/**
+ * Turn a node name into a url-friendly slug
+ * @param {string} name - Node name
+ * @returns {string} Slug
+ */
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    // Keep letters and vowel signs of any script, e.g. Devanagari headings
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-|-$/g, "") || "item";
+
+/**
+ * Normalize the nodes of one level of the tree and give every node a stable id
+ * Ids are paths of slugs (e.g. "kinematics/motion-in-a-line/velocity"), so
+ * downstream features can address individual concepts
+ * @param {Array} nodes - Nodes as returned by Gemini
+ * @param {string} parentId - Id of the parent node, empty for topics
+ * @param {number} depth - 0 for topics, 1 for subtopics, 2 for concepts
+ * @returns {Array} Normalized nodes
+ */
+const normalizeNodes = (nodes, parentId, depth) => {
+  const usedIds = new Set();
+
+  return (Array.isArray(nodes) ? nodes : [])
+    .filter((node) => node && typeof node.name === "string" && node.name)
+    .map((node) => {
+      // Keep ids unique when two siblings share a name
+      const baseId = parentId
+        ? `${parentId}/${slugify(node.name)}`
+        : slugify(node.name);
+      let id = baseId;
+      for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${baseId}-${suffix}`;
+      }
+      usedIds.add(id);
+
+      const normalized = { id, name: node.name.trim() };
+      if (Array.isArray(node.source_pages) && node.source_pages.length > 0) {
+        normalized.source_pages = node.source_pages.filter(Number.isInteger);
+      }
+
+      if (depth < 2) {
+        normalized.sub_items = normalizeNodes(node.sub_items, id, depth + 1);
+        return normalized;
+      }
+
+      return {
+        ...normalized,
+        definition: node.definition || "",
+        formulae: Array.isArray(node.formulae) ? node.formulae : [],
+        details: node.details || "",
+        examples: Array.isArray(node.examples) ? node.examples : [],
+      };
+    });
+};
+
+/**
+ * Normalize a notes tree returned by Gemini
+ * @param {Object} data - Parsed JSON with a notes_structure array
+ * @returns {Object} Tree with ids and every list present
+ */
+export const normalizeNotesTree = (data) => ({
+  notes_structure: normalizeNodes(data?.notes_structure, "", 0),
+});
+
+/**
+ * Build the source-page marker of a node, matching the markdown pipeline's markers
+ * @param {Object} node - Tree node
+ * @returns {string} Marker, or an empty string if the node has no source pages
+ */
+const sourceMarker = (node) =>
+  node.source_pages?.length > 0
+    ? ` <!-- pages: ${node.source_pages.join(", ")} -->`
+    : "";
+
+/**
+ * Wrap a formula in display math delimiters unless it already has them
+ * @param {string} formula - LaTeX formula
+ * @returns {string} Display formula
+ */
+export const toDisplayFormula = (formula) => {
+  const trimmed = formula.trim();
+  if (trimmed.startsWith("$$")) return trimmed;
+  return `$$${trimmed.replace(/^\$|\$$/g, "")}$$`;
+};
+
+/**
+ * Render a notes tree as markdown, so it can be shown like any other notes
+ * @param {Object} tree - Normalized notes tree
+ * @returns {string} Markdown
+ */
+export const notesTreeToMarkdown = (tree) => {
+  const lines = [];
+
+  tree.notes_structure.forEach((topic) => {
+    lines.push(`# ${topic.name}${sourceMarker(topic)}`, "");
+
+    topic.sub_items.forEach((subtopic) => {
+      lines.push(`## ${subtopic.name}${sourceMarker(subtopic)}`, "");
+
+      subtopic.sub_items.forEach((concept) => {
+        lines.push(`### ${concept.name}${sourceMarker(concept)}`, "");
+        if (concept.definition) {
+          lines.push(concept.definition, "");
+        }
+        concept.formulae.forEach((formula) => {
+          lines.push(toDisplayFormula(formula), "");
+        });
+        if (concept.details) {
+          lines.push(concept.details, "");
+        }
+        if (concept.examples.length > 0) {
+          lines.push("**Examples:**", "");
+          concept.examples.forEach((example) => lines.push(`- ${example}`));
+          lines.push("");
+        }
+      });
+    });
+  });
+
+  return lines.join("\n").trim();
+};
+
+/**
+ * Parse JSON that is still being streamed, by closing open strings, arrays and objects
+ * Incomplete keys and trailing separators are dropped
+ * @param {string} text - JSON received so far
+ * @returns {Object|null} The parsed value, or null if it cannot be parsed yet
+ */
+export const parsePartialJson = (text) => {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      closers.push("}");
+    } else if (char === "[") {
+      closers.push("]");
+    } else if (char === "}" || char === "]") {
+      closers.pop();
+    }
+  }
+
+  let completed = text.trimEnd();
+  if (inString) {
+    // Drop a dangling escape so the closing quote is not escaped
+    completed = (escaped ? completed.slice(0, -1) : completed) + '"';
+  }
+  completed = completed
+    // A key without a value
+    .replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:\s*$/, "")
+    // A key without its colon, directly inside an object
+    .replace(/([{,])\s*"(?:[^"\\]|\\.)*"$/, (match, separator) =>
+      closers[closers.length - 1] === "}" ? separator : match
+    )
+    .replace(/,\s*$/, "");
+
+  try {
+    return JSON.parse(completed + closers.reverse().join(""));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the markdown to display for an analysis result
+ * Results with a notes tree are rendered from the tree, others use their stored markdown
+ * @param {Object} result - Analysis result
+ * @returns {string} Markdown
+ */
+export const getNotesMarkdown = (result) =>
+  result.notesTree?.notes_structure
+    ? notesTreeToMarkdown(result.notesTree)
+    : result.markdown;
+
+/**
+ * Append the nodes of the next chunk to one level of a notes tree
+ * A first node with the same name as the last node continues it instead of repeating it
+ * @param {Array} nodes - Nodes merged so far
+ * @param {Array} nextNodes - Nodes of the next chunk
+ * @param {number} depth - 0 for topics, 1 for subtopics, 2 for concepts
+ * @returns {Array} Merged nodes
+ */
+const appendNodes = (nodes, nextNodes, depth) => {
+  const last = nodes[nodes.length - 1];
+  const [first, ...rest] = nextNodes;
+  if (
+    depth === 2 ||
+    !last ||
+    !first ||
+    last.name.toLowerCase() !== first.name.toLowerCase()
+  ) {
+    return [...nodes, ...nextNodes];
+  }
+
+  const sourcePages = [
+    ...new Set([...(last.source_pages || []), ...(first.source_pages || [])]),
+  ].sort((a, b) => a - b);
+
+  return [
+    ...nodes.slice(0, -1),
+    {
+      ...last,
+      ...(sourcePages.length > 0 && { source_pages: sourcePages }),
+      sub_items: appendNodes(last.sub_items, first.sub_items, depth + 1),
+    },
+    ...rest,
+  ];
+};
+
+/**
+ * Merge notes trees that were structured in several chunks into one tree
+ * @param {Object[]} trees - Normalized notes trees, in page order
+ * @returns {Object} Merged and re-normalized notes tree
+ */
+export const mergeNotesTrees = (trees) =>
+  normalizeNotesTree({
+    notes_structure: trees.reduce(
+      (nodes, tree) => appendNodes(nodes, tree.notes_structure, 0),
+      []
+    ),
+  });
+
+/**
+ * Apply a text transformation to every text field of a notes tree
+ * @param {Object} tree - Normalized notes tree
+ * @param {Function} transform - Function from the old text and its field name
+ *   (name, definition, formulae, details or examples) to the new text
+ * @returns {Object} New tree with the transformed text
+ */
+export const mapNotesTreeText = (tree, transform) => {
+  const mapNodes = (nodes) =>
+    nodes.map((node) => ({
+      ...node,
+      name: transform(node.name, "name"),
+      ...(node.sub_items && { sub_items: mapNodes(node.sub_items) }),
+      ...(!node.sub_items && {
+        definition: transform(node.definition, "definition"),
+        formulae: node.formulae.map((formula) =>
+          transform(formula, "formulae")
+        ),
+        details: transform(node.details, "details"),
+        examples: node.examples.map((example) =>
+          transform(example, "examples")
+        ),
+      }),
+    }));
+
+  return { notes_structure: mapNodes(tree.notes_structure) };
+};
@@ -0,0 +1,20 @@
+/**
+ * Helper for turning notes into plain markdown, to pass to a model or show as text
+ * The markers the notes carry for the app (uncertain readings, figures and source
+ * pages) mean nothing to the model or the reader and must not end up in generated text
+ */
+
+import { stripUncertainMarkers } from "./uncertainSpans";
+import { removeFigureReferences } from "./figures";
+import { removeSourceMarkers } from "./sourcePages";
+
+/**
+ * Turn structured notes into plain markdown
+ * Uncertain readings keep their text; figure references and source-page markers are removed
+ * @param {string} markdown - Structured notes markdown
+ * @returns {string} Markdown without app markers
+ */
+export const toPlainNotesMarkdown = (markdown) =>
+  removeSourceMarkers(removeFigureReferences(stripUncertainMarkers(markdown)))
+    // Figure references usually stand on their own line, leaving blank lines behind
+    .replace(/\n\s*\n/g, "\n\n");
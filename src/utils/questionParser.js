@@ -3,6 +3,9 @@
  * that may contain markdown code blocks or extra text.
  */
 
+// Text fields of a quiz question that may contain markdown and LaTeX, besides its options
+export const QUESTION_TEXT_FIELDS = ["question", "explanation", "sampleAnswer"];
+
 /**
  * Parses questions from text response which may contain JSON in markdown code blocks
  * @param {string} textResponse - The text response from the API
@@ -0,0 +1,92 @@
+/**
+ * Helpers for the source-page markers the structuring step adds to headings
+ * A marker is an HTML comment such as `<!-- pages: 2, 3 -->`, so it stays invisible
+ * wherever the markdown is rendered without source links
+ */
+
+const SOURCE_MARKER_PATTERN = /\s*<!--\s*pages?:\s*([\d\s,-]+?)\s*-->/gi;
+const SOURCE_LINK_PREFIX = "#source-";
+
+/**
+ * Parse a page list such as "1, 3-4" into page numbers
+ * @param {string} pageList - Comma separated page numbers or ranges
+ * @returns {number[]} Sorted unique page numbers
+ */
+export const parsePageList = (pageList) => {
+  const pages = new Set();
+  pageList.split(",").forEach((part) => {
+    const [start, end] = part.split("-").map((value) => parseInt(value, 10));
+    if (Number.isNaN(start)) return;
+    const last = Number.isInteger(end) ? end : start;
+    for (let page = start; page <= last; page++) pages.add(page);
+  });
+  return [...pages].sort((a, b) => a - b);
+};
+
+/**
+ * Split a heading's text from its source-page markers
+ * @param {string} headingText - Heading text without the leading #s
+ * @returns {{text: string, pages: number[]}} Heading text and its source pages
+ */
+export const splitHeadingSource = (headingText) => {
+  const markers = [...headingText.matchAll(SOURCE_MARKER_PATTERN)];
+  return {
+    text: headingText.replace(SOURCE_MARKER_PATTERN, "").trim(),
+    pages: parsePageList(markers.map((marker) => marker[1]).join(",")),
+  };
+};
+
+/**
+ * Build the source-page marker for a heading
+ * @param {number[]} pages - Source page numbers
+ * @returns {string} Marker, or an empty string without pages
+ */
+export const formatSourceMarker = (pages) =>
+  pages.length > 0 ? ` <!-- pages: ${pages.join(", ")} -->` : "";
+
+/**
+ * List the headings that carry a source-page marker
+ * @param {string} markdown - Structured notes markdown
+ * @returns {Array<{heading: string, level: number, pages: number[]}>} Tagged sections
+ */
+export const getSectionSources = (markdown) =>
+  markdown
+    .split("\n")
+    .map((line) => {
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (!heading) return null;
+      const { text, pages } = splitHeadingSource(heading[2]);
+      if (pages.length === 0) return null;
+      return { heading: text, level: heading[1].length, pages };
+    })
+    .filter(Boolean);
+
+/**
+ * Replace source-page markers with links that can be rendered as "source" buttons
+ * @param {string} markdown - Structured notes markdown
+ * @returns {string} Markdown with `[p. 2](#source-2)` links
+ */
+export const linkSourceMarkers = (markdown) =>
+  markdown.replace(SOURCE_MARKER_PATTERN, (_, pageList) => {
+    const pages = parsePageList(pageList);
+    if (pages.length === 0) return "";
+    return ` [p. ${pages.join(", ")}](${SOURCE_LINK_PREFIX}${pages.join(",")})`;
+  });
+
+/**
+ * Remove source-page markers, for notes read without their source pages
+ * @param {string} markdown - Structured notes markdown
+ * @returns {string} Markdown without source-page markers
+ */
+export const removeSourceMarkers = (markdown) =>
+  markdown.replace(SOURCE_MARKER_PATTERN, "");
+
+/**
+ * Get the pages referenced by a source link created by linkSourceMarkers
+ * @param {string} href - Link target
+ * @returns {number[]|null} Page numbers, or null if the link is not a source link
+ */
+export const getSourcePagesFromHref = (href) =>
+  href?.startsWith(SOURCE_LINK_PREFIX)
+    ? parsePageList(href.slice(SOURCE_LINK_PREFIX.length))
+    : null;
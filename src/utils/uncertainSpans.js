@@ -0,0 +1,123 @@
+/**
+ * Helpers for the markers that flag handwriting the extraction could not read with confidence
+ *
+ * Extraction marks an uncertain reading with its bounding box:
+ *   [[UNSURE: mitochondria | box=[ymin, xmin, ymax, xmax]]]
+ * with coordinates normalized to 0-1000. The marker is then replaced by a reference
+ * the structuring step keeps around the (formatted) reading:
+ *   [[unsure:p2-u1 | mitochondria]]
+ * until the student confirms or corrects it.
+ */
+
+// Readings may contain "|" and "]" (e.g. |x| or a[1]), so a reading ends only at its
+// box or at the last "]]" of a closing bracket run, and never runs into the next marker
+const UNSURE_MARKER_PATTERN =
+  /\[\[UNSURE:\s*((?:(?!\[\[)[\s\S])+?)\s*(?:\|\s*box=\[\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\]\s*)?\]\](?!\])/gi;
+const UNSURE_REFERENCE_PATTERN =
+  /\[\[unsure:([\w-]+)\s*\|\s*((?:(?!\[\[)[\s\S])*?)\s*\]\](?!\])/g;
+
+/**
+ * Find the uncertain readings of an extracted page and replace them with references
+ * @param {string} content - Extracted content of the page
+ * @param {number} pageNumber - 1-based page number, used in the span ids
+ * @returns {{content: string, spans: Array}} Content with references, and each span's
+ *   id, page, text and box (top, left, bottom, right as fractions of the image, or null)
+ */
+export const extractUncertainMarkers = (content, pageNumber) => {
+  const spans = [];
+
+  const updatedContent = content.replace(
+    UNSURE_MARKER_PATTERN,
+    (_, text, ymin, xmin, ymax, xmax) => {
+      const box =
+        ymin !== undefined &&
+        Number(ymax) > Number(ymin) &&
+        Number(xmax) > Number(xmin)
+          ? {
+              top: Math.min(1000, Number(ymin)) / 1000,
+              left: Math.min(1000, Number(xmin)) / 1000,
+              bottom: Math.min(1000, Number(ymax)) / 1000,
+              right: Math.min(1000, Number(xmax)) / 1000,
+            }
+          : null;
+
+      const span = {
+        id: `p${pageNumber}-u${spans.length + 1}`,
+        page: pageNumber,
+        text,
+        box,
+      };
+      spans.push(span);
+      return `[[unsure:${span.id} | ${text}]]`;
+    }
+  );
+
+  return { content: updatedContent, spans };
+};
+
+/**
+ * Whether content contains uncertain-reading references for the structuring step to keep
+ * @param {string} content - Extracted content
+ * @returns {boolean} True if there is at least one reference
+ */
+export const hasUncertainReferences = (content) =>
+  new RegExp(UNSURE_REFERENCE_PATTERN.source).test(content);
+
+/**
+ * Replace uncertain-reading references with highlighted spans
+ * @param {string} markdown - Structured notes markdown
+ * @returns {string} Markdown with `<mark data-unsure-id="...">` spans
+ */
+export const highlightUncertainSpans = (markdown) =>
+  markdown.replace(
+    UNSURE_REFERENCE_PATTERN,
+    (_, id, text) => `<mark data-unsure-id="${id}">${text}</mark>`
+  );
+
+/**
+ * Replace uncertain-reading references with their text, for notes read without review
+ * @param {string} markdown - Structured notes markdown
+ * @returns {string} Markdown with the readings as plain text
+ */
+export const stripUncertainMarkers = (markdown) =>
+  markdown.replace(UNSURE_REFERENCE_PATTERN, (_, id, text) => text);
+
+/**
+ * List the uncertain readings still marked in the notes, in reading order
+ * @param {string} markdown - Structured notes markdown
+ * @returns {Array<{id: string, text: string}>} Unresolved readings
+ */
+export const listUncertainSpans = (markdown) => {
+  const spans = new Map();
+  for (const [, id, text] of markdown.matchAll(UNSURE_REFERENCE_PATTERN)) {
+    if (!spans.has(id)) spans.set(id, { id, text });
+  }
+  return [...spans.values()];
+};
+
+/**
+ * Replace every reference to an uncertain reading with the reviewed text
+ * @param {string} markdown - Structured notes markdown
+ * @param {string} id - Span id
+ * @param {string} text - Confirmed or corrected text
+ * @returns {string} Markdown without the reference
+ */
+export const resolveUncertainSpan = (markdown, id, text) =>
+  markdown.replace(UNSURE_REFERENCE_PATTERN, (match, spanId) =>
+    spanId === id ? text : match
+  );
+
+/**
+ * Replace the references to readings the student already reviewed with the reviewed text
+ * @param {string} content - Extracted content or structured notes markdown
+ * @param {Array} [spans] - Uncertain spans of the result, with resolvedText once reviewed
+ * @returns {string} Content without references to reviewed readings
+ */
+export const applyResolvedSpans = (content, spans = []) =>
+  spans.reduce(
+    (resolved, span) =>
+      typeof span.resolvedText === "string"
+        ? resolveUncertainSpan(resolved, span.id, span.resolvedText)
+        : resolved,
+    content
+  );